@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function approve(address spender, uint256 amount) external returns (bool);
+}
+
+interface IPancakeRouterV2 {
+    function getAmountsOut(uint256 amountIn, address[] calldata path) external view returns (uint256[] memory amounts);
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] calldata path, address to, uint256 deadline) external payable;
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline) external;
+}
+
+/// @title 买入/卖出模拟合约
+/// @notice 只用于 eth_call：通过状态覆盖把运行时字节码放到一个空地址并设置 BNB 余额，不需要部署。
+/// 在同一次调用中先买入再全部卖出，比较路由报价与实际到账数量得到买入税和卖出税。
+/// 修改后需要用 solc 0.8.24 (optimizer 200 runs，evmVersion paris) 重新编译，并把 deployedBytecode 更新到 src/tradeSimulator.js 的 TRADE_SIMULATOR_BYTECODE
+contract TradeSimulator {
+    receive() external payable {}
+
+    /// @param router PancakeSwap V2 路由
+    /// @param token 要检测的代币
+    /// @param wbnb WBNB 地址
+    /// @param amountIn 模拟买入使用的 BNB 数量，需小于覆盖的余额
+    /// @return buyExpected 买入报价 (代币)
+    /// @return buyReceived 买入实际到账 (代币)
+    /// @return sellExpected 卖出全部到账代币的报价 (BNB)
+    /// @return sellReceived 卖出实际到账 (BNB)
+    /// @return sellReverted 授权或卖出是否回滚
+    /// @return sellError 卖出回滚时的错误数据
+    function simulate(address router, address token, address wbnb, uint256 amountIn)
+        external
+        returns (
+            uint256 buyExpected,
+            uint256 buyReceived,
+            uint256 sellExpected,
+            uint256 sellReceived,
+            bool sellReverted,
+            bytes memory sellError
+        )
+    {
+        address[] memory path = new address[](2);
+        path[0] = wbnb;
+        path[1] = token;
+        buyExpected = IPancakeRouterV2(router).getAmountsOut(amountIn, path)[1];
+        IPancakeRouterV2(router).swapExactETHForTokensSupportingFeeOnTransferTokens{value: amountIn}(0, path, address(this), block.timestamp);
+        buyReceived = IERC20(token).balanceOf(address(this));
+        if (buyReceived == 0) {
+            return (buyExpected, 0, 0, 0, true, bytes("buy received nothing"));
+        }
+
+        path[0] = token;
+        path[1] = wbnb;
+        sellExpected = IPancakeRouterV2(router).getAmountsOut(buyReceived, path)[1];
+
+        // 部分代币的 approve 不返回值或直接回滚，使用底层调用并把失败视为无法卖出
+        (bool approved, bytes memory approveError) = token.call(abi.encodeWithSelector(IERC20.approve.selector, router, buyReceived));
+        if (!approved) {
+            return (buyExpected, buyReceived, sellExpected, 0, true, approveError);
+        }
+
+        uint256 balanceBefore = address(this).balance;
+        try IPancakeRouterV2(router).swapExactTokensForETHSupportingFeeOnTransferTokens(buyReceived, 0, path, address(this), block.timestamp) {
+            sellReceived = address(this).balance - balanceBefore;
+        } catch (bytes memory reason) {
+            sellReverted = true;
+            sellError = reason;
+        }
+    }
+}
@@ -0,0 +1,63 @@
+const config = require('./config');
+
+// 角色等级：高等级角色拥有低等级角色的全部权限
+const ROLE_LEVELS = {
+  viewer: 1, // 只读：查询价格、持仓、余额
+  trader: 2, // 交易：在限额内买入/卖出
+  admin: 3   // 管理：修改设置、紧急开关
+};
+
+const ROLE_LABELS = {
+  viewer: '查看者 (viewer)',
+  trader: '交易员 (trader)',
+  admin: '管理员 (admin)'
+};
+
+class AccessControl {
+  constructor() {
+    this.roles = new Map();
+
+    // 同一个 Chat ID 出现在多个列表中时取最高角色
+    this.assignRole(config.VIEWER_CHAT_IDS, 'viewer');
+    this.assignRole(config.TRADER_CHAT_IDS, 'trader');
+    this.assignRole(config.ADMIN_CHAT_IDS, 'admin');
+  }
+
+  assignRole(chatIds, role) {
+    (chatIds || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
+      .forEach(id => {
+        const current = this.roles.get(id);
+        if (!current || ROLE_LEVELS[role] > ROLE_LEVELS[current]) {
+          this.roles.set(id, role);
+        }
+      });
+  }
+
+  /**
+   * 获取聊天的角色，未授权时返回 null
+   */
+  getRole(chatId) {
+    return this.roles.get(chatId.toString()) || null;
+  }
+
+  /**
+   * 检查聊天是否拥有指定角色（或更高角色）
+   */
+  hasRole(chatId, requiredRole) {
+    const role = this.getRole(chatId);
+    return role !== null && ROLE_LEVELS[role] >= ROLE_LEVELS[requiredRole];
+  }
+
+  isAuthorized(chatId) {
+    return this.getRole(chatId) !== null;
+  }
+
+  getRoleLabel(role) {
+    return ROLE_LABELS[role] || '未授权';
+  }
+}
+
+module.exports = AccessControl;
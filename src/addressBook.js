@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('./config');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 提现地址白名单，/send 只能转账到这里登记的地址。
+ * 新增地址需要等待 WITHDRAW_TIMELOCK_HOURS 小时后才能使用
+ */
+class AddressBook {
+  constructor() {
+    this.addressBookFile = path.join(__dirname, '..', 'withdraw-allowlist.json');
+    this.entries = this.loadEntries();
+  }
+
+  loadEntries() {
+    try {
+      if (fs.existsSync(this.addressBookFile)) {
+        return JSON.parse(fs.readFileSync(this.addressBookFile, 'utf8')).entries || [];
+      }
+    } catch (error) {
+      console.error('读取提现白名单失败:', error);
+    }
+    return [];
+  }
+
+  saveEntries() {
+    fs.writeFileSync(this.addressBookFile, JSON.stringify({ entries: this.entries }, null, 2));
+  }
+
+  /**
+   * 添加白名单地址，返回 { success, entry, error }
+   */
+  /**
+   * 校验别名格式，无效时返回错误信息
+   */
+  validateAlias(alias) {
+    if (!/^[a-z0-9_-]{1,32}$/i.test(alias) || ethers.isAddress(alias)) {
+      return '别名只能包含字母、数字、下划线和连字符 (最多32个字符)';
+    }
+    return null;
+  }
+
+  add(alias, address, addedBy) {
+    const aliasError = this.validateAlias(alias);
+    if (aliasError) {
+      return { success: false, error: aliasError };
+    }
+    if (!ethers.isAddress(address)) {
+      return { success: false, error: '无效的地址' };
+    }
+
+    const normalized = ethers.getAddress(address);
+    if (this.entries.some(e => e.alias.toLowerCase() === alias.toLowerCase())) {
+      return { success: false, error: `别名 ${alias} 已存在` };
+    }
+    if (this.entries.some(e => e.address === normalized)) {
+      return { success: false, error: '该地址已在白名单中' };
+    }
+
+    const now = Date.now();
+    const entry = {
+      alias,
+      address: normalized,
+      addedBy,
+      addedAt: new Date(now).toISOString(),
+      activeAt: new Date(now + config.WITHDRAW_TIMELOCK_HOURS * HOUR_MS).toISOString()
+    };
+    this.entries.push(entry);
+    this.saveEntries();
+    return { success: true, entry };
+  }
+
+  remove(aliasOrAddress) {
+    const entry = this.find(aliasOrAddress);
+    if (!entry) {
+      return { success: false, error: `白名单中没有 ${aliasOrAddress}` };
+    }
+    this.entries = this.entries.filter(e => e !== entry);
+    this.saveEntries();
+    return { success: true, entry };
+  }
+
+  find(aliasOrAddress) {
+    const key = aliasOrAddress.toLowerCase();
+    return this.entries.find(e => e.alias.toLowerCase() === key || e.address.toLowerCase() === key) || null;
+  }
+
+  isActive(entry) {
+    return Date.now() >= new Date(entry.activeAt).getTime();
+  }
+
+  /**
+   * 解析转账目标，只有已生效的白名单地址才能使用
+   */
+  resolve(aliasOrAddress) {
+    const entry = this.find(aliasOrAddress);
+    if (!entry) {
+      return { valid: false, error: `❌ ${aliasOrAddress} 不在提现白名单中，管理员可使用 /allowlist add <别名> <地址> 添加` };
+    }
+    if (!this.isActive(entry)) {
+      return { valid: false, error: `⏳ 白名单地址 ${entry.alias} 尚在锁定期，将于 ${new Date(entry.activeAt).toLocaleString()} 生效` };
+    }
+    return { valid: true, entry };
+  }
+}
+
+module.exports = AddressBook;
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+function hashEntry(entry) {
+  return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * 只追加的审计日志，每行一条JSON，通过 prevHash 串联成哈希链，
+ * 修改或删除中间任意一条都会导致校验失败
+ */
+class AuditLog {
+  constructor(logFile = path.join(__dirname, '..', 'logs', 'audit.log')) {
+    this.logFile = logFile;
+    fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+    this.ensureTrailingNewline();
+
+    // 损坏的记录在 readEntries 中跳过，从最后一条有效记录继续串联，由 verify() 报告损坏位置
+    const last = this.readEntries().pop();
+    this.seq = last ? last.seq : 0;
+    this.lastHash = last ? last.hash : GENESIS_HASH;
+  }
+
+  /**
+   * 最后一行被截断 (没有换行符) 时补上换行，避免新记录拼接到损坏的行上
+   */
+  ensureTrailingNewline() {
+    try {
+      if (!fs.existsSync(this.logFile)) return;
+      const content = fs.readFileSync(this.logFile, 'utf8');
+      if (content.length > 0 && !content.endsWith('\n')) {
+        fs.appendFileSync(this.logFile, '\n');
+      }
+    } catch (error) {
+      console.error('检查审计日志失败:', error);
+    }
+  }
+
+  /**
+   * 读取所有可以解析的记录，无法解析的行被跳过 (篡改或截断由 verify() 报告)
+   */
+  readEntries() {
+    if (!fs.existsSync(this.logFile)) {
+      return [];
+    }
+    const entries = [];
+    let skipped = 0;
+    for (const line of fs.readFileSync(this.logFile, 'utf8').split('\n').filter(Boolean)) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry && typeof entry === 'object') {
+          entries.push(entry);
+          continue;
+        }
+      } catch (error) {
+        // 计入 skipped
+      }
+      skipped++;
+    }
+    if (skipped > 0) {
+      console.warn(`⚠️ 审计日志中有 ${skipped} 行无法解析，已跳过，请使用 /audit verify 检查`);
+    }
+    return entries;
+  }
+
+  /**
+   * 追加一条审计记录
+   * @param {string} event 事件类型，如 command / setting_change / trade
+   * @param {Object} details 事件详情
+   */
+  record(event, details = {}) {
+    try {
+      const entry = {
+        seq: this.seq + 1,
+        timestamp: new Date().toISOString(),
+        event,
+        ...details,
+        prevHash: this.lastHash
+      };
+      entry.hash = hashEntry(entry);
+
+      fs.appendFileSync(this.logFile, JSON.stringify(entry) + '\n');
+      this.seq = entry.seq;
+      this.lastHash = entry.hash;
+      return entry;
+    } catch (error) {
+      console.error('写入审计日志失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 获取最近 n 条记录
+   */
+  getRecent(count = 10) {
+    return this.readEntries().slice(-count);
+  }
+
+  /**
+   * 校验整条哈希链，返回 { valid, total, lastHash, brokenAt, error }
+   */
+  verify() {
+    let lines;
+    try {
+      lines = fs.existsSync(this.logFile)
+        ? fs.readFileSync(this.logFile, 'utf8').split('\n').filter(Boolean)
+        : [];
+    } catch (error) {
+      return { valid: false, total: 0, error: `无法读取审计日志: ${error.message}` };
+    }
+
+    let prevHash = GENESIS_HASH;
+    for (let i = 0; i < lines.length; i++) {
+      const lineNo = i + 1;
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        return { valid: false, total: lines.length, brokenAt: lineNo, error: '记录不是有效的JSON' };
+      }
+
+      const { hash, ...body } = entry;
+      if (entry.seq !== lineNo) {
+        return { valid: false, total: lines.length, brokenAt: lineNo, error: `序号不连续 (期望 ${lineNo}，实际 ${entry.seq})` };
+      }
+      if (entry.prevHash !== prevHash) {
+        return { valid: false, total: lines.length, brokenAt: lineNo, error: 'prevHash 与上一条记录不匹配' };
+      }
+      if (hashEntry(body) !== hash) {
+        return { valid: false, total: lines.length, brokenAt: lineNo, error: '记录内容与哈希不匹配' };
+      }
+      prevHash = hash;
+    }
+
+    return { valid: true, total: lines.length, lastHash: prevHash };
+  }
+}
+
+module.exports = AuditLog;
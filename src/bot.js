@@ -3,7 +3,16 @@ const { ethers } = require('ethers');
 const winston = require('winston');
 const config = require('./config');
 const OptimizedTradeManager = require('./optimizedTradeManager');
-const { formatAddress } = require('./utils');
+const AccessControl = require('./accessControl');
+const TwoFactor = require('./twoFactor');
+const QRCode = require('qrcode');
+const RateLimiter = require('./rateLimiter');
+const LimitOrderManager = require('./limitOrders');
+const PositionMonitor = require('./positionMonitor');
+const DcaManager = require('./dcaPlans');
+const TwapManager = require('./twapOrders');
+const SniperManager = require('./sniper');
+const { formatAddress, formatNumber } = require('./utils');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -22,6 +31,41 @@ const logger = winston.createLogger({
   ]
 });
 
+// 回调操作所需角色 - handleCallbackQuery 中的每个分支都应在此声明
+// 未声明的回调默认仅限 admin，quick_buy_* / quick_sell_* 见 getCallbackRole
+const CALLBACK_ROLES = {
+  main_menu: 'viewer',
+  balance: 'viewer',
+  holdings: 'viewer',
+  refresh_holdings: 'viewer',
+  trading_stats: 'viewer',
+  trading_history: 'viewer',
+  wallet: 'viewer',
+  settings: 'viewer',
+  help: 'viewer',
+  price_query: 'viewer',
+  price_compare: 'viewer',
+  liquidity_check: 'viewer',
+  smart_buy: 'trader',
+  smart_sell: 'trader',
+  set_slippage: 'admin',
+  set_gas: 'admin',
+  set_max_amount: 'admin',
+  set_default_buy: 'admin',
+  set_default_sell: 'admin',
+  quick_menu: 'viewer',
+  refresh_menu: 'viewer',
+  refresh_quick: 'viewer',
+  popular_tokens: 'viewer',
+  balance_detail: 'viewer',
+  custom_token: 'viewer',
+  token_cake: 'viewer',
+  token_usdt: 'viewer',
+  token_busd: 'viewer',
+  token_eth: 'viewer',
+  copy_all_addresses: 'viewer'
+};
+
 class TelegramBot {
   constructor() {
     // 配置更稳定的轮询选项
@@ -37,7 +81,29 @@ class TelegramBot {
     
     this.bot = new TelegramBotAPI(config.TELEGRAM_BOT_TOKEN, botOptions);
     this.tradeManager = new OptimizedTradeManager();
+    this.accessControl = new AccessControl();
+    this.twoFactor = new TwoFactor();
+    this.auditLog = this.tradeManager.auditLog;
+    this.auditedMessages = new Map(); // chatId -> 最近一次记录审计的消息ID
+    this.rateLimiter = new RateLimiter();
+    this.rateLimitedMessages = new Map(); // chatId -> { messageId, allowed } 同一消息只计一次
+    this.recentTradeRequests = new Map(); // 交易去重键 -> { requestedAt, reservation, carded } 最近一次请求
+    this.duplicateTrades = new Map(); // duplicateId -> 被拦截的重复交易，等待再次确认
+    this.pendingTransfers = new Map(); // transferId -> 待确认的转账
+    this.limitOrders = new LimitOrderManager(this.tradeManager, (chatId, message) => this.bot.sendMessage(chatId, message));
+    this.positionMonitor = new PositionMonitor(this.tradeManager, (chatId, message) => this.bot.sendMessage(chatId, message));
+    this.dcaManager = new DcaManager(this.tradeManager, (chatId, message) => this.bot.sendMessage(chatId, message));
+    this.twapManager = new TwapManager(
+      this.tradeManager,
+      (chatId, message) => this.bot.sendMessage(chatId, message),
+      (chatId, messageId, message) => this.bot.editMessageText(message, { chat_id: chatId, message_id: messageId })
+    );
+    this.sniper = new SniperManager(this.tradeManager, (chatId, message) => this.bot.sendMessage(chatId, message));
     this.userSessions = new Map();
+    this.deniedMessages = new Map(); // chatId -> 最近一次被拒绝的消息ID
+    this.pendingTrades = new Map(); // tradeId -> 待确认的交易
+    this.walletUnlockedBy = null; // 最近一次解锁钱包的聊天，用于自动锁定通知
+    this.tradeManager.onWalletAutoLock = () => this.notifyWalletAutoLock();
     
     // 添加错误处理监听器
     this.setupErrorHandlers();
@@ -123,16 +189,39 @@ class TelegramBot {
     const commands = [
       { command: 'start', description: '🚀 启动机器人' },
       { command: 'buy', description: '💰 智能买入代币' },
+      { command: 'buyexact', description: '🎯 买入指定数量的代币' },
       { command: 'sell', description: '💸 智能卖出代币' },
+      { command: 'swap', description: '🔁 代币直接换仓' },
       { command: 'balance', description: '👛 查看钱包余额' },
       { command: 'holdings', description: '📊 查看代币持仓' },
       { command: 'price', description: '📈 查询代币价格' },
-      { command: 'compare', description: '🔍 比较V2/V3价格' },
+      { command: 'compare', description: '🔍 比较V2/V3及多跳路由' },
+      { command: 'safety', description: '🛡️ 代币合约安全报告' },
       { command: 'liquidity', description: '💧 检查流动性状况' },
       { command: 'addtoken', description: '➕ 添加代币监控' },
       { command: 'menu', description: '🎮 显示主菜单' },
       { command: 'quick', description: '⚡ 快速操作' },
       { command: 'settings', description: '⚙️ 设置' },
+      { command: 'pause', description: '⏸️ 暂停所有交易' },
+      { command: 'resume', description: '▶️ 恢复交易' },
+      { command: 'limits', description: '🚫 查看/修改风控限额' },
+      { command: 'unlock', description: '🔓 解锁钱包 (仅私聊)' },
+      { command: '2fa', description: '🔐 两步验证设置' },
+      { command: 'audit', description: '📜 查看/校验审计日志' },
+      { command: 'limit', description: '🎯 创建限价单' },
+      { command: 'orders', description: '📋 查看限价单' },
+      { command: 'cancel', description: '🗑️ 取消限价单' },
+      { command: 'positions', description: '🛡️ 查看止损止盈' },
+      { command: 'trail', description: '📉 设置移动止损' },
+      { command: 'dca', description: '🗓️ 定投计划' },
+      { command: 'twap', description: '⏱️ TWAP 分批买卖' },
+      { command: 'snipe', description: '🎯 开盘狙击' },
+      { command: 'approvals', description: '🔏 查看代币授权' },
+      { command: 'send', description: '📤 转账到白名单地址' },
+      { command: 'allowlist', description: '📒 管理提现白名单' },
+      { command: 'revoke', description: '🧹 撤销代币授权' },
+      { command: 'base', description: '💵 设置默认交易资产' },
+      { command: 'lock', description: '🔒 锁定钱包' },
       { command: 'help', description: '📖 帮助信息' }
     ];
 
@@ -145,43 +234,285 @@ class TelegramBot {
   }
 
   setupCommands() {
+    // 所有命令必须通过 registerCommand 注册并声明所需角色，以确保经过统一的权限校验
     // 主菜单命令
-    this.bot.onText(/\/start/, (msg) => this.handleStart(msg));
-    this.bot.onText(/\/help/, (msg) => this.handleHelp(msg));
-    this.bot.onText(/\/menu/, (msg) => this.showMainMenu(msg.chat.id));
-    this.bot.onText(/\/quick/, (msg) => this.showQuickMenu(msg.chat.id));
+    this.registerCommand(/\/start/, 'viewer', (msg) => this.handleStart(msg));
+    this.registerCommand(/\/help/, 'viewer', (msg) => this.handleHelp(msg));
+    this.registerCommand(/\/menu/, 'viewer', (msg) => this.showMainMenu(msg.chat.id));
+    this.registerCommand(/\/quick/, 'viewer', (msg) => this.showQuickMenu(msg.chat.id));
     
     // 智能交易命令 - 自动选择最佳版本
-    this.bot.onText(/\/buy$/, (msg) => this.handleBuyCommand(msg, null));
-    this.bot.onText(/\/buy (\S+)(?: (\S+))?/, (msg, match) => this.handleBuyCommand(msg, match));
-    this.bot.onText(/\/sell$/, (msg) => this.handleSellCommand(msg, null));
-    this.bot.onText(/\/sell (\S+)(?: (\S+))?/, (msg, match) => this.handleSellCommand(msg, match));
+    this.registerCommand(/\/buy$/, 'trader', (msg) => this.handleBuyCommand(msg, null));
+    this.registerCommand(/\/buy (\S+)(?: (.+))?/, 'trader', (msg, match) => this.handleBuyCommand(msg, match));
+    this.registerCommand(/\/buyexact(?: (.+))?$/, 'trader', (msg, match) => this.handleBuyExactCommand(msg, match));
+    this.registerCommand(/\/sell$/, 'trader', (msg) => this.handleSellCommand(msg, null));
+    this.registerCommand(/\/sell (\S+)(?: (.+))?/, 'trader', (msg, match) => this.handleSellCommand(msg, match));
+    this.registerCommand(/\/swap(?: (.+))?$/, 'trader', (msg, match) => this.handleSwapCommand(msg, match));
     
     // 价格和分析命令
-    this.bot.onText(/\/price (.+)/, (msg, match) => this.handlePriceCommand(msg, match));
-    this.bot.onText(/\/compare (.+)/, (msg, match) => this.handleCompareCommand(msg, match));
-    this.bot.onText(/\/liquidity (.+)/, (msg, match) => this.handleLiquidityCommand(msg, match));
+    this.registerCommand(/\/price (.+)/, 'viewer', (msg, match) => this.handlePriceCommand(msg, match));
+    this.registerCommand(/\/compare (.+)/, 'viewer', (msg, match) => this.handleCompareCommand(msg, match));
+    this.registerCommand(/\/safety(?: (.+))?$/, 'viewer', (msg, match) => this.handleSafetyCommand(msg, match));
+    // /audit <代币地址> 是 /safety 的别名，审计日志的 /audit [条数|verify] 不匹配地址
+    this.registerCommand(/\/audit (0x\S*)$/, 'viewer', (msg, match) => this.handleSafetyCommand(msg, match));
+    this.registerCommand(/\/liquidity (.+)/, 'viewer', (msg, match) => this.handleLiquidityCommand(msg, match));
     
     // 钱包命令
-    this.bot.onText(/\/balance/, (msg) => this.handleBalance(msg));
-    this.bot.onText(/\/wallet/, (msg) => this.handleWallet(msg));
-    this.bot.onText(/\/holdings/, (msg) => this.handleHoldings(msg));
-    this.bot.onText(/\/addtoken (.+)/, (msg, match) => this.handleAddToken(msg, match));
+    this.registerCommand(/\/balance/, 'viewer', (msg) => this.handleBalance(msg));
+    this.registerCommand(/\/wallet/, 'viewer', (msg) => this.handleWallet(msg));
+    this.registerCommand(/\/holdings/, 'viewer', (msg) => this.handleHoldings(msg));
+    this.registerCommand(/\/addtoken (.+)/, 'trader', (msg, match) => this.handleAddToken(msg, match));
     
     // 设置命令
-    this.bot.onText(/\/settings/, (msg) => this.handleSettings(msg));
-    this.bot.onText(/\/slippage (.+)/, (msg, match) => this.handleSlippageSet(msg, match));
-    this.bot.onText(/\/defaultbuy (.+)/, (msg, match) => this.handleDefaultBuySet(msg, match));
-    this.bot.onText(/\/defaultsell (.+)/, (msg, match) => this.handleDefaultSellSet(msg, match));
+    this.registerCommand(/\/settings/, 'viewer', (msg) => this.handleSettings(msg));
+    this.registerCommand(/\/slippage (.+)/, 'admin', (msg, match) => this.handleSlippageSet(msg, match));
+    this.registerCommand(/\/defaultbuy (.+)/, 'admin', (msg, match) => this.handleDefaultBuySet(msg, match));
+    this.registerCommand(/\/defaultsell (.+)/, 'admin', (msg, match) => this.handleDefaultSellSet(msg, match));
+    
+    // 紧急开关命令
+    this.registerCommand(/\/pause/, 'admin', (msg) => this.handlePauseTrading(msg));
+    this.registerCommand(/\/resume/, 'admin', (msg) => this.handleResumeTrading(msg));
+    
+    // 风控限额命令
+    this.registerCommand(/\/limits(?: (.+))?/, 'admin', (msg, match) => this.handleLimitsCommand(msg, match));
+    
+    // 钱包锁定命令
+    this.registerCommand(/\/unlock(?: (.+))?/, 'admin', (msg, match) => this.handleUnlockWallet(msg, match));
+    this.registerCommand(/\/lock$/, 'admin', (msg) => this.handleLockWallet(msg));
+    
+    // 两步验证
+    this.registerCommand(/\/2fa(?: (.+))?/, 'trader', (msg, match) => this.handleTwoFactorCommand(msg, match));
+    
+    // 代币授权管理
+    this.registerCommand(/\/approvals$/, 'viewer', (msg) => this.handleApprovals(msg));
+    this.registerCommand(/\/revoke(?: (.+))?/, 'trader', (msg, match) => this.handleRevoke(msg, match));
+    this.registerCommand(/\/approvalpolicy(?: (.+))?/, 'admin', (msg, match) => this.handleApprovalPolicy(msg, match));
+    this.registerCommand(/\/base(?: (.+))?$/, 'admin', (msg, match) => this.handleBaseAsset(msg, match));
+    
+    // 限价单
+    this.registerCommand(/\/limit(?: (.+))?$/, 'trader', (msg, match) => this.handleLimitOrderCommand(msg, match));
+    this.registerCommand(/\/orders$/, 'trader', (msg) => this.handleOrdersCommand(msg));
+    this.registerCommand(/\/cancel(?: (.+))?/, 'trader', (msg, match) => this.handleCancelOrderCommand(msg, match));
+    
+    // 止损止盈
+    this.registerCommand(/\/sl(?: (.+))?$/, 'trader', (msg, match) => this.handleExitLevelCommand(msg, match, 'stopLoss'));
+    this.registerCommand(/\/tp(?: (.+))?$/, 'trader', (msg, match) => this.handleExitLevelCommand(msg, match, 'takeProfit'));
+    this.registerCommand(/\/trail(?: (.+))?$/, 'trader', (msg, match) => this.handleTrailCommand(msg, match));
+    this.registerCommand(/\/positions$/, 'trader', (msg) => this.handlePositionsCommand(msg));
+    
+    // 定投计划
+    this.registerCommand(/\/dca(?: (.+))?$/, 'trader', (msg, match) => this.handleDcaCommand(msg, match));
+    
+    // TWAP 分批执行
+    this.registerCommand(/\/twap(?: (.+))?$/, 'trader', (msg, match) => this.handleTwapCommand(msg, match));
+    
+    // 开盘狙击
+    this.registerCommand(/\/snipe(?: (.+))?$/, 'trader', (msg, match) => this.handleSnipeCommand(msg, match));
+    
+    // 转账和提现白名单
+    this.registerCommand(/\/send(?: (.+))?/, 'admin', (msg, match) => this.handleSendCommand(msg, match));
+    this.registerCommand(/\/allowlist(?: (.+))?/, 'admin', (msg, match) => this.handleAllowlistCommand(msg, match));
+    
+    // 审计日志
+    this.registerCommand(/\/audit(?: (?!0x)(.+))?$/, 'admin', (msg, match) => this.handleAuditCommand(msg, match));
+  }
+
+  /**
+   * 注册命令 - 在处理器之前统一执行角色校验
+   */
+  registerCommand(regexp, requiredRole, handler) {
+    this.bot.onText(regexp, async (msg, match) => {
+      if (!(await this.checkMessageRateLimit(msg))) return;
+      if (!(await this.authorizeMessage(msg, requiredRole))) return;
+      this.tradeManager.touchWallet();
+      this.auditCommand(msg);
+      return handler(msg, match);
+    });
+  }
+
+  /**
+   * 校验消息来源是否拥有所需角色，未通过时回复并记录日志
+   */
+  async authorizeMessage(msg, requiredRole) {
+    const chatId = msg.chat.id;
+    if (this.accessControl.hasRole(chatId, requiredRole)) {
+      return true;
+    }
+
+    // 同一条消息可能匹配多个命令，只回复一次
+    if (this.deniedMessages.get(chatId) === msg.message_id) {
+      return false;
+    }
+    this.deniedMessages.set(chatId, msg.message_id);
+
+    this.logUnauthorizedAccess(chatId, msg.from, msg.text, requiredRole);
+    try {
+      await this.bot.sendMessage(chatId, this.getDeniedMessage(chatId, requiredRole));
+    } catch (error) {
+      logger.error('Failed to reply to unauthorized chat', { chatId, error: error.message });
+    }
+    return false;
+  }
+
+  /**
+   * 校验回调查询来源是否拥有所需角色，未通过时以弹窗提示并记录日志
+   */
+  async authorizeCallbackQuery(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const requiredRole = this.getCallbackRole(callbackQuery.data);
+    if (this.accessControl.hasRole(chatId, requiredRole)) {
+      return true;
+    }
+
+    this.logUnauthorizedAccess(chatId, callbackQuery.from, `callback:${callbackQuery.data}`, requiredRole);
+    try {
+      await this.bot.answerCallbackQuery(callbackQuery.id, {
+        text: this.getDeniedMessage(chatId, requiredRole),
+        show_alert: true
+      });
+    } catch (error) {
+      logger.error('Failed to answer unauthorized callback', { chatId, error: error.message });
+    }
+    return false;
+  }
+
+  /**
+   * 消息限流检查，同一条消息匹配多个命令时只消耗一次令牌
+   */
+  async checkMessageRateLimit(msg) {
+    const chatId = msg.chat.id;
+    const cached = this.rateLimitedMessages.get(chatId);
+    if (cached && cached.messageId === msg.message_id) {
+      return cached.allowed;
+    }
+
+    const result = this.rateLimiter.consume(chatId);
+    this.rateLimitedMessages.set(chatId, { messageId: msg.message_id, allowed: result.allowed });
+    if (result.allowed) {
+      return true;
+    }
+
+    logger.warn('Rate limit exceeded', { chatId, userId: msg.from?.id, text: this.redactSecrets(msg.text) });
+    // 每轮限流只提示一次，避免机器人自身刷屏
+    if (result.firstRejection) {
+      try {
+        await this.bot.sendMessage(chatId, `⏳ 操作过于频繁，请 ${result.retryAfter} 秒后再试`);
+      } catch (error) {
+        logger.error('Failed to send rate limit notice', { chatId, error: error.message });
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 回调限流检查，被拒绝的点击以弹窗提示
+   */
+  async checkCallbackRateLimit(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const result = this.rateLimiter.consume(chatId);
+    if (result.allowed) {
+      return true;
+    }
+
+    logger.warn('Rate limit exceeded', { chatId, userId: callbackQuery.from?.id, action: `callback:${callbackQuery.data}` });
+    try {
+      await this.bot.answerCallbackQuery(callbackQuery.id, {
+        text: `⏳ 操作过于频繁，请 ${result.retryAfter} 秒后再试`
+      });
+    } catch (error) {
+      logger.error('Failed to answer rate limited callback', { chatId, error: error.message });
+    }
+    return false;
+  }
+
+  /**
+   * 回调操作所需的角色
+   */
+  getCallbackRole(data) {
+    if (data.startsWith('quick_buy_') || data.startsWith('quick_sell_') ||
+        data.startsWith('confirm_trade_') || data.startsWith('cancel_trade_') ||
+        data.startsWith('repeat_trade_')) {
+      return 'trader';
+    }
+    return CALLBACK_ROLES[data] || 'admin';
+  }
+
+  getDeniedMessage(chatId, requiredRole) {
+    const role = this.accessControl.getRole(chatId);
+    if (!role) {
+      return `⛔ 未授权的访问\n\n您的 Chat ID (${chatId}) 不在授权列表中，无法使用此机器人。`;
+    }
+    return `⛔ 权限不足\n\n此操作需要 ${this.accessControl.getRoleLabel(requiredRole)} 角色，您当前的角色是 ${this.accessControl.getRoleLabel(role)}。`;
+  }
+
+  logUnauthorizedAccess(chatId, from, action, requiredRole) {
+    logger.warn('Unauthorized access attempt', {
+      chatId,
+      userId: from?.id,
+      username: from?.username,
+      role: this.accessControl.getRole(chatId),
+      requiredRole,
+      action: this.redactSecrets(action)
+    });
+    this.auditLog.record('access_denied', {
+      chatId,
+      userId: from?.id,
+      username: from?.username,
+      requiredRole,
+      action: this.redactSecrets(action)
+    });
+  }
+
+  /**
+   * 记录已授权的命令，同一条消息匹配多个命令时只记录一次
+   */
+  auditCommand(msg) {
+    const chatId = msg.chat.id;
+    if (this.auditedMessages.get(chatId) === msg.message_id) return;
+    this.auditedMessages.set(chatId, msg.message_id);
+
+    this.auditLog.record('command', {
+      chatId,
+      userId: msg.from?.id,
+      username: msg.from?.username,
+      role: this.accessControl.getRole(chatId),
+      text: this.redactSecrets(msg.text)
+    });
+  }
+
+  /**
+   * 记录设置变更 (旧值 → 新值)
+   */
+  auditSettingChange(chatId, setting, oldValue, newValue) {
+    this.auditLog.record('setting_change', { chatId, setting, oldValue, newValue });
+  }
+
+  /**
+   * 移除命令中的敏感参数（如解锁密码），用于日志记录
+   */
+  redactSecrets(text) {
+    if (typeof text !== 'string') return text;
+    return text.replace(/^(\/unlock(?:@\S+)?)\s+.*/s, '$1 [REDACTED]');
   }
 
   setupCallbacks() {
-    this.bot.on('callback_query', (callbackQuery) => {
+    this.bot.on('callback_query', async (callbackQuery) => {
+      if (!(await this.checkCallbackRateLimit(callbackQuery))) return;
+      if (!(await this.authorizeCallbackQuery(callbackQuery))) return;
+      this.tradeManager.touchWallet();
+      this.auditLog.record('callback', {
+        chatId: callbackQuery.message.chat.id,
+        userId: callbackQuery.from?.id,
+        username: callbackQuery.from?.username,
+        data: callbackQuery.data
+      });
       this.handleCallbackQuery(callbackQuery);
     });
 
-    this.bot.on('message', (msg) => {
+    this.bot.on('message', async (msg) => {
       if (!msg.text || msg.text.startsWith('/')) return;
+      if (!(await this.checkMessageRateLimit(msg))) return;
+      if (!(await this.authorizeMessage(msg, 'viewer'))) return;
       this.handleTextMessage(msg);
     });
   }
@@ -197,6 +528,7 @@ class TelegramBot {
 
 👋 欢迎，${userName}！
 🆔 您的 Chat ID: \`${chatId}\`
+🔐 您的角色: ${this.accessControl.getRoleLabel(this.accessControl.getRole(chatId))}
 
 通过这个机器人，您可以：
 • 🧠 智能买卖代币 (自动选择最优路径)
@@ -251,12 +583,17 @@ class TelegramBot {
 
 *🧠 智能交易命令 (自动选择最优版本):*
 • \`/buy <代币地址> [BNB数量]\` - 智能购买代币 (可选数量，默认使用设置值)
-• \`/sell <代币地址> [数量/百分比]\` - 智能出售代币 (可选，默认100%)
+• \`/buyexact <代币地址> <代币数量> [最多BNB]\` - 买入正好指定数量的代币，多余的 BNB 退回
+• \`/sell <代币地址> [数量|百分比|max]\` - 智能出售代币 (可选，默认使用设置的卖出比例)
+• \`/buy <代币地址> 100 base=USDT\`、\`/sell <代币地址> max base=USDT\` - 用稳定币支付或接收 (BNB/USDT/BUSD/USDC)
+• \`/base [BNB|USDT|BUSD|USDC]\` - 查看或设置 /buy /sell 默认使用的资产 (管理员)
+• \`/swap <卖出代币> <买入代币> <数量|百分比|max>\` - 代币直接换仓，一笔交易完成并结转持仓成本
 
 *📊 查询命令：*
 • \`/price <代币地址>\` - 查询代币价格
-• \`/compare <代币地址>\` - 比较V2/V3价格和最优路由
+• \`/compare <代币地址> [BNB数量]\` - 比较V2/V3直连和多跳路由 (含跳数、费率和Gas)，大额时显示拆单方案
 • \`/liquidity <代币地址>\` - 详细检查流动性状况
+• \`/safety <代币地址>\` - 合约安全评分：所有权、代理升级、增发/黑名单/暂停/改税函数、限额、LP 销毁与锁仓 (也可用 \`/audit <代币地址>\`)
 • \`/balance\` - 查看钱包余额
 • \`/holdings\` - 查看代币持仓列表 (基于交易记录)
 
@@ -273,11 +610,78 @@ class TelegramBot {
 • \`/defaultbuy <BNB数量>\` - 设置默认购买数量
 • \`/defaultsell <百分比>\` - 设置默认卖出比例
 
+*🚨 紧急开关 (管理员)：*
+• \`/pause\` - 暂停所有交易 (查询命令不受影响)
+• \`/resume\` - 恢复交易
+
+*🚫 风控限额 (管理员)：*
+• \`/limits\` - 查看限额和使用情况
+• \`/limits set <项目> <数值>\` - 修改限额 (0 表示不限制)
+
+*🔐 钱包安全 (管理员)：*
+• \`/unlock <密码>\` - 解锁加密钱包 (仅限私聊，消息会被自动删除)
+• \`/lock\` - 立即锁定钱包
+
+*🎯 限价单：*
+• \`/limit buy <代币地址> <BNB数量> <价格>\` - 价格跌到目标价时买入
+• \`/limit sell <代币地址> <代币数量> <价格>\` - 价格涨到目标价时卖出
+• 价格默认以 BNB 计价，使用 \`$0.5\` 或 \`0.5usd\` 表示美元价格
+• \`/orders\` - 查看未成交的限价单
+• \`/cancel <订单ID>\` - 取消限价单
+
+*🛡️ 止损止盈：*
+• \`/buy <代币地址> <BNB数量> sl=10% tp=50%\` - 买入时附加止损止盈
+• \`/sl <代币地址> <10%|价格|off>\` - 设置或取消止损
+• \`/tp <代币地址> <50%|价格|off>\` - 设置或取消止盈
+• \`/trail <代币地址> <回撤%> [卖出比例%]\` - 移动止损，从最高价回落时卖出
+• 百分比相对持仓成本价，价格写法与限价单相同
+• \`/positions\` - 查看设置了止损止盈的持仓
+
+*🗓️ 定投：*
+• \`/dca create <代币地址> <BNB数量> <周期>\` - 创建定投计划
+• 周期支持 \`09:00\` (每天)、\`4h\` (间隔) 或 cron 表达式 \`0 9 * * 1\`
+• \`/dca list\` - 查看定投计划
+• \`/dca pause|resume|delete <计划ID>\` - 暂停、恢复或删除计划
+
+*⏱️ TWAP 分批执行：*
+• \`/twap buy <代币地址> <BNB总量> <份数> <间隔> [最大价格影响%]\` - 分批买入
+• \`/twap sell <代币地址> <数量|百分比|max> <份数> <间隔> [最大价格影响%]\` - 分批卖出
+• 间隔支持 \`30s\`、\`5m\`、\`1h\`，每份执行前重新询价，价格影响超限时跳过或暂停
+• \`/twap list\` - 查看进行中的计划
+• \`/twap cancel|resume <计划ID>\` - 取消或恢复计划
+
+*🎯 开盘狙击：*
+• \`/snipe <代币地址> <BNB数量> [最大税率%] [最大价格影响%]\` - 加流动性后自动买入
+• \`/snipe list\` - 查看监听中的狙击
+• \`/snipe cancel <狙击ID>\` - 撤销狙击
+
+*🔏 代币授权：*
+• \`/approvals\` - 查看已交易代币对 V2/V3 路由器的授权
+• \`/revoke <代币地址|all>\` - 将授权重置为 0
+• \`/approvalpolicy <exact|buffered|unlimited>\` - 设置授权策略 (管理员)
+
+*📤 转账 (管理员)：*
+• \`/send <BNB|代币> <数量|max> <别名|地址>\` - 转账到白名单地址
+• \`/allowlist\` - 查看提现白名单
+• \`/allowlist add <别名> <地址>\` - 添加白名单地址
+• \`/allowlist remove <别名>\` - 移除白名单地址
+
+*📜 审计日志 (管理员)：*
+• \`/audit [条数]\` - 查看最近的审计记录 (默认10条)
+• \`/audit verify\` - 校验哈希链是否被篡改
+
+*🔐 两步验证：*
+• \`/2fa\` - 查看2FA状态
+• \`/2fa setup\` - 绑定验证器 (仅限私聊)
+• \`/2fa disable\` - 解除绑定
+• 高额交易 (≥ ${config.TOTP_TRADE_THRESHOLD} BNB) 和修改设置时需要输入6位验证码
+
 *📝 使用示例：*
 • \`/buy 0x...token\` - 使用默认数量购买代币
 • \`/buy 0x...token 0.1\` - 用0.1 BNB购买代币
-• \`/sell 0x...token\` - 卖出全部持有量
+• \`/sell 0x...token\` - 按默认比例卖出持有量
 • \`/sell 0x...token 50%\` - 卖出50%持有量
+• \`/sell 0x...token max\` - 卖出全部持有量
 • \`/defaultbuy 0.05\` - 设置默认购买0.05 BNB
 
 *🚀 快速功能：*
@@ -345,6 +749,7 @@ class TelegramBot {
     
     // 如果没有参数，开始交互式购买流程
     if (!match) {
+      const baseAsset = this.tradeManager.settings.baseAsset;
       const message = `
 💰 *智能购买代币*
 
@@ -352,8 +757,8 @@ class TelegramBot {
 
 💡 *提示：*
 • 输入完整的代币合约地址
-• 系统将使用默认购买金额：${config.DEFAULT_BUY_AMOUNT} BNB
-• 也可以输入：\`/buy <代币地址> <BNB数量>\`
+• ${baseAsset === 'BNB' ? `系统将使用默认购买金额：${config.DEFAULT_BUY_AMOUNT} BNB` : `默认交易资产为 ${baseAsset}，需要指定购买数量`}
+• 也可以输入：\`/buy <代币地址> <${baseAsset}数量>\`
 
 📋 *常用代币：*
 • CAKE: \`0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82\`
@@ -377,20 +782,86 @@ class TelegramBot {
     }
     
     const tokenAddress = match[1];
-    const bnbAmount = match[2] || config.DEFAULT_BUY_AMOUNT.toString();
+    const options = this.parseBuyOptions(match[2]);
+    if (options.error) {
+      return this.bot.sendMessage(chatId, `❌ ${options.error}`);
+    }
+    const baseAsset = options.baseAsset || this.tradeManager.settings.baseAsset;
+    // 默认买入数量以 BNB 计，使用稳定币支付时必须写明数量
+    if (baseAsset !== 'BNB' && !options.amount) {
+      return this.bot.sendMessage(chatId, `❌ 使用 ${baseAsset} 支付时请指定数量，例如: /buy <代币地址> 100${options.baseAsset ? ` base=${baseAsset}` : ''}`);
+    }
+    const bnbAmount = options.amount || config.DEFAULT_BUY_AMOUNT.toString();
 
     if (!this.isValidAddress(tokenAddress)) {
       return this.bot.sendMessage(chatId, '❌ 无效的代币地址格式');
     }
 
     if (isNaN(bnbAmount) || parseFloat(bnbAmount) <= 0) {
-      return this.bot.sendMessage(chatId, '❌ 无效的BNB数量');
+      return this.bot.sendMessage(chatId, `❌ 无效的${baseAsset}数量`);
+    }
+
+    await this.executeBuy(chatId, tokenAddress, bnbAmount, options.exits, baseAsset);
+  }
+
+  /**
+   * 解析基础资产参数 "base=USDT"，返回 { matched, baseAsset, error }
+   */
+  parseBaseOption(arg) {
+    const baseMatch = arg.match(/^base=(.+)$/i);
+    if (!baseMatch) {
+      return { matched: false };
     }
+    const base = this.tradeManager.resolveBaseAsset(baseMatch[1]);
+    return base.valid ? { matched: true, baseAsset: base.symbol } : { matched: true, error: base.error };
+  }
 
-    await this.executeBuy(chatId, tokenAddress, bnbAmount);
+  /**
+   * 解析 /buy 代币地址之后的参数: [数量] [sl=10%] [tp=50%] [base=USDT]，返回 { amount, exits, baseAsset, error }
+   */
+  parseBuyOptions(text) {
+    const args = (text || '').trim().split(/\s+/).filter(Boolean);
+    let amount = null;
+    let exits = null;
+    let baseAsset = null;
+
+    for (const arg of args) {
+      const optionMatch = arg.match(/^(sl|tp)=(.+)$/i);
+      const baseOption = this.parseBaseOption(arg);
+      if (baseOption.matched) {
+        if (baseOption.error) {
+          return { error: baseOption.error };
+        }
+        baseAsset = baseOption.baseAsset;
+      } else if (optionMatch) {
+        const level = this.parseExitLevel(optionMatch[2]);
+        if (!level) {
+          return { error: `无效的${optionMatch[1].toLowerCase() === 'sl' ? '止损' : '止盈'}价位: ${optionMatch[2]}` };
+        }
+        exits = exits || {};
+        exits[optionMatch[1].toLowerCase() === 'sl' ? 'stopLoss' : 'takeProfit'] = level;
+      } else if (amount === null) {
+        amount = arg;
+      } else {
+        return { error: '用法: /buy <代币地址> [数量] [sl=10%] [tp=50%] [base=USDT]' };
+      }
+    }
+    return { amount, exits, baseAsset };
   }
   
-  async executeBuy(chatId, tokenAddress, bnbAmount) {
+  /**
+   * 快捷按钮和交互式买入按默认买入数量 (以 BNB 计) 买入，使用默认交易资产；
+   * 默认交易资产为稳定币时与 /buy 一样要求写明数量
+   */
+  async executeDefaultBuy(chatId, tokenAddress) {
+    const baseAsset = this.tradeManager.settings.baseAsset;
+    if (baseAsset !== 'BNB') {
+      return this.bot.sendMessage(chatId, `❌ 使用 ${baseAsset} 支付时请指定数量，例如: /buy ${tokenAddress} 100`);
+    }
+    await this.executeBuy(chatId, tokenAddress, config.DEFAULT_BUY_AMOUNT.toString(), null, baseAsset);
+  }
+
+  async executeBuy(chatId, tokenAddress, bnbAmount, exits = null, baseAsset = 'BNB') {
     const loadingMsg = await this.bot.sendMessage(chatId, '🔍 正在验证代币地址...');
 
     try {
@@ -402,36 +873,181 @@ class TelegramBot {
         return this.bot.sendMessage(chatId, '❌ 无效的代币地址或代币不存在', { parse_mode: 'Markdown' });
       }
 
-      const result = await this.handleSmartBuy(chatId, tokenAddress, bnbAmount);
+      await this.requestTradeConfirmation(chatId, { side: 'buy', tokenAddress, amount: bnbAmount, exits, baseAsset });
+
+    } catch (error) {
+      logger.error('Buy command error:', error);
+      try {
+        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+      } catch (e) {}
+      const errorMessage = error?.message || error?.reason || '购买过程中发生未知错误';
+      await this.bot.sendMessage(chatId, `❌ 购买过程中发生错误: ${errorMessage}`);
+    }
+  }
+
+  async performBuy(chatId, tokenAddress, bnbAmount, exits = null, baseAsset = 'BNB', minAmountOut = null) {
+    try {
+      const result = await this.handleSmartBuy(chatId, tokenAddress, bnbAmount, baseAsset, minAmountOut);
 
       if (result && result.success) {
         const versionLabel = result.type || 'Smart';
         const message = `
 ✅ *智能购买成功!*
 
-💰 支付: ${bnbAmount} BNB
+💰 支付: ${bnbAmount} ${baseAsset}
 🎯 获得: ${result.expectedAmount || 'N/A'} 代币
 📄 交易哈希: \`${result.txHash}\`
 ⛽ Gas 费用: ${result.gasUsed} wei
 🧠 选择策略: ${versionLabel}
-${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
+${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}${this.formatSplitLegs(result)}
         `;
         await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+
+        if (exits) {
+          await this.attachExitLevels(chatId, tokenAddress, exits);
+        }
       } else {
         const errorMessage = result?.error || result?.message || '交易执行失败，请稍后重试';
         await this.bot.sendMessage(chatId, `❌ 购买失败: ${errorMessage}`);
       }
 
     } catch (error) {
-      logger.error('Buy command error:', error);
-      try {
-        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
-      } catch (e) {}
+      logger.error('Buy execution error:', error);
       const errorMessage = error?.message || error?.reason || '购买过程中发生未知错误';
       await this.bot.sendMessage(chatId, `❌ 购买过程中发生错误: ${errorMessage}`);
     }
   }
 
+  async handleBuyExactCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+    if (args.length < 2 || args.length > 3) {
+      return this.bot.sendMessage(chatId, '❌ 用法: /buyexact <代币地址> <代币数量> [最多支付BNB]\n\n例如: /buyexact 0x... 1000000 0.2  (买入正好 1000000 个代币，最多支付 0.2 BNB)');
+    }
+
+    const [tokenAddress, tokenAmount, maxBNB] = args;
+    if (!this.isValidAddress(tokenAddress)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的代币地址格式');
+    }
+    if (isNaN(tokenAmount) || parseFloat(tokenAmount) <= 0) {
+      return this.bot.sendMessage(chatId, '❌ 无效的代币数量');
+    }
+    if (maxBNB !== undefined && (isNaN(maxBNB) || parseFloat(maxBNB) <= 0)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的最多支付BNB数量');
+    }
+
+    await this.requestTradeConfirmation(chatId, { side: 'buyexact', tokenAddress, amount: tokenAmount, maxBNB: maxBNB || null });
+  }
+
+  async performBuyExact(chatId, tokenAddress, tokenAmount, maxBNB) {
+    const progressMsg = await this.bot.sendMessage(chatId, '🎯 正在执行精确买入...');
+
+    try {
+      const result = await this.tradeManager.smartBuyExact(tokenAddress, tokenAmount, maxBNB);
+      try {
+        await this.bot.deleteMessage(chatId, progressMsg.message_id);
+      } catch (e) {}
+
+      if (!result.success) {
+        return this.bot.sendMessage(chatId, `❌ 精确买入失败: ${result.error}`);
+      }
+
+      await this.bot.sendMessage(chatId, `
+✅ *精确买入成功!*
+
+🎯 获得: ${result.tokenAmount} ${result.symbol}
+💰 实际支付: ${formatNumber(result.bnbSpent)} BNB
+↩️ 退回: ${formatNumber(result.refunded)} BNB (最多支付 ${formatNumber(result.amountInMax)} BNB)
+🧠 路由: ${result.routeOptimization.selectedRoute}
+📄 交易哈希: \`${result.txHash}\`
+⛽ Gas 费用: ${result.gasUsed} wei
+      `, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error('Exact buy execution error:', error);
+      try {
+        await this.bot.deleteMessage(chatId, progressMsg.message_id);
+      } catch (e) {}
+      await this.bot.sendMessage(chatId, `❌ 精确买入过程中发生错误: ${error?.message || '未知错误'}`);
+    }
+  }
+
+  async handleSwapCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+    if (args.length !== 3) {
+      return this.bot.sendMessage(chatId, '❌ 用法: /swap <卖出代币地址> <买入代币地址> <数量|百分比|max>\n\n例如: /swap 0x... 0x... 50%  (把一半持仓直接换成另一个代币)');
+    }
+
+    const [fromToken, toToken, amountText] = args;
+    if (!this.isValidAddress(fromToken) || !this.isValidAddress(toToken)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的代币地址格式');
+    }
+    if (fromToken.toLowerCase() === toToken.toLowerCase()) {
+      return this.bot.sendMessage(chatId, '❌ 卖出和买入的代币不能相同');
+    }
+    const swapAmount = this.parseSellAmount(amountText);
+    if (!swapAmount) {
+      return this.bot.sendMessage(chatId, '❌ 无效的数量，请使用代币数量、百分比 (如 25%) 或 max');
+    }
+
+    let amount = swapAmount.value;
+    let balance;
+    let share;
+    try {
+      ({ balance, amount: share } = await this.tradeManager.getTokenBalanceShare(fromToken, swapAmount.type === 'percent' ? swapAmount.value : 100));
+    } catch (error) {
+      logger.error('Swap balance lookup error:', error);
+      return this.bot.sendMessage(chatId, `❌ 查询余额失败: ${error?.message || '未知错误'}`);
+    }
+    if (!(parseFloat(balance) > 0)) {
+      return this.bot.sendMessage(chatId, '❌ 钱包中没有该代币或余额为0');
+    }
+    if (swapAmount.type === 'percent') {
+      amount = share;
+      if (!(parseFloat(amount) > 0)) {
+        return this.bot.sendMessage(chatId, `❌ 余额的 ${swapAmount.value}% 过小，无法换仓`);
+      }
+    } else if (parseFloat(amount) > parseFloat(balance)) {
+      return this.bot.sendMessage(chatId, `❌ 换仓数量超过余额\n💰 当前余额: ${balance}`);
+    }
+
+    await this.requestTradeConfirmation(chatId, { side: 'swap', tokenAddress: fromToken, toToken, amount });
+  }
+
+  async performSwap(chatId, fromToken, toToken, amount, minAmountOut = null) {
+    const progressMsg = await this.bot.sendMessage(chatId, '🔁 正在执行换仓...');
+
+    try {
+      const result = await this.tradeManager.smartSwapTokens(fromToken, toToken, amount, { minAmountOut });
+      try {
+        await this.bot.deleteMessage(chatId, progressMsg.message_id);
+      } catch (e) {}
+
+      if (!result.success) {
+        return this.bot.sendMessage(chatId, `❌ 换仓失败: ${result.error}`);
+      }
+
+      await this.bot.sendMessage(chatId, `
+✅ *换仓成功!*
+
+💸 卖出: ${amount} ${result.fromSymbol}
+🎯 获得: ${formatNumber(result.expectedAmount)} ${result.toSymbol}
+💵 结转成本: ${result.carriedCost !== null ? `${formatNumber(result.carriedCost)} BNB` : 'N/A'}
+🧠 路由: ${result.routeOptimization.selectedRoute}
+📄 交易哈希: \`${result.txHash}\`
+⛽ Gas 费用: ${result.gasUsed} wei
+      `, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error('Swap execution error:', error);
+      try {
+        await this.bot.deleteMessage(chatId, progressMsg.message_id);
+      } catch (e) {}
+      await this.bot.sendMessage(chatId, `❌ 换仓过程中发生错误: ${error?.message || '未知错误'}`);
+    }
+  }
+
   async handleSellCommand(msg, match) {
     const chatId = msg.chat.id;
     
@@ -444,8 +1060,8 @@ ${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
 
 💡 *提示：*
 • 输入完整的代币合约地址
-• 系统将卖出您钱包中的 ${config.DEFAULT_SELL_PERCENTAGE}% 代币
-• 也可以输入：\`/sell <代币地址> <代币数量>\`
+• 系统将卖出您钱包中的 ${this.tradeManager.settings.defaultSellPercentage}% 代币
+• 也可以输入：\`/sell <代币地址> <代币数量|25%|max>\`
 
 📋 *常用代币：*
 • CAKE: \`0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82\`
@@ -469,51 +1085,103 @@ ${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
     }
     
     const tokenAddress = match[1];
-    let tokenAmount = match[2];
+    const options = this.parseSellOptions(match[2]);
+    if (options.error) {
+      return this.bot.sendMessage(chatId, `❌ ${options.error}`);
+    }
+    const sellAmount = this.parseSellAmount(options.amount);
+    const baseAsset = options.baseAsset || this.tradeManager.settings.baseAsset;
 
     if (!this.isValidAddress(tokenAddress)) {
       return this.bot.sendMessage(chatId, '❌ 无效的代币地址格式');
     }
+    if (!sellAmount) {
+      return this.bot.sendMessage(chatId, '❌ 无效的卖出数量，请使用代币数量、百分比 (如 25%) 或 max');
+    }
 
-    // 如果没有指定数量，计算钱包中的代币数量并使用默认百分比
-    if (!tokenAmount) {
-      await this.executeSellWithBalance(chatId, tokenAddress);
+    // 没有指定数量时按默认比例卖出，百分比和 max 按实时余额计算
+    if (sellAmount.type === 'amount') {
+      await this.executeSell(chatId, tokenAddress, sellAmount.value, baseAsset);
     } else {
-      if (isNaN(tokenAmount) || parseFloat(tokenAmount) <= 0) {
-        return this.bot.sendMessage(chatId, '❌ 无效的代币数量');
+      await this.executeSellWithBalance(chatId, tokenAddress, sellAmount.value, baseAsset);
+    }
+  }
+
+  /**
+   * 解析 /sell 代币地址之后的参数: [数量|百分比|max] [base=USDT]，返回 { amount, baseAsset, error }
+   */
+  parseSellOptions(text) {
+    const args = (text || '').trim().split(/\s+/).filter(Boolean);
+    let amount = null;
+    let baseAsset = null;
+
+    for (const arg of args) {
+      const baseOption = this.parseBaseOption(arg);
+      if (baseOption.matched) {
+        if (baseOption.error) {
+          return { error: baseOption.error };
+        }
+        baseAsset = baseOption.baseAsset;
+      } else if (amount === null) {
+        amount = arg;
+      } else {
+        return { error: '用法: /sell <代币地址> [数量|百分比|max] [base=USDT]' };
       }
-      await this.executeSell(chatId, tokenAddress, tokenAmount);
     }
+    return { amount, baseAsset };
+  }
+
+  /**
+   * 解析卖出数量: "25%" 为余额百分比，"max" 为全部余额，其余为代币数量；未填写时使用默认卖出比例。
+   * 返回 { type: 'percent' | 'amount', value }，无效时返回 null
+   */
+  parseSellAmount(text) {
+    if (!text) {
+      return { type: 'percent', value: this.tradeManager.settings.defaultSellPercentage };
+    }
+    if (text.toLowerCase() === 'max') {
+      return { type: 'percent', value: 100 };
+    }
+
+    const percentMatch = text.match(/^([\d.]+)%$/);
+    if (percentMatch) {
+      const value = parseFloat(percentMatch[1]);
+      return value > 0 && value <= 100 ? { type: 'percent', value } : null;
+    }
+
+    if (isNaN(text) || parseFloat(text) <= 0) {
+      return null;
+    }
+    return { type: 'amount', value: text };
   }
   
-  async executeSellWithBalance(chatId, tokenAddress) {
+  async executeSellWithBalance(chatId, tokenAddress, percentage = this.tradeManager.settings.defaultSellPercentage, baseAsset = 'BNB') {
     const loadingMsg = await this.bot.sendMessage(chatId, '🔍 正在查询钱包余额...');
 
     try {
-      const balance = await this.tradeManager.getTokenBalance(tokenAddress);
+      const { balance, amount: sellAmount } = await this.tradeManager.getTokenBalanceShare(tokenAddress, percentage);
       
       if (!balance || parseFloat(balance) <= 0) {
         await this.bot.deleteMessage(chatId, loadingMsg.message_id);
         return this.bot.sendMessage(chatId, '❌ 钱包中没有该代币或余额为0');
       }
-      
-      // 计算要卖出的数量（使用默认百分比）
-      const sellAmount = (parseFloat(balance) * config.DEFAULT_SELL_PERCENTAGE / 100).toString();
+      if (!(parseFloat(sellAmount) > 0)) {
+        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+        return this.bot.sendMessage(chatId, `❌ 余额的 ${percentage}% 过小，无法卖出`);
+      }
       
       await this.bot.deleteMessage(chatId, loadingMsg.message_id);
       
-      const confirmMsg = `
+      const balanceMsg = `
 📊 *钱包代币余额*
 
 💰 总余额: ${balance} 代币
-📈 卖出比例: ${config.DEFAULT_SELL_PERCENTAGE}%
+📈 卖出比例: ${percentage}%
 💸 将卖出: ${sellAmount} 代币
-
-确认要执行卖出操作吗？
       `;
       
-      await this.bot.sendMessage(chatId, confirmMsg, { parse_mode: 'Markdown' });
-      await this.executeSell(chatId, tokenAddress, sellAmount);
+      await this.bot.sendMessage(chatId, balanceMsg, { parse_mode: 'Markdown' });
+      await this.executeSell(chatId, tokenAddress, sellAmount, baseAsset);
       
     } catch (error) {
       logger.error('Get token balance error:', error);
@@ -524,15 +1192,15 @@ ${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
     }
   }
   
-  async executeSell(chatId, tokenAddress, tokenAmount) {
+  async executeSell(chatId, tokenAddress, tokenAmount, baseAsset = 'BNB') {
     const loadingMsg = await this.bot.sendMessage(chatId, '🔍 正在验证代币地址和余额...');
 
     try {
-      const validation = await this.tradeManager.isValidTokenAddress(tokenAddress);
+      const validation = await this.tradeManager.validateTokenAddress(tokenAddress);
       
       if (!validation.valid) {
         await this.bot.deleteMessage(chatId, loadingMsg.message_id);
-        return this.bot.sendMessage(chatId, `❌ ${validation.reason}`);
+        return this.bot.sendMessage(chatId, `❌ ${validation.error}`);
       }
 
       // 检查代币余额
@@ -551,7 +1219,20 @@ ${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
       
       await this.bot.deleteMessage(chatId, loadingMsg.message_id);
 
-      const result = await this.handleSmartSell(chatId, tokenAddress, tokenAmount);
+      await this.requestTradeConfirmation(chatId, { side: 'sell', tokenAddress, amount: tokenAmount, baseAsset });
+
+    } catch (error) {
+      logger.error('Sell command error:', error);
+      try {
+        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+      } catch (e) {}
+      await this.bot.sendMessage(chatId, '❌ 出售过程中发生错误');
+    }
+  }
+
+  async performSell(chatId, tokenAddress, tokenAmount, baseAsset = 'BNB', minAmountOut = null) {
+    try {
+      const result = await this.handleSmartSell(chatId, tokenAddress, tokenAmount, baseAsset, minAmountOut);
 
       if (result && result.success) {
         const versionLabel = result.type || 'Smart';
@@ -559,11 +1240,11 @@ ${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
 ✅ *智能出售成功!*
 
 💸 出售: ${tokenAmount} 代币
-💰 获得: ${result.expectedAmount || 'N/A'} BNB
+💰 获得: ${result.expectedAmount || 'N/A'} ${baseAsset}
 📄 交易哈希: \`${result.txHash}\`
 ⛽ Gas 费用: ${result.gasUsed} wei
 🧠 选择策略: ${versionLabel}
-${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
+${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}${this.formatSplitLegs(result)}
         `;
         await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
       } else {
@@ -571,23 +1252,506 @@ ${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
       }
 
     } catch (error) {
-      logger.error('Sell command error:', error);
-      try {
-        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
-      } catch (e) {}
+      logger.error('Sell execution error:', error);
       await this.bot.sendMessage(chatId, '❌ 出售过程中发生错误');
     }
   }
 
-  async handleSmartBuy(chatId, tokenAddress, bnbAmount) {
-    const progressMsg = await this.bot.sendMessage(chatId, '🧠 正在比较 V2/V3 价格和检查流动性...');
+  /**
+   * 拆单成交的每一笔 (路由、比例和交易哈希或失败原因)，非拆单结果返回空字符串
+   */
+  formatSplitLegs(result) {
+    if (!result.splitLegs) {
+      return '';
+    }
+    const lines = result.splitLegs.map(leg => leg.success
+      ? `• ${leg.route} ${leg.percent}%: \`${leg.txHash}\``
+      : `• ${leg.route} ${leg.percent}%: ❌ ${leg.error}`);
+    return `\n✂️ 拆单${result.partial ? ' (部分成交)' : ''}:\n${lines.join('\n')}`;
+  }
+
+  /**
+   * 买卖模拟结果的一行摘要 (用于 Markdown 消息，回滚原因中的 Markdown 字符会被去掉)
+   */
+  formatTaxCheck(taxCheck) {
+    const plain = text => text.replace(/[_*`\[\]]/g, '');
+    if (!taxCheck || !taxCheck.success) {
+      return `🍯 税率检测: 无法模拟 (${plain(taxCheck?.error || '未知原因')})`;
+    }
+    if (taxCheck.blocked) {
+      return `🍯 税率检测: ⛔ ${plain(taxCheck.blockReason)}`;
+    }
+    return `🍯 税率检测: ✅ 买入税 ${taxCheck.buyTax.toFixed(2)}% / 卖出税 ${taxCheck.sellTax.toFixed(2)}% (可以卖出)`;
+  }
+
+  /**
+   * 发送交易确认卡片，用户点击确认后才执行交易
+   */
+  async requestTradeConfirmation(chatId, trade, options = {}) {
+    // 相同的交易请求在去重窗口内只处理一次，除非用户再次确认。
+    // 检查和占用之间没有 await，连续点击时第二次请求一定能看到第一次的占用
+    const recent = this.getRecentTradeRequest(chatId, trade);
+    if (recent && !options.force) {
+      return this.sendDuplicateTradeNotice(chatId, trade, recent.requestedAt);
+    }
+    const reservation = this.reserveTradeRequest(chatId, trade);
 
     try {
-      const result = await this.tradeManager.smartBuyOptimal(tokenAddress, bnbAmount);
-      
-      await this.bot.deleteMessage(chatId, progressMsg.message_id);
-      
-      // 如果交易成功，显示流动性信息
+      await this.sendTradeConfirmation(chatId, { ...trade, reservation });
+    } finally {
+      // 没有发出确认卡片 (风控拒绝、报价失败、被拦截或出错) 时释放占用
+      const entry = this.recentTradeRequests.get(this.getTradeRequestKey(chatId, trade));
+      if (entry && entry.reservation === reservation && !entry.carded) {
+        this.releaseTradeRequest(chatId, trade, reservation);
+      }
+    }
+  }
+
+  async sendTradeConfirmation(chatId, trade) {
+    const isBuy = trade.side === 'buy';
+
+    if (trade.side === 'buyexact') {
+      return this.requestExactBuyConfirmation(chatId, trade);
+    }
+    if (trade.side === 'swap') {
+      return this.requestSwapConfirmation(chatId, trade);
+    }
+
+    const baseAsset = trade.baseAsset || 'BNB';
+    if (isBuy) {
+      const bnbValue = await this.tradeManager.getBaseAssetValueInBNB(trade.amount, baseAsset);
+      if (bnbValue === null) {
+        return this.bot.sendMessage(chatId, '❌ 无法获取BNB价格，暂时不能使用稳定币交易');
+      }
+      const riskCheck = this.tradeManager.checkBuyRisk(trade.tokenAddress, bnbValue);
+      if (!riskCheck.allowed) {
+        return this.bot.sendMessage(chatId, riskCheck.error);
+      }
+    }
+
+    const loadingMsg = await this.bot.sendMessage(chatId, '🧠 正在获取最优路由报价...');
+
+    try {
+      const quote = await this.tradeManager.getTradeQuote(trade.tokenAddress, trade.amount, isBuy, baseAsset);
+
+      await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+
+      if (!quote.success) {
+        return this.bot.sendMessage(chatId, `❌ 获取报价失败: ${quote.error}`);
+      }
+      if (isBuy && quote.taxCheck.blocked) {
+        return this.bot.sendMessage(chatId, `⛔ 已拦截买入 ${quote.symbol}: ${quote.taxCheck.blockReason}\n\n税率上限由 MAX_TOKEN_TAX 配置`);
+      }
+
+      this.prunePendingTrades();
+      this.markTradeCarded(chatId, trade);
+      const tradeId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+      const ttlSeconds = config.QUOTE_TTL_SECONDS;
+      this.pendingTrades.set(tradeId, {
+        ...trade,
+        chatId,
+        quote,
+        expiresAt: Date.now() + ttlSeconds * 1000
+      });
+
+      const outputUnit = isBuy ? quote.symbol : baseAsset;
+      const liquidity = quote.liquidity;
+      const liquidityLine = liquidity
+        ? `${liquidity.emoji || ''} ${liquidity.level || '未知'} (${liquidity.liquidityInBNB} BNB, ${liquidity.ratio?.toFixed(1) || '?'}x)`
+        : '未知';
+
+      const message = `
+🧾 *交易确认*
+
+📋 类型: ${isBuy ? '🛒 买入' : '💸 卖出'}
+🪙 代币: ${quote.symbol} (\`${formatAddress(trade.tokenAddress)}\`)
+${isBuy ? `💰 支付: ${trade.amount} ${baseAsset}` : `💸 卖出: ${trade.amount} ${quote.symbol}`}
+🧠 路由: ${quote.route}${quote.split ? `\n✂️ 分 ${quote.split.legs.length} 笔执行，比单一路由 ${quote.split.single.route} 多获得 ${quote.split.improvement} (已扣除Gas)` : ''}
+🎯 预期获得: ${formatNumber(quote.expectedAmount)} ${outputUnit}
+🛡️ 最少获得: ${formatNumber(quote.minimumAmount)} ${outputUnit} (滑点 ${quote.slippage}%)
+⛽ 预估Gas: ≤ ${quote.estimatedGasBNB.toFixed(6)} BNB
+💧 流动性: ${liquidityLine}
+${this.formatTaxCheck(quote.taxCheck)}${this.formatExitOptions(trade.exits)}
+
+⏰ 报价有效期 ${ttlSeconds} 秒，过期后确认将重新报价
+      `;
+
+      await this.bot.sendMessage(chatId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '✅ 确认', callback_data: `confirm_trade_${tradeId}` },
+              { text: '❌ 取消', callback_data: `cancel_trade_${tradeId}` }
+            ]
+          ]
+        }
+      });
+
+    } catch (error) {
+      logger.error('Trade quote error:', error);
+      try {
+        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+      } catch (e) {}
+      await this.bot.sendMessage(chatId, '❌ 获取报价时发生错误');
+    }
+  }
+
+  /**
+   * 精确输出买入的确认卡片，报价为买到指定数量所需的 BNB
+   */
+  async requestExactBuyConfirmation(chatId, trade) {
+    const loadingMsg = await this.bot.sendMessage(chatId, '🧠 正在计算买入所需的 BNB...');
+
+    try {
+      const quote = await this.tradeManager.getExactOutputQuote(trade.tokenAddress, trade.amount);
+
+      await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+
+      if (!quote.success) {
+        return this.bot.sendMessage(chatId, `❌ 获取报价失败: ${quote.error}`);
+      }
+
+      const cap = this.tradeManager.getExactInputCap(quote.bestRoute.amountIn, trade.maxBNB);
+      if (!cap.success) {
+        return this.bot.sendMessage(chatId, cap.error);
+      }
+      const amountInMax = parseFloat(ethers.formatEther(cap.amountInMax));
+
+      const riskCheck = this.tradeManager.checkBuyRisk(trade.tokenAddress, amountInMax);
+      if (!riskCheck.allowed) {
+        return this.bot.sendMessage(chatId, riskCheck.error);
+      }
+      const taxCheck = await this.tradeManager.simulateTokenTax(trade.tokenAddress, amountInMax);
+      if (taxCheck.blocked) {
+        return this.bot.sendMessage(chatId, `⛔ 已拦截买入 ${quote.symbol}: ${taxCheck.blockReason}\n\n税率上限由 MAX_TOKEN_TAX 配置`);
+      }
+
+      this.prunePendingTrades();
+      this.markTradeCarded(chatId, trade);
+      const tradeId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+      const ttlSeconds = config.QUOTE_TTL_SECONDS;
+      this.pendingTrades.set(tradeId, {
+        ...trade,
+        chatId,
+        quote: { symbol: quote.symbol, route: quote.bestRoute.route, amountIn: quote.bestRoute.amountInBNB, amountInMax },
+        expiresAt: Date.now() + ttlSeconds * 1000
+      });
+
+      const routeLines = quote.quotes
+        .map(q => `   ${q.route}: ${formatNumber(q.amountInBNB)} BNB${q === quote.bestRoute ? ' 👑' : ''}`)
+        .join('\n');
+      const estimatedGasBNB = this.tradeManager.settings.gasLimit * this.tradeManager.settings.gasPrice / 1e9;
+
+      const message = `
+🧾 *交易确认*
+
+📋 类型: 🎯 精确买入
+🪙 代币: ${quote.symbol} (\`${formatAddress(trade.tokenAddress)}\`)
+🎯 买入数量: ${trade.amount} ${quote.symbol}
+🧠 路由: ${quote.bestRoute.route}
+${routeLines}
+💰 预计支付: ${formatNumber(quote.bestRoute.amountInBNB)} BNB
+🛡️ 最多支付: ${formatNumber(amountInMax)} BNB (滑点 ${this.tradeManager.settings.slippage}%${trade.maxBNB ? `，上限 ${trade.maxBNB} BNB` : ''})
+⛽ 预估Gas: ≤ ${estimatedGasBNB.toFixed(6)} BNB
+${this.formatTaxCheck(taxCheck)}
+
+未用完的 BNB 会在同一笔交易中退回钱包
+⏰ 报价有效期 ${ttlSeconds} 秒，过期后确认将重新报价
+      `;
+
+      await this.bot.sendMessage(chatId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '✅ 确认', callback_data: `confirm_trade_${tradeId}` },
+              { text: '❌ 取消', callback_data: `cancel_trade_${tradeId}` }
+            ]
+          ]
+        }
+      });
+
+    } catch (error) {
+      logger.error('Exact buy quote error:', error);
+      try {
+        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+      } catch (e) {}
+      await this.bot.sendMessage(chatId, '❌ 获取报价时发生错误');
+    }
+  }
+
+  /**
+   * 换仓的确认卡片，显示两个代币之间的最优路由和报价
+   */
+  async requestSwapConfirmation(chatId, trade) {
+    const loadingMsg = await this.bot.sendMessage(chatId, '🧠 正在比较换仓路由...');
+
+    try {
+      const quote = await this.tradeManager.getSwapRoute(trade.tokenAddress, trade.toToken, trade.amount);
+
+      await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+
+      if (!quote.success) {
+        return this.bot.sendMessage(chatId, `❌ 获取报价失败: ${quote.error}`);
+      }
+      if (quote.bnbValue !== null) {
+        const riskCheck = this.tradeManager.checkBuyRisk(trade.toToken, quote.bnbValue, { source: 'swap' });
+        if (!riskCheck.allowed) {
+          return this.bot.sendMessage(chatId, riskCheck.error);
+        }
+      }
+      const taxCheck = await this.tradeManager.simulateTokenTax(trade.toToken, quote.bnbValue ?? undefined);
+      if (taxCheck.blocked) {
+        return this.bot.sendMessage(chatId, `⛔ 已拦截换入 ${quote.to.symbol}: ${taxCheck.blockReason}\n\n税率上限由 MAX_TOKEN_TAX 配置`);
+      }
+
+      const best = quote.allQuotes[0];
+      const slippage = this.tradeManager.settings.slippage;
+      const minimumAmount = best.expectedAmount * (100 - slippage) / 100;
+
+      this.prunePendingTrades();
+      this.markTradeCarded(chatId, trade);
+      const tradeId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+      const ttlSeconds = config.QUOTE_TTL_SECONDS;
+      this.pendingTrades.set(tradeId, {
+        ...trade,
+        chatId,
+        quote: { symbol: `${quote.from.symbol} → ${quote.to.symbol}`, bnbValue: quote.bnbValue, minimumAmount },
+        expiresAt: Date.now() + ttlSeconds * 1000
+      });
+
+      const routeLines = quote.allQuotes
+        .map(q => `   ${this.tradeManager.describeRoute(q.quote)}: ${formatNumber(q.expectedAmount)}${q === best ? ' 👑' : ''}`)
+        .join('\n');
+
+      const message = `
+🧾 *交易确认*
+
+📋 类型: 🔁 换仓
+💸 卖出: ${trade.amount} ${quote.from.symbol} (\`${formatAddress(trade.tokenAddress)}\`)
+🪙 买入: ${quote.to.symbol} (\`${formatAddress(trade.toToken)}\`)
+🧠 路由: ${this.tradeManager.describeRoute(quote.bestRoute)}
+${routeLines}
+🎯 预期获得: ${formatNumber(best.expectedAmount)} ${quote.to.symbol}
+🛡️ 最少获得: ${formatNumber(minimumAmount)} ${quote.to.symbol} (滑点 ${slippage}%)
+💰 价值: ${quote.bnbValue !== null ? `约 ${formatNumber(quote.bnbValue)} BNB` : '未知'}
+⛽ 预估Gas: ${best.gasBNB.toFixed(6)} BNB
+${this.formatTaxCheck(taxCheck)}
+
+卖出部分的持仓成本会结转到新代币
+⏰ 报价有效期 ${ttlSeconds} 秒，过期后确认将重新报价
+      `;
+
+      await this.bot.sendMessage(chatId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '✅ 确认', callback_data: `confirm_trade_${tradeId}` },
+              { text: '❌ 取消', callback_data: `cancel_trade_${tradeId}` }
+            ]
+          ]
+        }
+      });
+
+    } catch (error) {
+      logger.error('Swap quote error:', error);
+      try {
+        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+      } catch (e) {}
+      await this.bot.sendMessage(chatId, '❌ 获取报价时发生错误');
+    }
+  }
+
+  /**
+   * 处理确认卡片上的确认/取消操作
+   */
+  async handleTradeDecision(callbackQuery, tradeId, confirmed) {
+    const chatId = callbackQuery.message.chat.id;
+    const messageId = callbackQuery.message.message_id;
+    const pending = this.pendingTrades.get(tradeId);
+
+    if (!pending || pending.chatId !== chatId) {
+      return this.bot.answerCallbackQuery(callbackQuery.id, { text: '❌ 该交易已处理或已失效' });
+    }
+
+    // 先移除，防止重复点击导致重复执行
+    this.pendingTrades.delete(tradeId);
+    await this.bot.answerCallbackQuery(callbackQuery.id, { text: confirmed ? '⏳ 正在处理...' : '已取消' });
+    try {
+      await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+    } catch (e) {}
+
+    const trade = { side: pending.side, tokenAddress: pending.tokenAddress, amount: pending.amount, exits: pending.exits, maxBNB: pending.maxBNB, baseAsset: pending.baseAsset, toToken: pending.toToken };
+
+    if (!confirmed) {
+      this.releaseTradeRequest(chatId, trade, pending.reservation);
+      return this.bot.sendMessage(chatId, '❌ 交易已取消');
+    }
+
+    if (Date.now() > pending.expiresAt) {
+      await this.bot.sendMessage(chatId, '⏰ 报价已过期，正在重新报价...');
+      return this.requestTradeConfirmation(chatId, trade, { force: true });
+    }
+
+    // 确认时再次检查：相同交易已由另一张卡片确认或重新提交时按重复处理
+    const recent = this.getRecentTradeRequest(chatId, trade);
+    if (recent && recent.reservation !== pending.reservation) {
+      return this.sendDuplicateTradeNotice(chatId, trade, recent.requestedAt);
+    }
+    this.markTradeRequest(chatId, trade, pending.reservation);
+
+    // 执行时重新路由，成交不能低于卡片上确认的最少获得数量
+    const execute = () => {
+      if (trade.side === 'buy') return this.performBuy(chatId, trade.tokenAddress, trade.amount, trade.exits, trade.baseAsset, pending.quote.minimumAmount);
+      // 精确买入以卡片上确认的最多支付为硬上限 (已不超过用户指定的上限)，风控和 2FA 也按它计算
+      if (trade.side === 'buyexact') return this.performBuyExact(chatId, trade.tokenAddress, trade.amount, pending.quote.amountInMax);
+      if (trade.side === 'swap') return this.performSwap(chatId, trade.tokenAddress, trade.toToken, trade.amount, pending.quote.minimumAmount);
+      return this.performSell(chatId, trade.tokenAddress, trade.amount, trade.baseAsset, pending.quote.minimumAmount);
+    };
+
+    // 买入按支付数量、卖出按预期获得数量折合BNB计算交易价值，精确买入按最多支付的BNB计算；
+    // 稳定币交易无法折算时按大额交易处理
+    const bnbValue = trade.side === 'buyexact' ? pending.quote.amountInMax : pending.quote.bnbValue;
+    if (bnbValue === null || this.twoFactor.isHighValueTrade(bnbValue)) {
+      const action = { sell: '卖出', swap: '换仓' }[trade.side] || '买入';
+      const valueText = bnbValue === null ? '价值未知' : `约 ${formatNumber(bnbValue)} BNB`;
+      return this.requireSecondFactor(chatId, `${action} ${pending.quote.symbol} (${valueText})`, execute);
+    }
+
+    await execute();
+  }
+
+  getTradeRequestKey(chatId, trade) {
+    const counterpart = trade.toToken ? trade.toToken.toLowerCase() : (trade.baseAsset || 'BNB');
+    return `${chatId}:${trade.side}:${trade.tokenAddress.toLowerCase()}:${parseFloat(trade.amount)}:${counterpart}`;
+  }
+
+  /**
+   * 返回去重窗口内相同交易请求的记录 { requestedAt, reservation, carded }，没有则返回 null
+   */
+  getRecentTradeRequest(chatId, trade) {
+    const windowMs = config.TRADE_DEDUP_SECONDS * 1000;
+    const now = Date.now();
+    for (const [key, entry] of this.recentTradeRequests) {
+      if (now - entry.requestedAt > windowMs) {
+        this.recentTradeRequests.delete(key);
+      }
+    }
+    return this.recentTradeRequests.get(this.getTradeRequestKey(chatId, trade)) || null;
+  }
+
+  /**
+   * 同步占用去重键，返回占用标识；确认卡片和确认操作通过该标识判断是否仍持有占用
+   */
+  reserveTradeRequest(chatId, trade) {
+    const reservation = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    this.markTradeRequest(chatId, trade, reservation, false);
+    return reservation;
+  }
+
+  markTradeRequest(chatId, trade, reservation, carded = true) {
+    this.recentTradeRequests.set(this.getTradeRequestKey(chatId, trade), { requestedAt: Date.now(), reservation, carded });
+  }
+
+  /**
+   * 确认卡片已发出，占用在卡片取消前保持
+   */
+  markTradeCarded(chatId, trade) {
+    const entry = this.recentTradeRequests.get(this.getTradeRequestKey(chatId, trade));
+    if (entry && entry.reservation === trade.reservation) {
+      entry.carded = true;
+      entry.requestedAt = Date.now();
+    }
+  }
+
+  /**
+   * 释放占用 (仅当仍由该标识持有时)，之后相同请求不再视为重复
+   */
+  releaseTradeRequest(chatId, trade, reservation) {
+    const key = this.getTradeRequestKey(chatId, trade);
+    const entry = this.recentTradeRequests.get(key);
+    if (entry && entry.reservation === reservation) {
+      this.recentTradeRequests.delete(key);
+    }
+  }
+
+  async sendDuplicateTradeNotice(chatId, trade, lastRequestedAt) {
+    const duplicateId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    this.duplicateTrades.set(duplicateId, { ...trade, chatId, createdAt: Date.now() });
+    for (const [id, duplicate] of this.duplicateTrades) {
+      if (Date.now() - duplicate.createdAt > 60 * 60 * 1000) {
+        this.duplicateTrades.delete(id);
+      }
+    }
+
+    const secondsAgo = Math.round((Date.now() - lastRequestedAt) / 1000);
+    const amountText = trade.side === 'buy' ? `${trade.amount} ${trade.baseAsset || 'BNB'}`
+      : trade.side === 'swap' ? `${trade.amount} 代币 → \`${formatAddress(trade.toToken)}\``
+        : `${trade.amount} 代币`;
+    logger.warn('Duplicate trade request blocked', { chatId, ...trade });
+
+    await this.bot.sendMessage(chatId, `
+⚠️ *重复的交易请求*
+
+${secondsAgo} 秒前已提交相同的${{ sell: '卖出', swap: '换仓' }[trade.side] || '买入'}请求:
+🪙 \`${formatAddress(trade.tokenAddress)}\` ${amountText}
+
+本次请求已忽略。如确实需要再交易一次，请点击下方按钮。
+    `, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[{ text: '🔁 再交易一次', callback_data: `repeat_trade_${duplicateId}` }]]
+      }
+    });
+  }
+
+  /**
+   * 用户再次确认被拦截的重复交易
+   */
+  async handleRepeatTrade(callbackQuery, duplicateId) {
+    const chatId = callbackQuery.message.chat.id;
+    const duplicate = this.duplicateTrades.get(duplicateId);
+
+    if (!duplicate || duplicate.chatId !== chatId) {
+      return this.bot.answerCallbackQuery(callbackQuery.id, { text: '❌ 该请求已处理或已失效' });
+    }
+
+    this.duplicateTrades.delete(duplicateId);
+    await this.bot.answerCallbackQuery(callbackQuery.id);
+    try {
+      await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: callbackQuery.message.message_id });
+    } catch (e) {}
+
+    const trade = { side: duplicate.side, tokenAddress: duplicate.tokenAddress, amount: duplicate.amount, exits: duplicate.exits, maxBNB: duplicate.maxBNB, baseAsset: duplicate.baseAsset, toToken: duplicate.toToken };
+    await this.requestTradeConfirmation(chatId, trade, { force: true });
+  }
+
+  /**
+   * 清理长时间未处理的待确认交易
+   */
+  prunePendingTrades() {
+    const cutoff = Date.now() - 60 * 60 * 1000;
+    for (const [tradeId, pending] of this.pendingTrades) {
+      if (pending.expiresAt < cutoff) {
+        this.pendingTrades.delete(tradeId);
+      }
+    }
+  }
+
+  /**
+   * minAmountOut 为确认卡片上的最少获得数量，重新路由后低于它时不执行
+   */
+  async handleSmartBuy(chatId, tokenAddress, bnbAmount, baseAsset = 'BNB', minAmountOut = null) {
+    const progressMsg = await this.bot.sendMessage(chatId, '🧠 正在比较 V2/V3 价格和检查流动性...');
+
+    try {
+      const result = await this.tradeManager.smartBuyOptimal(tokenAddress, bnbAmount, { baseAsset, minAmountOut });
+      
+      await this.bot.deleteMessage(chatId, progressMsg.message_id);
+      
+      // 如果交易成功，显示流动性信息
       if (result.success && result.liquidityInfo) {
         const liquidity = result.liquidityInfo;
         let liquidityWarning = '';
@@ -614,11 +1778,11 @@ ${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
     }
   }
 
-  async handleSmartSell(chatId, tokenAddress, tokenAmount) {
+  async handleSmartSell(chatId, tokenAddress, tokenAmount, baseAsset = 'BNB', minAmountOut = null) {
     const progressMsg = await this.bot.sendMessage(chatId, '🧠 正在比较 V2/V3 价格和检查流动性...');
 
     try {
-      const result = await this.tradeManager.smartSellOptimal(tokenAddress, tokenAmount);
+      const result = await this.tradeManager.smartSellOptimal(tokenAddress, tokenAmount, { baseAsset, minAmountOut });
       
       await this.bot.deleteMessage(chatId, progressMsg.message_id);
       
@@ -660,7 +1824,10 @@ ${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
     const loadingMsg = await this.bot.sendMessage(chatId, '📊 正在获取价格信息...');
 
     try {
-      const priceInfo = await this.tradeManager.getTokenPrice(tokenAddress);
+      const [priceInfo, taxCheck] = await Promise.all([
+        this.tradeManager.getTokenPrice(tokenAddress),
+        this.tradeManager.simulateTokenTax(tokenAddress)
+      ]);
       
       await this.bot.deleteMessage(chatId, loadingMsg.message_id);
 
@@ -673,6 +1840,7 @@ ${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
 🔸 BNB 价格: ${priceInfo.priceInBNB} BNB
 🏷️ 代币符号: ${priceInfo.symbol}
 💧 流动性: ${priceInfo.liquidity === 'N/A' ? '正常' : priceInfo.liquidity + ' BNB'}
+${this.formatTaxCheck(taxCheck)}
         `;
         await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
       } else {
@@ -690,225 +1858,1571 @@ ${result.fee ? `💱 池子费率: ${result.fee/10000}%` : ''}
 
   async handleCompareCommand(msg, match) {
     const chatId = msg.chat.id;
-    const tokenAddress = match[1];
+    const [tokenAddress, amountArg] = match[1].trim().split(/\s+/);
+    const bnbAmount = amountArg || '0.001';
+
+    if (!this.isValidAddress(tokenAddress)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的地址格式');
+    }
+    if (isNaN(bnbAmount) || parseFloat(bnbAmount) <= 0) {
+      return this.bot.sendMessage(chatId, '❌ 无效的BNB数量');
+    }
+
+    const loadingMsg = await this.bot.sendMessage(chatId, '🔍 正在比较V2、V3和多跳路由价格（包含流动性检查）...');
+
+    try {
+      // 获取详细路由信息 (买入)
+      const buyRouteInfo = await this.tradeManager.getBestRoute(tokenAddress, bnbAmount, true);
+      const split = buyRouteInfo.success ? await this.tradeManager.getSplitRoute(tokenAddress, bnbAmount, true, buyRouteInfo) : null;
+      const taxCheck = buyRouteInfo.success ? await this.tradeManager.simulateTokenTax(tokenAddress, bnbAmount) : null;
+      
+      await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+
+      if (buyRouteInfo.success) {
+        // 构建所有报价信息
+        let allQuotesInfo = '✅ *可用路由*:\n';
+        // allQuotes 已按扣除Gas后的净输出排序
+        buyRouteInfo.allQuotes.forEach(q => {
+          const isBest = q.quote === buyRouteInfo.bestRoute ? ' 👑' : '';
+          allQuotesInfo += `• ${this.tradeManager.describeRoute(q.quote)}: ${q.expectedAmount} 代币${isBest}\n`;
+          allQuotesInfo += `  ⛽ Gas: ~${q.gasBNB.toFixed(6)} BNB，净获得 ${q.netAmount.toPrecision(6)} 代币\n`;
+          if (q.liquidityInfo) {
+            const poolAddress = q.liquidityInfo.poolAddress || q.liquidityInfo.pairAddress || 'N/A';
+            const shortAddress = poolAddress !== 'N/A' ? `${poolAddress.slice(0,6)}...${poolAddress.slice(-4)}` : 'N/A';
+            allQuotesInfo += `  💧 流动性: ${q.liquidityInfo.liquidityInBNB} BNB ${q.liquidityInfo.emoji} (${q.liquidityInfo.ratio.toFixed(1)}x)\n`;
+            allQuotesInfo += `  🏠 池子: \`${shortAddress}\`\n`;
+          } else {
+            allQuotesInfo += `  🔀 ${q.quote.hops.length - 1} 跳，经过 ${q.quote.hops.slice(1, -1).join('、')}\n`;
+          }
+          allQuotesInfo += '\n';
+        });
+
+        // 构建被拒绝的路由信息
+        let rejectedInfo = '';
+        if (buyRouteInfo.rejectedQuotes && buyRouteInfo.rejectedQuotes.length > 0) {
+          rejectedInfo = '\n❌ *不可用路由*:\n';
+          buyRouteInfo.rejectedQuotes.forEach(rq => {
+            const reason = rq.rejectedReason === 'liquidity' ? '流动性不足' : 
+                          rq.rejectedReason === 'pool_not_exist' ? '池子不存在' : 
+                          rq.rejectedReason === 'quote_failed' ? '报价失败' : '未知原因';
+            const poolAddress = rq.liquidityInfo ? (rq.liquidityInfo.poolAddress || rq.liquidityInfo.pairAddress) : 'N/A';
+            const shortAddress = poolAddress !== 'N/A' ? `${poolAddress.slice(0,6)}...${poolAddress.slice(-4)}` : 'N/A';
+            if (rq.hops) {
+              rejectedInfo += `• ${this.tradeManager.describeRoute(rq)}: ${reason}\n\n`;
+              return;
+            }
+            const feeStr = rq.fee ? ` (${rq.fee/10000}%)` : '';
+            rejectedInfo += `• ${rq.version.toUpperCase()}${feeStr}: ${reason}\n`;
+            if (rq.liquidityInfo) {
+              rejectedInfo += `  💧 流动性: ${rq.liquidityInfo.liquidityInBNB} BNB ${rq.liquidityInfo.emoji} (${rq.liquidityInfo.ratio.toFixed(1)}x)\n`;
+            }
+            rejectedInfo += `  🏠 池子: \`${shortAddress}\`\n\n`;
+          });
+        }
+
+        // 拆单与最优单一路由的对比
+        let splitInfo = '';
+        if (split) {
+          splitInfo = `\n✂️ *拆单方案* (净获得提升 ${split.improvement}):\n`;
+          split.legs.forEach(leg => {
+            splitInfo += `• ${leg.route} ${leg.percent}%: ${formatNumber(leg.amount)} BNB → ${leg.expectedAmount.toPrecision(6)} 代币\n`;
+          });
+          splitInfo += `• 合计获得: ${split.expectedAmount.toPrecision(6)} 代币，扣除 ${split.legs.length} 笔Gas (~${split.gasBNB.toFixed(6)} BNB) 后 ${split.netAmount.toPrecision(6)} 代币\n`;
+          splitInfo += `• 单一路由 ${split.single.route}: ${split.single.expectedAmount.toPrecision(6)} 代币，扣除Gas后 ${split.single.netAmount.toPrecision(6)} 代币\n`;
+        } else if (parseFloat(bnbAmount) >= config.SPLIT_ROUTE_MIN_BNB) {
+          splitInfo = '\n✂️ 拆单不如单一路由，按单一路由成交\n';
+        }
+
+        // 最优路由信息
+        const bestPoolAddress = buyRouteInfo.bestPoolAddress;
+        const bestShortAddress = bestPoolAddress ? `${bestPoolAddress.slice(0,6)}...${bestPoolAddress.slice(-4)}` : 'N/A';
+
+        const message = `
+🔍 *流动性与价格分析报告*
+
+🪙 代币: \`${tokenAddress}\`
+💰 买入金额: ${bnbAmount} BNB
+
+${allQuotesInfo}${rejectedInfo}${splitInfo}
+🏆 *最优选择*:
+• 路由: ${this.tradeManager.describeRoute(buyRouteInfo.bestRoute)}
+• 预期获得: ${buyRouteInfo.comparison.bestPrice} 代币
+• 扣除Gas后: ${buyRouteInfo.comparison.bestNetAmount.toPrecision(6)} 代币
+• 池子地址: \`${bestPoolAddress || 'N/A'}\`
+• 流动性等级: ${buyRouteInfo.bestLiquidity?.level || '未知'} ${buyRouteInfo.bestLiquidity?.emoji || ''}
+
+${this.formatTaxCheck(taxCheck)}
+
+📊 *统计*:
+• 可用路由: ${buyRouteInfo.comparison.totalQuotes}
+• 被拒路由: ${buyRouteInfo.comparison.totalRejected || 0}
+• 价格提升: ${buyRouteInfo.comparison.improvement}
+
+💡 ${split ? '使用 /buy 买入该数量时将按上面的拆单方案分笔执行' : '使用 /buy 命令将自动选择最优路由'}
+        `;
+        await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      } else {
+        // 显示所有失败的原因
+        let errorDetails = buyRouteInfo.error;
+        if (buyRouteInfo.rejectedQuotes && buyRouteInfo.rejectedQuotes.length > 0) {
+          errorDetails += '\n\n❌ *详细信息*:\n';
+          buyRouteInfo.rejectedQuotes.forEach(rq => {
+            const reason = rq.rejectedReason === 'liquidity' ? '流动性不足' : 
+                          rq.rejectedReason === 'pool_not_exist' ? '池子不存在' : 
+                          rq.rejectedReason === 'quote_failed' ? '报价失败' : '未知原因';
+            const poolAddress = rq.liquidityInfo ? (rq.liquidityInfo.poolAddress || rq.liquidityInfo.pairAddress) : 'N/A';
+            const shortAddress = poolAddress !== 'N/A' ? `${poolAddress.slice(0,6)}...${poolAddress.slice(-4)}` : 'N/A';
+            if (rq.hops) {
+              errorDetails += `• ${this.tradeManager.describeRoute(rq)}: ${reason}\n`;
+              return;
+            }
+            const feeStr = rq.fee ? ` (${rq.fee/10000}%)` : '';
+            errorDetails += `• ${rq.version.toUpperCase()}${feeStr}: ${reason} (池子: \`${shortAddress}\`)\n`;
+          });
+        }
+        await this.bot.sendMessage(chatId, `❌ 流动性检查失败:\n\n${errorDetails}`, { parse_mode: 'Markdown' });
+      }
+
+    } catch (error) {
+      logger.error('Compare command error:', error);
+      try {
+        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+      } catch (e) {}
+      await this.bot.sendMessage(chatId, '❌ 价格比较时发生错误');
+    }
+  }
+
+  async handleSafetyCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const tokenAddress = (match[1] || '').trim();
+
+    if (!tokenAddress) {
+      return this.bot.sendMessage(chatId, '❌ 用法: /safety <代币地址>');
+    }
+    if (!this.isValidAddress(tokenAddress)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的地址格式');
+    }
+
+    const loadingMsg = await this.bot.sendMessage(chatId, '🛡️ 正在读取合约状态并模拟买卖...');
+
+    try {
+      const report = await this.tradeManager.getTokenSafetyReport(tokenAddress);
+      await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+
+      if (!report.success) {
+        return this.bot.sendMessage(chatId, `❌ 安全检查失败: ${report.error}`);
+      }
+      logger.info('Token safety report', { tokenAddress, score: report.score, grade: report.grade });
+      // 报告包含合约返回的符号和回滚原因，不使用 Markdown 避免解析错误
+      await this.bot.sendMessage(chatId, this.formatSafetyReport(report));
+    } catch (error) {
+      logger.error('Safety command error:', error);
+      try {
+        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+      } catch (e) {}
+      await this.bot.sendMessage(chatId, '❌ 安全检查时发生错误');
+    }
+  }
+
+  formatSafetyReport(report) {
+    const statusEmoji = { pass: '✅', warn: '⚠️', fail: '❌', unknown: '❔' };
+    const gradeEmoji = { A: '🟢', B: '🟡', C: '🟠', D: '🔴' };
+
+    let message = `🛡️ 代币安全报告: ${report.symbol}\n${report.tokenAddress}\n\n`;
+    message += `评分: ${report.score}/100 ${gradeEmoji[report.grade]} ${report.grade}\n\n`;
+    report.checks.forEach(check => {
+      message += `${statusEmoji[check.status]} ${check.label}: ${check.detail}${check.penalty ? ` (-${check.penalty})` : ''}\n`;
+    });
+    message += '\n💡 函数检测基于字节码中的选择器，只说明合约具备该能力；请结合所有者身份和源码判断';
+    return message;
+  }
+
+  async handleBalance(msg) {
+    const chatId = msg.chat.id;
+    const loadingMsg = await this.bot.sendMessage(chatId, '💰 正在获取钱包余额...');
+
+    try {
+      const balance = await this.tradeManager.getWalletBalance();
+      
+      await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+
+      const message = `
+💼 *钱包余额*
+
+👤 地址: \`${balance.address}\`
+
+💰 *余额信息:*
+• BNB: ${parseFloat(balance.bnb).toFixed(6)} BNB
+      `;
+
+      await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+
+    } catch (error) {
+      logger.error('Balance error:', error);
+      try {
+        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+      } catch (e) {}
+      await this.bot.sendMessage(chatId, '❌ 获取余额时发生错误');
+    }
+  }
+
+  async handleWallet(msg) {
+    await this.handleBalance(msg);
+  }
+
+  async handleSettings(msg) {
+    const chatId = msg.chat.id;
+    const settings = this.tradeManager.settings;
+    const tradingCheck = this.tradeManager.checkTradingAllowed();
+
+    const message = `
+⚙️ *交易设置*
+
+交易状态: ${tradingCheck.allowed ? '▶️ 运行中' : (this.tradeManager.tradingState.paused ? '⏸️ 已暂停' : '⛔ 不可用')}
+两步验证: ${this.twoFactor.isEnrolled(chatId) ? '✅ 已绑定' : '⚪ 未绑定'}
+钱包状态: ${!this.tradeManager.keystoreJson ? '🔑 明文私钥' : (this.tradeManager.walletLocked ? '🔒 已锁定' : '🔓 已解锁')}
+
+当前配置:
+• 滑点容忍度: ${settings.slippage}%
+• Gas 限制: ${settings.gasLimit}
+• Gas 价格: ${settings.gasPrice} Gwei
+• 最大交易金额: ${settings.maxTradeAmount} BNB
+• 授权策略: ${settings.approvalPolicy}
+• 默认交易资产: ${settings.baseAsset}
+
+使用命令修改设置:
+• \`/slippage <百分比>\` - 设置滑点容忍度
+• \`/approvalpolicy <exact|buffered|unlimited>\` - 设置授权策略
+• \`/base <BNB|USDT|BUSD|USDC>\` - 设置默认交易资产
+    `;
+
+    const keyboard = {
+      inline_keyboard: [
+        [
+          { text: '📊 设置滑点', callback_data: 'set_slippage' },
+          { text: '⛽ 设置Gas', callback_data: 'set_gas' }
+        ],
+        [
+          { text: '💰 设置最大金额', callback_data: 'set_max_amount' },
+          { text: '🔙 返回主菜单', callback_data: 'main_menu' }
+        ]
+      ]
+    };
+
+    await this.bot.sendMessage(chatId, message, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard
+    });
+  }
+
+  async handleSlippageSet(msg, match) {
+    const chatId = msg.chat.id;
+    const slippage = parseFloat(match[1]);
+
+    if (isNaN(slippage) || slippage < 0.1 || slippage > 50) {
+      return this.bot.sendMessage(chatId, '❌ 滑点必须在 0.1% 到 50% 之间');
+    }
+
+    await this.requireSecondFactor(chatId, `设置滑点为 ${slippage}%`, async () => {
+      this.auditSettingChange(chatId, 'slippage', this.tradeManager.settings.slippage, slippage);
+      this.tradeManager.settings.slippage = slippage;
+      await this.bot.sendMessage(chatId, `✅ 滑点已设置为 ${slippage}%`);
+    });
+  }
+
+  async handleDefaultBuySet(msg, match) {
+    const chatId = msg.chat.id;
+    const amount = parseFloat(match[1]);
+
+    if (isNaN(amount) || amount <= 0) {
+      return this.bot.sendMessage(chatId, '❌ 无效的金额');
+    }
+
+    await this.requireSecondFactor(chatId, `设置默认购买金额为 ${amount} BNB`, async () => {
+      this.auditSettingChange(chatId, 'defaultBuyAmount', this.tradeManager.settings.defaultBuyAmount, amount);
+      this.tradeManager.settings.defaultBuyAmount = amount;
+      await this.bot.sendMessage(chatId, `✅ 默认购买金额已设置为 ${amount} BNB`);
+    });
+  }
+
+  async handleDefaultSellSet(msg, match) {
+    const chatId = msg.chat.id;
+    const percentage = parseFloat(match[1]);
+
+    if (isNaN(percentage) || percentage <= 0 || percentage > 100) {
+      return this.bot.sendMessage(chatId, '❌ 无效的百分比');
+    }
+
+    await this.requireSecondFactor(chatId, `设置默认卖出百分比为 ${percentage}%`, async () => {
+      this.auditSettingChange(chatId, 'defaultSellPercentage', this.tradeManager.settings.defaultSellPercentage, percentage);
+      this.tradeManager.settings.defaultSellPercentage = percentage;
+      await this.bot.sendMessage(chatId, `✅ 默认卖出百分比已设置为 ${percentage}%`);
+    });
+  }
+
+  async handlePauseTrading(msg) {
+    const chatId = msg.chat.id;
+
+    if (this.tradeManager.tradingState.paused) {
+      return this.bot.sendMessage(chatId, '⏸️ 交易已经处于暂停状态，使用 /resume 恢复');
+    }
+
+    this.tradeManager.setTradingPaused(true, chatId);
+    logger.warn('Trading paused', { chatId });
+    this.auditSettingChange(chatId, 'tradingPaused', false, true);
+
+    await this.bot.sendMessage(chatId, `
+⏸️ *交易已暂停*
+
+所有买入/卖出操作将被拒绝，价格和持仓查询不受影响。
+该状态在重启后依然保持，使用 /resume 恢复交易。
+    `, { parse_mode: 'Markdown' });
+  }
+
+  async handleResumeTrading(msg) {
+    const chatId = msg.chat.id;
+    // 暂停不需要验证码，以便紧急情况下快速止损；恢复交易需要
+    await this.requireSecondFactor(chatId, '恢复交易', () => this.resumeTrading(chatId));
+  }
+
+  async resumeTrading(chatId) {
+    if (this.tradeManager.tradingState.paused) {
+      this.tradeManager.setTradingPaused(false, chatId);
+      logger.warn('Trading resumed', { chatId });
+      this.auditSettingChange(chatId, 'tradingPaused', true, false);
+    }
+
+    const tradingCheck = this.tradeManager.checkTradingAllowed();
+    if (!tradingCheck.allowed) {
+      return this.bot.sendMessage(chatId, `⚠️ 暂停状态已解除，但交易仍不可用: ${tradingCheck.error}`);
+    }
+
+    await this.bot.sendMessage(chatId, '▶️ 交易已恢复');
+  }
+
+  async handleUnlockWallet(msg, match) {
+    const chatId = msg.chat.id;
+
+    // 无论结果如何，先删除包含密码的消息
+    try {
+      await this.bot.deleteMessage(chatId, msg.message_id);
+    } catch (error) {
+      logger.error('Failed to delete unlock message', { chatId, error: error.message });
+    }
+
+    if (msg.chat.type !== 'private') {
+      logger.warn('Wallet unlock attempted outside private chat', { chatId });
+      return this.bot.sendMessage(chatId, '⛔ 只能在与机器人的私聊中解锁钱包，请立即更换可能已泄露的密码');
+    }
+
+    const passphrase = match[1] ? match[1].trim() : '';
+    if (!passphrase) {
+      return this.bot.sendMessage(chatId, '❌ 用法: /unlock <密码>');
+    }
+
+    const loadingMsg = await this.bot.sendMessage(chatId, '🔐 正在解密钱包...');
+    const result = await this.tradeManager.unlockWallet(passphrase);
+    try {
+      await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+    } catch (e) {}
+
+    if (!result.success) {
+      logger.warn('Wallet unlock failed', { chatId });
+      this.auditLog.record('wallet_unlock_failed', { chatId });
+      return this.bot.sendMessage(chatId, `❌ 解锁失败: ${result.error}`);
+    }
+
+    this.walletUnlockedBy = chatId;
+    logger.info('Wallet unlocked', { chatId });
+    this.auditSettingChange(chatId, 'walletLocked', true, false);
+    await this.bot.sendMessage(chatId, `🔓 钱包已解锁\n\n👤 地址: \`${result.address}\`\n⏰ ${config.WALLET_AUTO_LOCK_MINUTES} 分钟无操作后自动锁定`, { parse_mode: 'Markdown' });
+  }
+
+  async handleLockWallet(msg) {
+    const chatId = msg.chat.id;
+
+    if (!this.tradeManager.lockWallet('manual')) {
+      return this.bot.sendMessage(chatId, this.tradeManager.keystoreJson ? '🔒 钱包已经处于锁定状态' : '❌ 当前未使用加密钱包 (未配置 KEYSTORE_PATH)');
+    }
+
+    logger.info('Wallet locked', { chatId });
+    this.auditSettingChange(chatId, 'walletLocked', false, true);
+    await this.bot.sendMessage(chatId, '🔒 钱包已锁定，交易命令将被拒绝，查询命令不受影响');
+  }
+
+  async notifyWalletAutoLock() {
+    logger.info('Wallet auto-locked after inactivity');
+    this.auditSettingChange(null, 'walletLocked', false, true);
+    if (this.walletUnlockedBy === null) return;
+
+    try {
+      await this.bot.sendMessage(this.walletUnlockedBy, `🔒 钱包已因 ${config.WALLET_AUTO_LOCK_MINUTES} 分钟无操作自动锁定`);
+    } catch (error) {
+      logger.error('Failed to send auto-lock notice', { error: error.message });
+    }
+  }
+
+  /**
+   * 需要时先要求输入TOTP验证码，验证通过后再执行操作
+   */
+  async requireSecondFactor(chatId, description, action) {
+    const check = this.twoFactor.checkRequired(chatId);
+    if (check.error) {
+      return this.bot.sendMessage(chatId, check.error);
+    }
+    if (!check.required) {
+      return action();
+    }
+
+    this.userSessions.set(chatId, {
+      state: 'waiting_totp_code',
+      description,
+      action,
+      attempts: 0,
+      timestamp: Date.now()
+    });
+
+    await this.bot.sendMessage(chatId, `🔐 *需要两步验证*\n\n操作: ${description}\n请输入验证器中的6位验证码`, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        force_reply: true,
+        input_field_placeholder: '6位验证码'
+      }
+    });
+  }
+
+  async handleTwoFactorCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const action = (match[1] || '').trim().toLowerCase();
+
+    switch (action) {
+      case 'setup':
+        if (msg.chat.type !== 'private') {
+          return this.bot.sendMessage(chatId, '⛔ 只能在与机器人的私聊中绑定2FA');
+        }
+        // 已绑定时重新绑定需要验证旧的验证码
+        if (this.twoFactor.isEnrolled(chatId)) {
+          return this.requireSecondFactor(chatId, '重新绑定2FA', () => this.startTwoFactorEnrollment(msg));
+        }
+        return this.startTwoFactorEnrollment(msg);
+
+      case 'disable':
+        if (!this.twoFactor.isEnrolled(chatId)) {
+          return this.bot.sendMessage(chatId, 'ℹ️ 该聊天尚未绑定2FA');
+        }
+        // 解除绑定总是需要新的验证码，不使用免验证窗口
+        this.twoFactor.resetGrace(chatId);
+        return this.requireSecondFactor(chatId, '解除2FA绑定', async () => {
+          this.twoFactor.disable(chatId);
+          logger.warn('2FA disabled', { chatId });
+          this.auditSettingChange(chatId, 'twoFactor', 'enabled', 'disabled');
+          await this.bot.sendMessage(chatId, '🔓 2FA已解除绑定');
+        });
+
+      case '': {
+        const enrolled = this.twoFactor.isEnrolled(chatId);
+        const message = `
+🔐 *两步验证 (2FA)*
+
+状态: ${enrolled ? '✅ 已绑定' : (config.REQUIRE_2FA ? '❌ 未绑定 (敏感操作将被拒绝)' : '⚪ 未绑定')}
+高额交易阈值: ${config.TOTP_TRADE_THRESHOLD} BNB
+免验证窗口: ${config.TOTP_GRACE_MINUTES} 分钟
+
+• \`/2fa setup\` - 绑定验证器
+• \`/2fa disable\` - 解除绑定
+        `;
+        return this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      }
+
+      default:
+        return this.bot.sendMessage(chatId, '❌ 用法: /2fa [setup|disable]');
+    }
+  }
+
+  async startTwoFactorEnrollment(msg) {
+    const chatId = msg.chat.id;
+    const label = msg.from?.username || chatId.toString();
+    const { secret, otpauthUrl } = this.twoFactor.beginEnrollment(chatId, label);
+
+    try {
+      const qrImage = await QRCode.toBuffer(otpauthUrl, { width: 300 });
+      const qrMsg = await this.bot.sendPhoto(chatId, qrImage, {
+        caption: `🔐 使用 Google Authenticator 等验证器扫描二维码\n\n无法扫码时手动输入密钥:\n${secret}\n\n然后发送验证器显示的6位验证码完成绑定`
+      }, { filename: '2fa.png', contentType: 'image/png' });
+
+      this.userSessions.set(chatId, {
+        state: 'waiting_2fa_enroll_code',
+        qrMessageId: qrMsg.message_id,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      logger.error('2FA enrollment error:', error);
+      await this.bot.sendMessage(chatId, '❌ 生成二维码失败，请稍后重试');
+    }
+  }
+
+  async handleApprovals(msg) {
+    const chatId = msg.chat.id;
+    const loadingMsg = await this.bot.sendMessage(chatId, '🔏 正在扫描代币授权...');
+
+    try {
+      const approvals = await this.tradeManager.getApprovals();
+      await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+
+      if (approvals.length === 0) {
+        return this.bot.sendMessage(chatId, `✅ 已交易代币对 V2/V3 路由器没有剩余授权\n\n当前授权策略: ${this.tradeManager.settings.approvalPolicy}`);
+      }
+
+      let message = `🔏 *代币授权* (${approvals.length} 项)\n\n`;
+      approvals.forEach(approval => {
+        const amount = approval.unlimited ? '⚠️ 无限' : formatNumber(approval.allowance);
+        message += `• ${approval.symbol} → ${approval.spenderName} 路由器: ${amount}\n  \`${approval.tokenAddress}\`\n`;
+      });
+      message += `\n当前授权策略: ${this.tradeManager.settings.approvalPolicy}\n使用 \`/revoke <代币地址>\` 或 \`/revoke all\` 撤销授权`;
+
+      await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error('Approvals scan error:', error);
+      try {
+        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+      } catch (e) {}
+      await this.bot.sendMessage(chatId, '❌ 扫描授权时发生错误');
+    }
+  }
+
+  async handleRevoke(msg, match) {
+    const chatId = msg.chat.id;
+    const target = (match[1] || '').trim();
+
+    if (!target) {
+      return this.bot.sendMessage(chatId, '❌ 用法: /revoke <代币地址|all>');
+    }
+    if (target.toLowerCase() !== 'all' && !this.isValidAddress(target)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的代币地址');
+    }
+
+    const loadingMsg = await this.bot.sendMessage(chatId, '🧹 正在撤销授权...');
+    const result = await this.tradeManager.revokeApprovals(target.toLowerCase() === 'all' ? null : target);
+    try {
+      await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+    } catch (e) {}
+
+    if (!result.success) {
+      return this.bot.sendMessage(chatId, result.error);
+    }
+    if (result.results.length === 0) {
+      return this.bot.sendMessage(chatId, '✅ 没有需要撤销的授权');
+    }
+
+    logger.info('Approvals revoked', { chatId, target, count: result.results.length });
+    let message = `🧹 *撤销授权结果*\n\n`;
+    result.results.forEach(item => {
+      message += item.success
+        ? `✅ ${item.symbol} → ${item.spenderName} (\`${formatAddress(item.txHash)}\`)\n`
+        : `❌ ${item.symbol} → ${item.spenderName}: ${item.error}\n`;
+    });
+
+    await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  }
+
+  async handleApprovalPolicy(msg, match) {
+    const chatId = msg.chat.id;
+    const policy = (match[1] || '').trim().toLowerCase();
+
+    if (!policy) {
+      return this.bot.sendMessage(chatId, `🔏 当前授权策略: ${this.tradeManager.settings.approvalPolicy}\n\n• exact - 仅授权本次卖出数量\n• buffered - 额外授权 ${config.APPROVAL_BUFFER_PERCENT}%\n• unlimited - 无限授权 (不推荐)\n\n用法: /approvalpolicy <exact|buffered|unlimited>`);
+    }
+
+    await this.requireSecondFactor(chatId, `设置授权策略为 ${policy}`, async () => {
+      const result = this.tradeManager.setApprovalPolicy(policy);
+      if (!result.success) {
+        return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      }
+
+      this.auditSettingChange(chatId, 'approvalPolicy', result.oldValue, result.newValue);
+      await this.bot.sendMessage(chatId, `✅ 授权策略: ${result.oldValue} → ${result.newValue}`);
+    });
+  }
+
+  async handleBaseAsset(msg, match) {
+    const chatId = msg.chat.id;
+    const asset = (match[1] || '').trim().toUpperCase();
+
+    if (!asset) {
+      return this.bot.sendMessage(chatId, `💵 当前默认交易资产: ${this.tradeManager.settings.baseAsset}\n\n/buy 和 /sell 未指定 base= 时使用该资产支付或接收，定投、限价单和止损止盈始终使用 BNB\n\n用法: /base <BNB|USDT|BUSD|USDC>`);
+    }
+
+    await this.requireSecondFactor(chatId, `设置默认交易资产为 ${asset}`, async () => {
+      const result = this.tradeManager.setBaseAsset(asset);
+      if (!result.success) {
+        return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      }
+
+      this.auditSettingChange(chatId, 'baseAsset', result.oldValue, result.newValue);
+      await this.bot.sendMessage(chatId, `✅ 默认交易资产: ${result.oldValue} → ${result.newValue}`);
+    });
+  }
+
+  /**
+   * 解析价格参数: "0.001" 为 BNB 价格，"$0.5" 或 "0.5usd" 为美元价格
+   */
+  parsePriceArg(text) {
+    const usdMatch = text.match(/^\$([\d.]+)$/) || text.match(/^([\d.]+)usd$/i);
+    const value = parseFloat(usdMatch ? usdMatch[1] : text);
+    if (isNaN(value) || value <= 0) {
+      return null;
+    }
+    return { value, unit: usdMatch ? 'USD' : 'BNB' };
+  }
+
+  async handleLimitOrderCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const usage = '❌ 用法: /limit <buy|sell> <代币地址> <数量> <价格>\n\n例如:\n/limit buy 0x... 0.1 0.0005  (价格 ≤ 0.0005 BNB 时用 0.1 BNB 买入)\n/limit sell 0x... 1000 $2.5  (价格 ≥ 2.5 USD 时卖出 1000 个代币)';
+
+    if (args.length !== 4 || !['buy', 'sell'].includes(args[0].toLowerCase())) {
+      return this.bot.sendMessage(chatId, usage);
+    }
+
+    const side = args[0].toLowerCase();
+    const [, tokenAddress, amount, priceText] = args;
+    const price = this.parsePriceArg(priceText);
+
+    if (!this.isValidAddress(tokenAddress)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的代币地址');
+    }
+    if (!(parseFloat(amount) > 0)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的数量');
+    }
+    if (!price) {
+      return this.bot.sendMessage(chatId, '❌ 无效的价格');
+    }
+
+    // 用与监控相同的方式询价，确认代币可交易并显示当前价格
+    const quote = await this.limitOrders.getExecutionPrice({ side, tokenAddress, amount: parseFloat(amount) });
+    if (!quote) {
+      return this.bot.sendMessage(chatId, '❌ 无法获取该代币的报价，请检查代币地址和流动性');
+    }
+    const bnbPriceUSD = price.unit === 'USD' ? await this.tradeManager.getBNBPrice(true) : null;
+    if (price.unit === 'USD' && !bnbPriceUSD) {
+      return this.bot.sendMessage(chatId, '❌ 无法获取 BNB/USD 价格，请稍后重试或使用 BNB 计价');
+    }
+
+    if (side === 'buy') {
+      const riskCheck = this.tradeManager.checkBuyRisk(tokenAddress, amount);
+      if (!riskCheck.allowed) {
+        return this.bot.sendMessage(chatId, riskCheck.error);
+      }
+    }
+
+    const create = async () => {
+      const { order } = this.limitOrders.createOrder({
+        chatId,
+        side,
+        tokenAddress,
+        symbol: quote.symbol,
+        amount,
+        targetPrice: price.value,
+        priceUnit: price.unit
+      });
+
+      logger.info('Limit order created', { chatId, orderId: order.id, side, tokenAddress, amount, price: priceText });
+      this.auditLog.record('limit_order_created', {
+        chatId,
+        orderId: order.id,
+        side,
+        tokenAddress,
+        amount: order.amount,
+        targetPrice: order.targetPrice,
+        priceUnit: order.priceUnit
+      });
+
+      const currentPrice = price.unit === 'USD'
+        ? `$${(quote.priceBNB * bnbPriceUSD).toPrecision(6)}`
+        : `${quote.priceBNB.toPrecision(6)} BNB`;
+      await this.bot.sendMessage(chatId, `
+🎯 *限价单已创建* #${order.id}
+
+📋 类型: ${side === 'buy' ? '🛒 买入' : '💸 卖出'}
+🪙 代币: ${order.symbol} (\`${formatAddress(tokenAddress)}\`)
+💰 数量: ${side === 'buy' ? `${order.amount} BNB` : `${order.amount} ${order.symbol}`}
+🎯 触发: 价格 ${side === 'buy' ? '≤' : '≥'} ${order.targetPrice} ${order.priceUnit}
+📊 当前成交价: ${currentPrice}
+
+成交或失败时会发送通知，使用 \`/cancel ${order.id}\` 取消
+      `, { parse_mode: 'Markdown' });
+    };
+
+    // 卖单按成交时至少获得的BNB计算价值 (当前成交价和目标价中较高者)，与市价卖出一样适用大额交易阈值
+    const targetPriceBNB = price.unit === 'USD' ? price.value / bnbPriceUSD : price.value;
+    const bnbValue = side === 'buy' ? parseFloat(amount) : parseFloat(amount) * Math.max(quote.priceBNB, targetPriceBNB);
+    if (this.twoFactor.isHighValueTrade(bnbValue)) {
+      const description = side === 'buy'
+        ? `创建限价买单 ${amount} BNB`
+        : `创建限价卖单 ${amount} ${quote.symbol} (约 ${formatNumber(bnbValue)} BNB)`;
+      return this.requireSecondFactor(chatId, description, create);
+    }
+    await create();
+  }
+
+  async handleOrdersCommand(msg) {
+    const chatId = msg.chat.id;
+    const orders = this.limitOrders.getOrders(chatId);
+
+    if (orders.length === 0) {
+      return this.bot.sendMessage(chatId, '📋 没有未成交的限价单\n\n使用 /limit 创建限价单');
+    }
+
+    let message = `📋 *未成交的限价单* (${orders.length})\n\n`;
+    orders.forEach(order => {
+      const amountText = order.side === 'buy' ? `${order.amount} BNB` : `${order.amount} ${order.symbol}`;
+      const lastPrice = order.lastPrice !== null ? ` (最新 ${order.lastPrice.toPrecision(6)})` : '';
+      message += `#${order.id} ${order.side === 'buy' ? '🛒 买入' : '💸 卖出'} ${order.symbol} ${amountText}\n`;
+      message += `   触发: ${order.side === 'buy' ? '≤' : '≥'} ${order.targetPrice} ${order.priceUnit}${lastPrice}\n`;
+    });
+    message += `\n使用 \`/cancel <订单ID>\` 取消`;
+
+    await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  }
+
+  async handleCancelOrderCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const id = (match[1] || '').trim().replace(/^#/, '');
+
+    if (!/^\d+$/.test(id)) {
+      return this.bot.sendMessage(chatId, '❌ 用法: /cancel <订单ID>，使用 /orders 查看订单');
+    }
+
+    const result = this.limitOrders.cancelOrder(id, chatId);
+    if (!result.success) {
+      return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+    }
+
+    logger.info('Limit order cancelled', { chatId, orderId: result.order.id });
+    this.auditLog.record('limit_order_cancelled', { chatId, orderId: result.order.id });
+    await this.bot.sendMessage(chatId, `🗑️ 限价单 #${result.order.id} 已取消`);
+  }
+
+  /**
+   * 解析止损/止盈价位: "10%" 为相对成本价的百分比，其余按 parsePriceArg 解析为绝对价格
+   */
+  parseExitLevel(text) {
+    const percentMatch = text.match(/^([\d.]+)%$/);
+    if (percentMatch) {
+      const value = parseFloat(percentMatch[1]);
+      return value > 0 ? { type: 'percent', value } : null;
+    }
+    const price = this.parsePriceArg(text);
+    return price ? { type: 'price', value: price.value, unit: price.unit } : null;
+  }
+
+  formatExitOptions(exits) {
+    if (!exits) return '';
+    let text = '';
+    if (exits.stopLoss) text += `\n🛡️ 止损: ${this.positionMonitor.describeLevel(exits.stopLoss, 'stopLoss')}`;
+    if (exits.takeProfit) text += `\n🎯 止盈: ${this.positionMonitor.describeLevel(exits.takeProfit, 'takeProfit')}`;
+    return text;
+  }
+
+  /**
+   * 买入成功后为新持仓挂上 /buy 中指定的止损止盈
+   */
+  async attachExitLevels(chatId, tokenAddress, exits) {
+    const lines = [];
+    for (const kind of ['stopLoss', 'takeProfit']) {
+      if (!exits[kind]) continue;
+      const label = kind === 'stopLoss' ? '止损' : '止盈';
+      const result = this.positionMonitor.setExitLevel(tokenAddress, kind, exits[kind], chatId);
+      if (!result.success) {
+        lines.push(`❌ ${label}设置失败: ${result.error}`);
+        continue;
+      }
+      this.auditLog.record('position_exit_set', { chatId, tokenAddress: tokenAddress.toLowerCase(), kind, level: exits[kind] });
+      lines.push(`✅ ${label}: ${this.positionMonitor.describeLevel(exits[kind], kind, result.position.entryPrice)}`);
+    }
+    await this.bot.sendMessage(chatId, `🛡️ 持仓退出设置\n\n${lines.join('\n')}\n\n使用 /positions 查看`);
+  }
+
+  async handleExitLevelCommand(msg, match, kind) {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const command = kind === 'stopLoss' ? 'sl' : 'tp';
+    const label = kind === 'stopLoss' ? '止损' : '止盈';
+    const example = kind === 'stopLoss' ? '10%' : '50%';
+
+    if (args.length !== 2) {
+      return this.bot.sendMessage(chatId, `❌ 用法: /${command} <代币地址> <百分比|价格|off>\n\n例如:\n/${command} 0x... ${example}  (相对成本价)\n/${command} 0x... 0.0005  (BNB 价格)\n/${command} 0x... $2.5  (美元价格)\n/${command} 0x... off  (取消${label})`);
+    }
+
+    const [tokenAddress, levelText] = args;
+    if (!this.isValidAddress(tokenAddress)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的代币地址');
+    }
+
+    let level = null;
+    if (levelText.toLowerCase() !== 'off') {
+      level = this.parseExitLevel(levelText);
+      if (!level) {
+        return this.bot.sendMessage(chatId, `❌ 无效的${label}价位: ${levelText}`);
+      }
+    }
+
+    const result = this.positionMonitor.setExitLevel(tokenAddress, kind, level, chatId);
+    if (!result.success) {
+      return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+    }
+
+    logger.info('Position exit level set', { chatId, tokenAddress, kind, level });
+    this.auditLog.record('position_exit_set', { chatId, tokenAddress: tokenAddress.toLowerCase(), kind, level });
+
+    const { position } = result;
+    if (!level) {
+      return this.bot.sendMessage(chatId, `🗑️ 已取消 ${position.symbol} 的${label}`);
+    }
+    await this.bot.sendMessage(chatId, `
+✅ *${label}已设置*
+
+🪙 代币: ${position.symbol} (\`${formatAddress(position.tokenAddress)}\`)
+📦 持仓: ${formatNumber(position.tokenAmount)} ${position.symbol}
+📊 成本价: ${position.entryPrice.toPrecision(6)} BNB
+🎯 ${label}: ${this.positionMonitor.describeLevel(level, kind, position.entryPrice)}
+
+触发后将自动卖出整个持仓并发送通知
+    `, { parse_mode: 'Markdown' });
+  }
+
+  async handleTrailCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const usage = '❌ 用法: /trail <代币地址> <回撤百分比> [卖出比例%]\n\n例如:\n/trail 0x... 15%  (从最高价回落 15% 时卖出全部)\n/trail 0x... 20% 50%  (回落 20% 时卖出一半)\n/trail 0x... off  (取消移动止损)';
+
+    if (args.length < 2 || args.length > 3 || !this.isValidAddress(args[0])) {
+      return this.bot.sendMessage(chatId, usage);
+    }
+
+    const [tokenAddress, percentText, portionText] = args;
+    if (percentText.toLowerCase() === 'off') {
+      const result = this.positionMonitor.clearTrailingStop(tokenAddress);
+      if (!result.success) {
+        return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      }
+      this.auditLog.record('position_exit_set', { chatId, tokenAddress: tokenAddress.toLowerCase(), kind: 'trailing', level: null });
+      return this.bot.sendMessage(chatId, `🗑️ 已取消 ${result.rule.symbol} 的移动止损`);
+    }
+
+    const percent = parseFloat(percentText.replace(/%$/, ''));
+    const portion = portionText ? parseFloat(portionText.replace(/%$/, '')) : 100;
+    if (isNaN(percent) || isNaN(portion)) {
+      return this.bot.sendMessage(chatId, usage);
+    }
+
+    const loadingMsg = await this.bot.sendMessage(chatId, '🔍 正在获取卖出报价...');
+    const result = await this.positionMonitor.setTrailingStop(tokenAddress, percent, portion, chatId);
+    try {
+      await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+    } catch (e) {}
+
+    if (!result.success) {
+      return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+    }
+
+    const { position, rule } = result;
+    logger.info('Trailing stop set', { chatId, tokenAddress, percent, portion });
+    this.auditLog.record('position_exit_set', { chatId, tokenAddress: position.tokenAddress, kind: 'trailing', level: { percent, portion } });
+
+    await this.bot.sendMessage(chatId, `
+✅ *移动止损已设置*
+
+🪙 代币: ${position.symbol} (\`${formatAddress(position.tokenAddress)}\`)
+📊 成本价: ${position.entryPrice.toPrecision(6)} BNB
+🏔️ 当前最高价: ${rule.trailing.peakPrice.toPrecision(6)} BNB
+📉 回撤 ${percent}% 时卖出 ${portion}% 持仓 (当前止损线 ${this.positionMonitor.getTrailingStopPrice(rule.trailing).toPrecision(6)} BNB)
+
+最高价会随卖出报价上涨而上移，重启后继续跟踪
+    `, { parse_mode: 'Markdown' });
+  }
+
+  async handleDcaCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const action = (args[0] || 'list').toLowerCase();
+
+    if (action === 'list') {
+      return this.showDcaPlans(chatId);
+    }
+    if (action === 'create') {
+      return this.handleDcaCreate(chatId, args.slice(1));
+    }
+    if (['pause', 'resume', 'delete'].includes(action)) {
+      const id = (args[1] || '').replace(/^#/, '');
+      if (!/^\d+$/.test(id)) {
+        return this.bot.sendMessage(chatId, `❌ 用法: /dca ${action} <计划ID>，使用 /dca list 查看计划`);
+      }
+
+      const result = action === 'pause'
+        ? this.dcaManager.pausePlan(id, chatId)
+        : action === 'resume'
+          ? this.dcaManager.resumePlan(id, chatId)
+          : this.dcaManager.deletePlan(id, chatId);
+      if (!result.success) {
+        return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      }
+
+      logger.info('DCA plan updated', { chatId, planId: result.plan.id, action });
+      this.auditLog.record(`dca_${action}`, { chatId, planId: result.plan.id });
+      const actionText = { pause: '⏸️ 已暂停', resume: '▶️ 已恢复', delete: '🗑️ 已删除' }[action];
+      return this.bot.sendMessage(chatId, `${actionText}定投计划 #${result.plan.id} (${result.plan.symbol})`);
+    }
+
+    await this.bot.sendMessage(chatId, '❌ 用法:\n/dca create <代币地址> <BNB数量> <周期>\n/dca list\n/dca pause|resume|delete <计划ID>\n\n周期示例: 09:00 (每天)、4h、30m、"0 9 * * 1" (cron，每周一 09:00)');
+  }
+
+  async handleDcaCreate(chatId, args) {
+    const usage = '❌ 用法: /dca create <代币地址> <BNB数量> <周期>\n\n例如:\n/dca create 0x... 0.05 09:00  (每天 09:00 买入 0.05 BNB)\n/dca create 0x... 0.01 4h  (每 4 小时)\n/dca create 0x... 0.1 0 9 * * 1  (cron 表达式，每周一 09:00)';
+    if (args.length < 3) {
+      return this.bot.sendMessage(chatId, usage);
+    }
+
+    const [tokenAddress, amount, ...scheduleParts] = args;
+    const scheduleText = scheduleParts.join(' ');
+    if (!this.isValidAddress(tokenAddress)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的代币地址');
+    }
+    if (!(parseFloat(amount) > 0)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的BNB数量');
+    }
+
+    const riskCheck = this.tradeManager.checkBuyRisk(tokenAddress, amount);
+    if (!riskCheck.allowed) {
+      return this.bot.sendMessage(chatId, riskCheck.error);
+    }
+
+    // 询价确认代币可交易，同时获取代币符号
+    const quote = await this.tradeManager.getOptimalPrice(tokenAddress, parseFloat(amount), true);
+    if (!quote.success) {
+      return this.bot.sendMessage(chatId, '❌ 无法获取该代币的报价，请检查代币地址和流动性');
+    }
+
+    const create = async () => {
+      const result = this.dcaManager.createPlan({ chatId, tokenAddress, symbol: quote.symbol, amount, scheduleText });
+      if (!result.success) {
+        return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      }
+
+      const { plan } = result;
+      logger.info('DCA plan created', { chatId, planId: plan.id, tokenAddress, amount, cron: plan.cron });
+      this.auditLog.record('dca_created', { chatId, planId: plan.id, tokenAddress: plan.tokenAddress, amount: plan.amount, cron: plan.cron });
+
+      await this.bot.sendMessage(chatId, `
+🗓️ *定投计划已创建* #${plan.id}
+
+🪙 代币: ${plan.symbol} (\`${formatAddress(plan.tokenAddress)}\`)
+💰 每次买入: ${plan.amount} BNB
+⏰ 周期: ${plan.description} (\`${plan.cron}\`)
+
+每次执行都会经过交易开关和风控限额检查，结果会发送通知
+使用 \`/dca pause ${plan.id}\` 暂停
+      `, { parse_mode: 'Markdown' });
+    };
+
+    // 定投计划会持续花费，不按单次金额判断，创建时总是要求两步验证 (未绑定2FA时与其他操作一致)
+    return this.requireSecondFactor(chatId, `创建定投计划 每次 ${amount} BNB`, create);
+  }
+
+  async showDcaPlans(chatId) {
+    const plans = this.dcaManager.getPlans(chatId);
+    if (plans.length === 0) {
+      return this.bot.sendMessage(chatId, '🗓️ 没有定投计划\n\n使用 /dca create <代币地址> <BNB数量> <周期> 创建');
+    }
+
+    let message = `🗓️ *定投计划* (${plans.length})\n\n`;
+    plans.forEach(plan => {
+      const status = plan.status === 'active' ? '▶️ 运行中' : '⏸️ 已暂停';
+      message += `#${plan.id} ${status} ${plan.symbol} 每次 ${plan.amount} BNB\n`;
+      message += `   周期: ${plan.description} (\`${plan.cron}\`)\n`;
+      message += `   已执行: ${plan.runs} 次${plan.failures ? ` (失败 ${plan.failures} 次)` : ''}\n`;
+      if (plan.lastRunAt) {
+        message += `   上次: ${new Date(plan.lastRunAt).toLocaleString()} ${plan.lastResult.success ? '✅' : '❌'}\n`;
+      }
+    });
+    message += `\n补跑策略: ${this.dcaManager.getCatchUpPolicy()}`;
+
+    await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  }
+
+  async handleTwapCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const action = (args[0] || 'list').toLowerCase();
+
+    if (action === 'list') {
+      return this.showTwapPlans(chatId);
+    }
+    if (action === 'buy' || action === 'sell') {
+      return this.handleTwapCreate(chatId, action, args.slice(1));
+    }
+    if (['cancel', 'resume'].includes(action)) {
+      const id = (args[1] || '').replace(/^#/, '');
+      if (!/^\d+$/.test(id)) {
+        return this.bot.sendMessage(chatId, `❌ 用法: /twap ${action} <计划ID>，使用 /twap list 查看计划`);
+      }
+
+      const result = action === 'cancel'
+        ? this.twapManager.cancelPlan(id, chatId)
+        : this.twapManager.resumePlan(id, chatId);
+      if (!result.success) {
+        return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      }
+
+      logger.info('TWAP plan updated', { chatId, planId: result.plan.id, action });
+      this.auditLog.record(`twap_${action}`, { chatId, planId: result.plan.id });
+      const actionText = { cancel: '🗑️ 已取消', resume: '▶️ 已恢复' }[action];
+      return this.bot.sendMessage(chatId, `${actionText}TWAP计划 #${result.plan.id} (${result.plan.symbol})`);
+    }
+
+    await this.bot.sendMessage(chatId, '❌ 用法:\n/twap buy <代币地址> <BNB总量> <份数> <间隔> [最大价格影响%]\n/twap sell <代币地址> <数量|百分比|max> <份数> <间隔> [最大价格影响%]\n/twap list\n/twap cancel|resume <计划ID>\n\n间隔示例: 30s、5m、1h');
+  }
+
+  async handleTwapCreate(chatId, side, args) {
+    const isBuy = side === 'buy';
+    const usage = isBuy
+      ? '❌ 用法: /twap buy <代币地址> <BNB总量> <份数> <间隔> [最大价格影响%]\n\n例如: /twap buy 0x... 2 10 5m  (每 5 分钟买入 0.2 BNB，共 10 份)'
+      : '❌ 用法: /twap sell <代币地址> <数量|百分比|max> <份数> <间隔> [最大价格影响%]\n\n例如: /twap sell 0x... 50% 5 1h 2  (每小时卖出一份，共 5 份，价格影响超过 2% 时跳过)';
+    if (args.length < 4 || args.length > 5) {
+      return this.bot.sendMessage(chatId, usage);
+    }
+
+    const [tokenAddress, amountText, slicesText, intervalText, impactText] = args;
+    if (!this.isValidAddress(tokenAddress)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的代币地址');
+    }
+    const slices = parseInt(slicesText);
+    if (!/^\d+$/.test(slicesText) || slices < 2) {
+      return this.bot.sendMessage(chatId, '❌ 份数必须是不小于 2 的整数');
+    }
+    const interval = TwapManager.parseInterval(intervalText);
+    if (!interval.valid) {
+      return this.bot.sendMessage(chatId, `❌ ${interval.error}`);
+    }
+    const maxImpact = impactText ? parseFloat(impactText.replace(/%$/, '')) : config.TWAP_MAX_PRICE_IMPACT;
+    if (!(maxImpact > 0 && maxImpact < 100)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的最大价格影响，例如 2 或 2%');
+    }
+
+    let total = amountText;
+    if (isBuy) {
+      if (!(parseFloat(total) > 0)) {
+        return this.bot.sendMessage(chatId, '❌ 无效的BNB数量');
+      }
+      // 风控按每份金额检查，每份执行时还会再次检查
+      const riskCheck = this.tradeManager.checkBuyRisk(tokenAddress, parseFloat(total) / slices);
+      if (!riskCheck.allowed) {
+        return this.bot.sendMessage(chatId, riskCheck.error);
+      }
+    } else {
+      const sellAmount = this.parseSellAmount(amountText);
+      if (!sellAmount) {
+        return this.bot.sendMessage(chatId, '❌ 无效的数量，请使用代币数量、百分比 (如 25%) 或 max');
+      }
+      const { balance, amount: share } = await this.tradeManager.getTokenBalanceShare(tokenAddress, sellAmount.type === 'percent' ? sellAmount.value : 100);
+      if (!(parseFloat(balance) > 0)) {
+        return this.bot.sendMessage(chatId, '❌ 钱包中没有该代币或余额为0');
+      }
+      total = sellAmount.type === 'percent' ? share : sellAmount.value;
+      if (parseFloat(total) > parseFloat(balance)) {
+        return this.bot.sendMessage(chatId, `❌ 卖出数量超过余额\n💰 当前余额: ${balance}`);
+      }
+    }
+
+    // 按一份的数量询价，确认代币可交易并估算整个计划的BNB价值
+    const sliceAmount = parseFloat(total) / slices;
+    const quote = await this.tradeManager.getOptimalPrice(tokenAddress, sliceAmount, isBuy);
+    if (!quote.success) {
+      return this.bot.sendMessage(chatId, '❌ 无法获取该代币的报价，请检查代币地址和流动性');
+    }
+    const bnbValue = isBuy ? parseFloat(total) : quote.priceComparison.find(q => q.isBest).price * slices;
+
+    const create = async () => {
+      const progressMsg = await this.bot.sendMessage(chatId, '⏱️ 正在创建TWAP计划...');
+      const result = this.twapManager.createPlan({
+        chatId,
+        side,
+        tokenAddress,
+        symbol: quote.symbol,
+        total,
+        slices,
+        intervalText,
+        maxImpact,
+        messageId: progressMsg.message_id
+      });
+      if (!result.success) {
+        return this.bot.editMessageText(`❌ ${result.error}`, { chat_id: chatId, message_id: progressMsg.message_id });
+      }
+
+      const { plan } = result;
+      logger.info('TWAP plan created', { chatId, planId: plan.id, side, tokenAddress, total: plan.total, slices, intervalMs: plan.intervalMs });
+      this.auditLog.record('twap_created', { chatId, planId: plan.id, side, tokenAddress: plan.tokenAddress, total: plan.total, slices, intervalMs: plan.intervalMs, maxImpact: plan.maxImpact });
+      await this.twapManager.updateProgress(plan);
+    };
+
+    if (this.twoFactor.isHighValueTrade(bnbValue)) {
+      return this.requireSecondFactor(chatId, `TWAP${isBuy ? '买入' : '卖出'} ${total} ${isBuy ? 'BNB' : quote.symbol}，分 ${slices} 份`, create);
+    }
+    await create();
+  }
+
+  async showTwapPlans(chatId) {
+    const plans = this.twapManager.getPlans(chatId);
+    if (plans.length === 0) {
+      return this.bot.sendMessage(chatId, '⏱️ 没有进行中的TWAP计划\n\n使用 /twap buy|sell <代币地址> <总量> <份数> <间隔> 创建');
+    }
+
+    let message = `⏱️ *TWAP计划* (${plans.length})\n\n`;
+    plans.forEach(plan => {
+      const status = plan.status === 'active' ? '▶️ 执行中' : '⏸️ 已暂停';
+      const unit = plan.side === 'buy' ? 'BNB' : plan.symbol;
+      message += `#${plan.id} ${status} ${plan.side === 'buy' ? '买入' : '卖出'} ${plan.symbol}\n`;
+      message += `   进度: ${plan.filledSlices}/${plan.slices} 份，${parseFloat(plan.executedAmount.toPrecision(8))}/${plan.total} ${unit}\n`;
+      message += `   间隔: ${plan.intervalDescription}，价格影响上限 ${plan.maxImpact}%\n`;
+      if (plan.status === 'active') {
+        message += `   下一份: ${new Date(plan.nextRunAt).toLocaleString()}\n`;
+      }
+    });
+    message += `\n价格影响策略: ${this.twapManager.getImpactPolicy()}`;
+
+    await this.bot.sendMessage(chatId, message);
+  }
+
+  async handleSnipeCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const action = (args[0] || 'list').toLowerCase();
+
+    if (action === 'list') {
+      return this.showSnipes(chatId);
+    }
+    if (action === 'cancel') {
+      const id = (args[1] || '').replace(/^#/, '');
+      if (!/^\d+$/.test(id)) {
+        return this.bot.sendMessage(chatId, '❌ 用法: /snipe cancel <狙击ID>，使用 /snipe list 查看');
+      }
+
+      const result = this.sniper.disarmSnipe(id, chatId);
+      if (!result.success) {
+        return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      }
+
+      logger.info('Snipe disarmed', { chatId, snipeId: result.snipe.id });
+      this.auditLog.record('snipe_disarmed', { chatId, snipeId: result.snipe.id });
+      return this.bot.sendMessage(chatId, `🛑 已撤销狙击 #${result.snipe.id} (${result.snipe.symbol})`);
+    }
+
+    const usage = '❌ 用法:\n/snipe <代币地址> <BNB数量> [最大税率%] [最大价格影响%]\n/snipe list\n/snipe cancel <狙击ID>\n\n例如: /snipe 0x... 0.1 10 15  (加流动性后买入 0.1 BNB，买入税超过 10% 或价格影响超过 15% 时不成交)';
+    if (args.length < 2 || args.length > 4) {
+      return this.bot.sendMessage(chatId, usage);
+    }
+
+    const [tokenAddress, amount, taxText, impactText] = args;
+    if (!this.isValidAddress(tokenAddress)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的代币地址');
+    }
+    if (!(parseFloat(amount) > 0)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的BNB数量');
+    }
+    const maxTax = taxText ? parseFloat(taxText.replace(/%$/, '')) : config.SNIPE_MAX_TAX;
+    if (!(maxTax >= 0 && maxTax + this.tradeManager.settings.slippage < 100)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的最大税率，例如 10 或 10%');
+    }
+    const maxImpact = impactText ? parseFloat(impactText.replace(/%$/, '')) : config.SNIPE_MAX_PRICE_IMPACT;
+    if (!(maxImpact > 0 && maxImpact < 100)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的最大价格影响，例如 15 或 15%');
+    }
 
-    if (!this.isValidAddress(tokenAddress)) {
-      return this.bot.sendMessage(chatId, '❌ 无效的地址格式');
+    const riskCheck = this.tradeManager.checkBuyRisk(tokenAddress, amount);
+    if (!riskCheck.allowed) {
+      return this.bot.sendMessage(chatId, riskCheck.error);
     }
 
-    const loadingMsg = await this.bot.sendMessage(chatId, '🔍 正在比较V2和V3价格（包含流动性检查）...');
+    const arm = async () => {
+      const result = await this.sniper.createSnipe({ chatId, tokenAddress, amount, maxTax, maxImpact });
+      if (!result.success) {
+        return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      }
 
-    try {
-      // 获取详细路由信息 (买入)
-      const buyRouteInfo = await this.tradeManager.getBestRoute(tokenAddress, 0.001, true);
-      
-      await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+      const { snipe } = result;
+      logger.info('Snipe armed', { chatId, snipeId: snipe.id, tokenAddress, amount, maxTax, maxImpact });
+      this.auditLog.record('snipe_armed', { chatId, snipeId: snipe.id, tokenAddress: snipe.tokenAddress, amount: snipe.amount, maxTax, maxImpact });
 
-      if (buyRouteInfo.success) {
-        // 构建所有报价信息
-        let allQuotesInfo = '✅ *可用路由*:\n';
-        buyRouteInfo.allQuotes.forEach(q => {
-          const poolAddress = q.liquidityInfo ? (q.liquidityInfo.poolAddress || q.liquidityInfo.pairAddress) : 'N/A';
-          const shortAddress = poolAddress !== 'N/A' ? `${poolAddress.slice(0,6)}...${poolAddress.slice(-4)}` : 'N/A';
-          const isBest = q === buyRouteInfo.allQuotes.find(best => best.expectedAmount === buyRouteInfo.comparison.bestPrice) ? ' 👑' : '';
-          const feeStr = q.quote.fee ? ` (${q.quote.fee/10000}%)` : '';
-          allQuotesInfo += `• ${q.version.toUpperCase()}${feeStr}: ${q.expectedAmount} 代币\n`;
-          allQuotesInfo += `  💧 流动性: ${q.liquidityInfo.liquidityInBNB} BNB ${q.liquidityInfo.emoji} (${q.liquidityInfo.ratio.toFixed(1)}x)\n`;
-          allQuotesInfo += `  🏠 池子: \`${shortAddress}\`${isBest}\n\n`;
-        });
+      await this.bot.sendMessage(chatId, `
+🎯 *狙击已布置* #${snipe.id}
 
-        // 构建被拒绝的路由信息
-        let rejectedInfo = '';
-        if (buyRouteInfo.rejectedQuotes && buyRouteInfo.rejectedQuotes.length > 0) {
-          rejectedInfo = '\n❌ *不可用路由*:\n';
-          buyRouteInfo.rejectedQuotes.forEach(rq => {
-            const reason = rq.rejectedReason === 'liquidity' ? '流动性不足' : 
-                          rq.rejectedReason === 'pool_not_exist' ? '池子不存在' : 
-                          rq.rejectedReason === 'quote_failed' ? '报价失败' : '未知原因';
-            const poolAddress = rq.liquidityInfo ? (rq.liquidityInfo.poolAddress || rq.liquidityInfo.pairAddress) : 'N/A';
-            const shortAddress = poolAddress !== 'N/A' ? `${poolAddress.slice(0,6)}...${poolAddress.slice(-4)}` : 'N/A';
-            const feeStr = rq.fee ? ` (${rq.fee/10000}%)` : '';
-            rejectedInfo += `• ${rq.version.toUpperCase()}${feeStr}: ${reason}\n`;
-            if (rq.liquidityInfo) {
-              rejectedInfo += `  💧 流动性: ${rq.liquidityInfo.liquidityInBNB} BNB ${rq.liquidityInfo.emoji} (${rq.liquidityInfo.ratio.toFixed(1)}x)\n`;
-            }
-            rejectedInfo += `  🏠 池子: \`${shortAddress}\`\n\n`;
-          });
-        }
+🪙 代币: ${snipe.symbol} (\`${formatAddress(snipe.tokenAddress)}\`)
+💰 买入: ${snipe.amount} BNB
+🧾 最大买入税: ${snipe.maxTax}%
+📉 最大价格影响: ${snipe.maxImpact}%
 
-        // 最优路由信息
-        const bestPoolAddress = buyRouteInfo.bestPoolAddress;
-        const bestShortAddress = bestPoolAddress ? `${bestPoolAddress.slice(0,6)}...${bestPoolAddress.slice(-4)}` : 'N/A';
+监听 V2/V3 建池和加流动性事件，直连池流动性通过检查后自动买入一次，结果会发送通知
+使用 \`/snipe cancel ${snipe.id}\` 撤销
+      `, { parse_mode: 'Markdown' });
+    };
 
-        const message = `
-🔍 *流动性与价格分析报告*
+    if (this.twoFactor.isHighValueTrade(amount)) {
+      return this.requireSecondFactor(chatId, `布置狙击 ${amount} BNB`, arm);
+    }
+    await arm();
+  }
 
-🪙 代币: \`${tokenAddress}\`
-💰 买入金额: 0.001 BNB
+  async showSnipes(chatId) {
+    const snipes = this.sniper.getSnipes(chatId);
+    if (snipes.length === 0) {
+      return this.bot.sendMessage(chatId, '🎯 没有监听中的狙击\n\n使用 /snipe <代币地址> <BNB数量> [最大税率%] [最大价格影响%] 布置');
+    }
 
-${allQuotesInfo}${rejectedInfo}
-🏆 *最优选择*:
-• 路由: ${buyRouteInfo.bestRoute.version.toUpperCase()}${buyRouteInfo.bestRoute.fee ? ` (${buyRouteInfo.bestRoute.fee/10000}%)` : ''}
-• 预期获得: ${buyRouteInfo.comparison.bestPrice} 代币
-• 池子地址: \`${bestPoolAddress || 'N/A'}\`
-• 流动性等级: ${buyRouteInfo.bestLiquidity?.level || '未知'} ${buyRouteInfo.bestLiquidity?.emoji || ''}
+    let message = `🎯 监听中的狙击 (${snipes.length})\n\n`;
+    snipes.forEach(snipe => {
+      message += `#${snipe.id} ${snipe.symbol} ${snipe.amount} BNB (税率 ≤ ${snipe.maxTax}%，价格影响 ≤ ${snipe.maxImpact}%)\n`;
+      message += `   ${snipe.waitingReason ? `等待: ${snipe.waitingReason}` : '等待建池'}\n`;
+    });
 
-📊 *统计*:
-• 可用路由: ${buyRouteInfo.comparison.totalQuotes}
-• 被拒路由: ${buyRouteInfo.comparison.totalRejected || 0}
-• 价格提升: ${buyRouteInfo.comparison.improvement}
+    await this.bot.sendMessage(chatId, message);
+  }
 
-💡 使用 /buy 命令将自动选择最优路由
-        `;
-        await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-      } else {
-        // 显示所有失败的原因
-        let errorDetails = buyRouteInfo.error;
-        if (buyRouteInfo.rejectedQuotes && buyRouteInfo.rejectedQuotes.length > 0) {
-          errorDetails += '\n\n❌ *详细信息*:\n';
-          buyRouteInfo.rejectedQuotes.forEach(rq => {
-            const reason = rq.rejectedReason === 'liquidity' ? '流动性不足' : 
-                          rq.rejectedReason === 'pool_not_exist' ? '池子不存在' : 
-                          rq.rejectedReason === 'quote_failed' ? '报价失败' : '未知原因';
-            const poolAddress = rq.liquidityInfo ? (rq.liquidityInfo.poolAddress || rq.liquidityInfo.pairAddress) : 'N/A';
-            const shortAddress = poolAddress !== 'N/A' ? `${poolAddress.slice(0,6)}...${poolAddress.slice(-4)}` : 'N/A';
-            const feeStr = rq.fee ? ` (${rq.fee/10000}%)` : '';
-            errorDetails += `• ${rq.version.toUpperCase()}${feeStr}: ${reason} (池子: \`${shortAddress}\`)\n`;
-          });
+  async handlePositionsCommand(msg) {
+    const chatId = msg.chat.id;
+    const rules = this.positionMonitor.getRules(chatId);
+
+    if (rules.length === 0) {
+      return this.bot.sendMessage(chatId, '🛡️ 没有设置止损止盈的持仓\n\n使用 /sl、/tp 或 /trail 设置，或在买入时附加 sl=10% tp=50%');
+    }
+
+    let message = `🛡️ *止损止盈持仓* (${rules.length})\n\n`;
+    for (const rule of rules) {
+      const position = this.tradeManager.getPosition(rule.tokenAddress);
+      if (!position) continue;
+
+      let currentLine = '';
+      try {
+        const quote = await this.positionMonitor.getSellQuote(position);
+        if (quote) {
+          const change = (quote.priceBNB / position.entryPrice - 1) * 100;
+          currentLine = `   当前: ${quote.priceBNB.toPrecision(6)} BNB (${change >= 0 ? '+' : ''}${change.toFixed(2)}%)\n`;
         }
-        await this.bot.sendMessage(chatId, `❌ 流动性检查失败:\n\n${errorDetails}`, { parse_mode: 'Markdown' });
+      } catch (error) {
+        logger.error('Position quote error:', error);
       }
 
-    } catch (error) {
-      logger.error('Compare command error:', error);
-      try {
-        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
-      } catch (e) {}
-      await this.bot.sendMessage(chatId, '❌ 价格比较时发生错误');
+      message += `🪙 ${position.symbol} (\`${formatAddress(position.tokenAddress)}\`)\n`;
+      message += `   持仓: ${formatNumber(position.tokenAmount)}，成本价: ${position.entryPrice.toPrecision(6)} BNB\n`;
+      message += currentLine;
+      message += `   止损: ${this.positionMonitor.describeLevel(rule.stopLoss, 'stopLoss', position.entryPrice)}\n`;
+      message += `   止盈: ${this.positionMonitor.describeLevel(rule.takeProfit, 'takeProfit', position.entryPrice)}\n`;
+      if (rule.trailing) {
+        message += `   移动止损: 回撤 ${rule.trailing.percent}% 卖出 ${rule.trailing.portion}%，最高 ${rule.trailing.peakPrice.toPrecision(6)} BNB，止损线 ${this.positionMonitor.getTrailingStopPrice(rule.trailing).toPrecision(6)} BNB\n`;
+      }
+      message += '\n';
     }
+
+    await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
   }
 
-  async handleBalance(msg) {
+  async handleSendCommand(msg, match) {
     const chatId = msg.chat.id;
-    const loadingMsg = await this.bot.sendMessage(chatId, '💰 正在获取钱包余额...');
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+    if (args.length !== 3) {
+      return this.bot.sendMessage(chatId, '❌ 用法: /send <BNB|代币符号|代币地址> <数量|max> <白名单别名|地址>\n\n例如: /send BNB max cold\n使用 /allowlist 查看白名单');
+    }
+
+    const [asset, amount, destination] = args;
+    if (amount.toLowerCase() !== 'max' && !(parseFloat(amount) > 0)) {
+      return this.bot.sendMessage(chatId, '❌ 无效的数量');
+    }
 
+    const loadingMsg = await this.bot.sendMessage(chatId, '📤 正在准备转账...');
+    const transfer = await this.tradeManager.prepareTransfer(asset, amount, destination);
     try {
-      const balance = await this.tradeManager.getWalletBalance();
-      
       await this.bot.deleteMessage(chatId, loadingMsg.message_id);
+    } catch (e) {}
 
-      const message = `
-💼 *钱包余额*
+    if (!transfer.success) {
+      return this.bot.sendMessage(chatId, transfer.error);
+    }
 
-👤 地址: \`${balance.address}\`
+    for (const [id, pendingTransfer] of this.pendingTransfers) {
+      if (pendingTransfer.expiresAt < Date.now() - 60 * 60 * 1000) {
+        this.pendingTransfers.delete(id);
+      }
+    }
 
-💰 *余额信息:*
-• BNB: ${parseFloat(balance.bnb).toFixed(6)} BNB
-      `;
+    const transferId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    this.pendingTransfers.set(transferId, {
+      transfer,
+      chatId,
+      expiresAt: Date.now() + config.QUOTE_TTL_SECONDS * 1000
+    });
 
-      await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    const message = `
+📤 *转账确认*
 
-    } catch (error) {
-      logger.error('Balance error:', error);
-      try {
-        await this.bot.deleteMessage(chatId, loadingMsg.message_id);
-      } catch (e) {}
-      await this.bot.sendMessage(chatId, '❌ 获取余额时发生错误');
-    }
-  }
+🪙 资产: ${transfer.symbol}${transfer.tokenAddress ? ` (\`${formatAddress(transfer.tokenAddress)}\`)` : ''}
+💰 数量: ${formatNumber(transfer.amount)} ${transfer.symbol}${amount.toLowerCase() === 'max' ? ' (全部)' : ''}
+📒 目标: \`${transfer.alias}\`
+🏦 地址: \`${transfer.to}\`
+⛽ 预估Gas: ≤ ${parseFloat(transfer.estimatedGasBNB).toFixed(6)} BNB
 
-  async handleWallet(msg) {
-    await this.handleBalance(msg);
+⚠️ 链上转账无法撤回，请仔细核对目标地址
+⏰ ${config.QUOTE_TTL_SECONDS} 秒内有效
+    `;
+
+    await this.bot.sendMessage(chatId, message, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: '✅ 确认转账', callback_data: `confirm_send_${transferId}` },
+            { text: '❌ 取消', callback_data: `cancel_send_${transferId}` }
+          ]
+        ]
+      }
+    });
   }
 
-  async handleSettings(msg) {
-    const chatId = msg.chat.id;
-    const settings = this.tradeManager.settings;
+  async handleTransferDecision(callbackQuery, transferId, confirmed) {
+    const chatId = callbackQuery.message.chat.id;
+    const pending = this.pendingTransfers.get(transferId);
 
-    const message = `
-⚙️ *交易设置*
+    if (!pending || pending.chatId !== chatId) {
+      return this.bot.answerCallbackQuery(callbackQuery.id, { text: '❌ 该转账已处理或已失效' });
+    }
 
-当前配置:
-• 滑点容忍度: ${settings.slippage}%
-• Gas 限制: ${settings.gasLimit}
-• Gas 价格: ${settings.gasPrice} Gwei
-• 最大交易金额: ${settings.maxTradeAmount} BNB
+    this.pendingTransfers.delete(transferId);
+    await this.bot.answerCallbackQuery(callbackQuery.id);
+    try {
+      await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: callbackQuery.message.message_id });
+    } catch (e) {}
 
-使用命令修改设置:
-• \`/slippage <百分比>\` - 设置滑点容忍度
-    `;
+    if (!confirmed) {
+      return this.bot.sendMessage(chatId, '❌ 转账已取消');
+    }
+    // 余额可能已变化，过期后需要重新发起
+    if (Date.now() > pending.expiresAt) {
+      return this.bot.sendMessage(chatId, '⏰ 转账确认已过期，请重新使用 /send');
+    }
 
-    const keyboard = {
-      inline_keyboard: [
-        [
-          { text: '📊 设置滑点', callback_data: 'set_slippage' },
-          { text: '⛽ 设置Gas', callback_data: 'set_gas' }
-        ],
-        [
-          { text: '💰 设置最大金额', callback_data: 'set_max_amount' },
-          { text: '🔙 返回主菜单', callback_data: 'main_menu' }
-        ]
-      ]
-    };
+    const { transfer } = pending;
+    // 转出资金总是需要2FA（已绑定时）
+    this.twoFactor.resetGrace(chatId);
+    await this.requireSecondFactor(chatId, `转账 ${formatNumber(transfer.amount)} ${transfer.symbol} 到 \`${transfer.alias}\``, async () => {
+      const progressMsg = await this.bot.sendMessage(chatId, '📤 正在发送转账...');
+      const result = await this.tradeManager.executeTransfer(transfer, chatId);
+      try {
+        await this.bot.deleteMessage(chatId, progressMsg.message_id);
+      } catch (e) {}
 
-    await this.bot.sendMessage(chatId, message, {
-      parse_mode: 'Markdown',
-      reply_markup: keyboard
+      if (!result.success) {
+        logger.error('Transfer failed', { chatId, to: transfer.to, asset: transfer.symbol, error: result.error });
+        return this.bot.sendMessage(chatId, `❌ 转账失败: ${result.error}`);
+      }
+
+      logger.info('Transfer sent', { chatId, to: transfer.to, asset: transfer.symbol, amount: transfer.amount, txHash: result.txHash });
+      await this.bot.sendMessage(chatId, `✅ *转账成功*\n\n💰 ${formatNumber(transfer.amount)} ${transfer.symbol} → \`${transfer.alias}\`\n🔗 [查看交易](https://bscscan.com/tx/${result.txHash})`, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      });
     });
   }
 
-  async handleSlippageSet(msg, match) {
+  async handleAllowlistCommand(msg, match) {
     const chatId = msg.chat.id;
-    const slippage = parseFloat(match[1]);
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const addressBook = this.tradeManager.addressBook;
 
-    if (isNaN(slippage) || slippage < 0.1 || slippage > 50) {
-      return this.bot.sendMessage(chatId, '❌ 滑点必须在 0.1% 到 50% 之间');
+    if (args.length === 0) {
+      if (addressBook.entries.length === 0) {
+        return this.bot.sendMessage(chatId, '📒 提现白名单为空\n\n使用 /allowlist add <别名> <地址> 添加');
+      }
+
+      let message = `📒 *提现白名单*\n\n`;
+      addressBook.entries.forEach(entry => {
+        const status = addressBook.isActive(entry) ? '✅ 已生效' : `⏳ ${new Date(entry.activeAt).toLocaleString()} 生效`;
+        message += `• \`${entry.alias}\` ${status}\n  \`${entry.address}\`\n`;
+      });
+      message += `\n新地址锁定期: ${config.WITHDRAW_TIMELOCK_HOURS} 小时`;
+      return this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    }
+
+    if (args[0] === 'add' && args.length === 3) {
+      const [, alias, address] = args;
+      // 先校验别名，2FA 提示中会显示别名
+      const aliasError = addressBook.validateAlias(alias);
+      if (aliasError) {
+        return this.bot.sendMessage(chatId, `❌ ${aliasError}`);
+      }
+      return this.requireSecondFactor(chatId, `添加提现白名单 \`${alias}\``, async () => {
+        const result = addressBook.add(alias, address, chatId);
+        if (!result.success) {
+          return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+        }
+
+        logger.warn('Withdraw allowlist entry added', { chatId, alias, address: result.entry.address });
+        this.auditSettingChange(chatId, `allowlist.${alias}`, null, result.entry.address);
+        const activeText = addressBook.isActive(result.entry)
+          ? '立即生效'
+          : `将于 ${new Date(result.entry.activeAt).toLocaleString()} 生效`;
+        await this.bot.sendMessage(chatId, `✅ 已添加 \`${alias}\`: \`${result.entry.address}\`\n⏳ ${activeText}`, { parse_mode: 'Markdown' });
+      });
     }
 
-    this.tradeManager.settings.slippage = slippage;
-    await this.bot.sendMessage(chatId, `✅ 滑点已设置为 ${slippage}%`);
+    if (args[0] === 'remove' && args.length === 2) {
+      return this.requireSecondFactor(chatId, `移除提现白名单 ${args[1]}`, async () => {
+        const result = addressBook.remove(args[1]);
+        if (!result.success) {
+          return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+        }
+
+        logger.warn('Withdraw allowlist entry removed', { chatId, alias: result.entry.alias });
+        this.auditSettingChange(chatId, `allowlist.${result.entry.alias}`, result.entry.address, null);
+        await this.bot.sendMessage(chatId, `🗑️ 已移除 ${result.entry.alias}`);
+      });
+    }
+
+    return this.bot.sendMessage(chatId, '❌ 用法: /allowlist [add <别名> <地址> | remove <别名>]');
   }
 
-  async handleDefaultBuySet(msg, match) {
+  async handleAuditCommand(msg, match) {
     const chatId = msg.chat.id;
-    const amount = parseFloat(match[1]);
+    const arg = (match[1] || '').trim().toLowerCase();
 
-    if (isNaN(amount) || amount <= 0) {
-      return this.bot.sendMessage(chatId, '❌ 无效的金额');
+    if (arg === 'verify') {
+      const result = this.auditLog.verify();
+      if (!result.valid) {
+        logger.error('Audit log verification failed', result);
+        return this.bot.sendMessage(chatId, `🚨 审计日志校验失败\n\n第 ${result.brokenAt || '?'} 条 (共 ${result.total} 条): ${result.error}`);
+      }
+      return this.bot.sendMessage(chatId, `✅ 审计日志校验通过\n\n记录数: ${result.total}\n最新哈希: \`${result.lastHash}\``, { parse_mode: 'Markdown' });
+    }
+
+    const count = arg ? parseInt(arg) : 10;
+    if (isNaN(count) || count <= 0 || count > 50) {
+      return this.bot.sendMessage(chatId, '❌ 用法: /audit [1-50] 或 /audit verify');
+    }
+
+    const entries = this.auditLog.getRecent(count);
+    if (entries.length === 0) {
+      return this.bot.sendMessage(chatId, '📜 审计日志为空');
+    }
+
+    let message = `📜 最近 ${entries.length} 条审计记录\n\n`;
+    entries.forEach(entry => {
+      message += `#${entry.seq} ${entry.timestamp.replace('T', ' ').slice(0, 19)} ${this.formatAuditEntry(entry)}\n`;
+    });
+
+    // 记录内容来自用户输入，不使用 Markdown 避免解析错误
+    if (message.length > 4000) {
+      message = message.slice(0, 4000) + '\n...';
     }
+    await this.bot.sendMessage(chatId, message);
+  }
 
-    this.tradeManager.settings.defaultBuyAmount = amount;
-    await this.bot.sendMessage(chatId, `✅ 默认购买金额已设置为 ${amount} BNB`);
+  formatAuditEntry(entry) {
+    const who = entry.username ? `@${entry.username}` : (entry.chatId ?? 'system');
+    switch (entry.event) {
+      case 'command':
+        return `${who} ${entry.text}`;
+      case 'callback':
+        return `${who} [按钮] ${entry.data}`;
+      case 'setting_change':
+        return `${who} ${entry.setting}: ${entry.oldValue} → ${entry.newValue}`;
+      case 'trade':
+        return `${entry.side === 'buy' ? '买入' : '卖出'} ${formatAddress(entry.tokenAddress)} ${entry.amount} ` +
+          (entry.success ? `✅ ${entry.route || ''} ${entry.txHash ? formatAddress(entry.txHash) : ''}` : `❌ ${entry.error}`);
+      case 'access_denied':
+        return `⛔ ${who} ${entry.action} (需要 ${entry.requiredRole})`;
+      default:
+        return `${entry.event} ${who}`;
+    }
   }
 
-  async handleDefaultSellSet(msg, match) {
+  async handleLimitsCommand(msg, match) {
     const chatId = msg.chat.id;
-    const percentage = parseFloat(match[1]);
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
 
-    if (isNaN(percentage) || percentage <= 0 || percentage > 100) {
-      return this.bot.sendMessage(chatId, '❌ 无效的百分比');
+    if (args.length > 0) {
+      if (args[0] !== 'set' || args.length !== 3) {
+        return this.bot.sendMessage(chatId, '❌ 用法: /limits set <maxtrade|daily|exposure|positions> <数值>');
+      }
+
+      return this.requireSecondFactor(chatId, `修改风控限额 ${args[1]} 为 ${args[2]}`, async () => {
+        const result = this.tradeManager.setRiskLimit(args[1], args[2]);
+        if (!result.success) {
+          return this.bot.sendMessage(chatId, `❌ ${result.error}`);
+        }
+
+        logger.info('Risk limit changed', { chatId, limit: result.key, oldValue: result.oldValue, newValue: result.newValue });
+        this.auditSettingChange(chatId, `riskLimits.${result.key}`, result.oldValue, result.newValue);
+        await this.bot.sendMessage(chatId, `✅ ${result.label}: ${result.oldValue || '不限制'} → ${result.newValue || '不限制'}`);
+      });
     }
 
-    this.tradeManager.settings.defaultSellPercentage = percentage;
-    await this.bot.sendMessage(chatId, `✅ 默认卖出百分比已设置为 ${percentage}%`);
+    const summary = this.tradeManager.riskLimits.getSummary();
+    let message = `🚫 *风控限额*\n\n`;
+    summary.forEach(item => {
+      const limitText = item.value !== null ? `${item.value} ${item.unit}` : '不限制';
+      const usedText = item.used !== null ? ` (已用 ${item.used} ${item.unit})` : '';
+      message += `• ${item.label}: ${limitText}${usedText}\n  修改: \`/limits set ${item.alias} <数值>\`\n`;
+    });
+    message += `\n💡 0 表示不限制，超出限额的买入会在路由之前被拦截`;
+
+    await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
   }
 
   async handleCallbackQuery(callbackQuery) {
     const chatId = callbackQuery.message.chat.id;
     const data = callbackQuery.data;
 
+    // 交易相关回调自行应答，以便对重复点击给出弹窗提示
+    if (data.startsWith('confirm_trade_')) {
+      await this.handleTradeDecision(callbackQuery, data.replace('confirm_trade_', ''), true);
+      return;
+    }
+
+    if (data.startsWith('cancel_trade_')) {
+      await this.handleTradeDecision(callbackQuery, data.replace('cancel_trade_', ''), false);
+      return;
+    }
+
+    if (data.startsWith('confirm_send_') || data.startsWith('cancel_send_')) {
+      const confirmed = data.startsWith('confirm_send_');
+      await this.handleTransferDecision(callbackQuery, data.replace(/^(confirm|cancel)_send_/, ''), confirmed);
+      return;
+    }
+
+    if (data.startsWith('repeat_trade_')) {
+      await this.handleRepeatTrade(callbackQuery, data.replace('repeat_trade_', ''));
+      return;
+    }
+
     await this.bot.answerCallbackQuery(callbackQuery.id);
 
-    // 处理带参数的回调
     if (data.startsWith('quick_buy_0x')) {
       const tokenAddress = data.replace('quick_buy_', '');
-      await this.bot.sendMessage(chatId, `🧠 请输入购买数量(BNB)或使用命令:\n/buy ${tokenAddress} <数量>`);
+      await this.bot.sendMessage(chatId, `🧠 请输入购买数量(${this.tradeManager.settings.baseAsset})或使用命令:\n/buy ${tokenAddress} <数量>`);
+      return;
+    }
+
+    const percentSellMatch = data.match(/^quick_sell_(\d+)_(0x[a-fA-F0-9]{40})$/);
+    if (percentSellMatch) {
+      await this.executeSellWithBalance(chatId, percentSellMatch[2], parseInt(percentSellMatch[1]), this.tradeManager.settings.baseAsset);
       return;
     }
 
     if (data.startsWith('quick_sell_0x')) {
       const tokenAddress = data.replace('quick_sell_', '');
-      await this.bot.sendMessage(chatId, `💸 请输入卖出数量或使用命令:\n/sell ${tokenAddress} <数量>`);
+      if (this.isValidAddress(tokenAddress)) {
+        await this.executeSellWithBalance(chatId, tokenAddress, this.tradeManager.settings.defaultSellPercentage, this.tradeManager.settings.baseAsset);
+      } else {
+        await this.bot.sendMessage(chatId, '❌ 无效的代币地址');
+      }
       return;
     }
 
@@ -1023,14 +3537,14 @@ ${allQuotesInfo}${rejectedInfo}
         if (data.startsWith('quick_buy_')) {
           const tokenAddress = data.replace('quick_buy_', '');
           if (this.isValidAddress(tokenAddress)) {
-            await this.executeBuy(chatId, tokenAddress, config.DEFAULT_BUY_AMOUNT.toString());
+            await this.executeDefaultBuy(chatId, tokenAddress);
           } else {
             await this.bot.sendMessage(chatId, '❌ 无效的代币地址');
           }
         } else if (data.startsWith('quick_sell_')) {
           const tokenAddress = data.replace('quick_sell_', '');
           if (this.isValidAddress(tokenAddress)) {
-            await this.executeSellWithBalance(chatId, tokenAddress);
+            await this.executeSellWithBalance(chatId, tokenAddress, this.tradeManager.settings.defaultSellPercentage, this.tradeManager.settings.baseAsset);
           } else {
             await this.bot.sendMessage(chatId, '❌ 无效的代币地址');
           }
@@ -1060,7 +3574,7 @@ ${allQuotesInfo}${rejectedInfo}
         case 'waiting_buy_token_address':
           this.userSessions.delete(chatId);
           if (this.isValidAddress(text)) {
-            return this.executeBuy(chatId, text, config.DEFAULT_BUY_AMOUNT.toString());
+            return this.executeDefaultBuy(chatId, text);
           } else {
             return this.bot.sendMessage(chatId, '❌ 无效的代币地址格式，请重新输入');
           }
@@ -1068,10 +3582,44 @@ ${allQuotesInfo}${rejectedInfo}
         case 'waiting_sell_token_address':
           this.userSessions.delete(chatId);
           if (this.isValidAddress(text)) {
-            return this.executeSellWithBalance(chatId, text);
+            return this.executeSellWithBalance(chatId, text, userSession.percentage, this.tradeManager.settings.baseAsset);
           } else {
             return this.bot.sendMessage(chatId, '❌ 无效的代币地址格式，请重新输入');
           }
+
+        case 'waiting_totp_code': {
+          const result = this.twoFactor.verify(chatId, text);
+          if (!result.valid) {
+            userSession.attempts += 1;
+            if (userSession.attempts >= 3) {
+              this.userSessions.delete(chatId);
+              logger.warn('2FA verification failed', { chatId, action: userSession.description });
+              return this.bot.sendMessage(chatId, `❌ ${result.error}，尝试次数过多，操作已取消`);
+            }
+            return this.bot.sendMessage(chatId, `❌ ${result.error}，请重新输入 (剩余 ${3 - userSession.attempts} 次)`);
+          }
+
+          this.userSessions.delete(chatId);
+          await this.bot.sendMessage(chatId, '✅ 验证通过');
+          return userSession.action();
+        }
+
+        case 'waiting_2fa_enroll_code': {
+          const wasEnrolled = this.twoFactor.isEnrolled(chatId);
+          const result = this.twoFactor.confirmEnrollment(chatId, text);
+          if (!result.valid) {
+            return this.bot.sendMessage(chatId, `❌ ${result.error}，请重新输入`);
+          }
+
+          this.userSessions.delete(chatId);
+          // 删除包含密钥的二维码消息
+          try {
+            await this.bot.deleteMessage(chatId, userSession.qrMessageId);
+          } catch (e) {}
+          logger.info('2FA enrolled', { chatId });
+          this.auditSettingChange(chatId, 'twoFactor', wasEnrolled ? 'enabled' : 'disabled', 'enabled');
+          return this.bot.sendMessage(chatId, `✅ 2FA绑定成功\n\n之后高额交易和修改设置时需要输入验证码，验证后 ${config.TOTP_GRACE_MINUTES} 分钟内不再重复要求`);
+        }
       }
     }
 
@@ -1124,7 +3672,8 @@ ${allQuotesInfo}${rejectedInfo}
               [
                 { text: '🧠 智能买入', callback_data: `quick_buy_${text}` },
                 { text: '💸 智能卖出', callback_data: `quick_sell_${text}` }
-              ]
+              ],
+              this.getPercentSellButtons(text)
             ]
           }
         });
@@ -1220,11 +3769,41 @@ ${allQuotesInfo}${rejectedInfo}
   }
 
   async handleQuickBuy(chatId, amount) {
-    await this.bot.sendMessage(chatId, `🧠 请输入代币地址进行快速购买 ${amount} BNB\n\n或使用命令: /buy <代币地址> ${amount}`);
+    // 快速买入数量以 BNB 计，默认交易资产为稳定币时在命令中写明 base=BNB
+    const baseOption = this.tradeManager.settings.baseAsset === 'BNB' ? '' : ' base=BNB';
+    await this.bot.sendMessage(chatId, `🧠 请输入代币地址进行快速购买 ${amount} BNB\n\n或使用命令: /buy <代币地址> ${amount}${baseOption}`);
   }
 
+  /**
+   * 快速菜单的按比例卖出：有最近查看的代币时直接卖出，否则询问代币地址
+   */
   async handleQuickSell(chatId, percentage) {
-    await this.bot.sendMessage(chatId, `💸 请输入代币地址进行快速卖出 ${percentage}%\n\n或使用命令: /sell <代币地址> ${percentage}%`);
+    const session = this.userSessions.get(chatId);
+    if (session && session.state === 'token_price_shown' && Date.now() - session.timestamp <= 5 * 60 * 1000) {
+      return this.executeSellWithBalance(chatId, session.tokenAddress, percentage, this.tradeManager.settings.baseAsset);
+    }
+
+    this.userSessions.set(chatId, {
+      state: 'waiting_sell_token_address',
+      percentage,
+      timestamp: Date.now()
+    });
+    await this.bot.sendMessage(chatId, `💸 请输入要卖出 ${percentage}% 的代币地址\n\n或使用命令: /sell <代币地址> ${percentage === 100 ? 'max' : `${percentage}%`}`, {
+      reply_markup: {
+        force_reply: true,
+        input_field_placeholder: '请输入代币合约地址...'
+      }
+    });
+  }
+
+  /**
+   * 代币卡片上按实时余额比例卖出的按钮
+   */
+  getPercentSellButtons(tokenAddress) {
+    return [25, 50, 75, 100].map(percentage => ({
+      text: percentage === 100 ? '💸 全部' : `💸 ${percentage}%`,
+      callback_data: `quick_sell_${percentage}_${tokenAddress}`
+    }));
   }
 
   async handleBalanceDetail(chatId) {
@@ -1275,7 +3854,10 @@ ${allQuotesInfo}${rejectedInfo}
     const loadingMsg = await this.bot.sendMessage(chatId, `📊 正在获取 ${tokenSymbol} 价格信息...`);
 
     try {
-      const priceInfo = await this.tradeManager.getTokenPrice(tokenAddress);
+      const [priceInfo, taxCheck] = await Promise.all([
+        this.tradeManager.getTokenPrice(tokenAddress),
+        this.tradeManager.simulateTokenTax(tokenAddress)
+      ]);
       
       await this.bot.deleteMessage(chatId, loadingMsg.message_id);
 
@@ -1288,6 +3870,7 @@ ${allQuotesInfo}${rejectedInfo}
 🔸 BNB 价格: ${priceInfo.priceInBNB} BNB
 🏷️ 代币符号: ${priceInfo.symbol}
 💧 流动性: ${priceInfo.liquidity === 'N/A' ? '正常' : priceInfo.liquidity + ' BNB'}
+${this.formatTaxCheck(taxCheck)}
         `;
 
         const keyboard = {
@@ -1296,6 +3879,7 @@ ${allQuotesInfo}${rejectedInfo}
               { text: '🧠 智能买入', callback_data: 'smart_buy' },
               { text: '💸 智能卖出', callback_data: 'smart_sell' }
             ],
+            this.getPercentSellButtons(tokenAddress),
             [
               { text: '🔄 刷新价格', callback_data: `token_${tokenSymbol.toLowerCase()}` },
               { text: '🔙 返回热门', callback_data: 'popular_tokens' }
@@ -1347,6 +3931,7 @@ ${allQuotesInfo}${rejectedInfo}
         message += `${netProfitEmoji} 净利润: ${netProfitSign}${stats.netProfit.toFixed(6)} BNB\n`;
         message += `📈 总盈利: +${stats.totalProfit.toFixed(6)} BNB\n`;
         message += `📉 总亏损: -${stats.totalLoss.toFixed(6)} BNB\n`;
+        message += this.formatProfitByBase(stats.profitByBase);
         message += `🎯 胜率: ${stats.winRate.toFixed(1)}%\n`;
         message += `💼 持仓中: ${stats.holdingTokens} 个代币\n\n`;
       }
@@ -1636,7 +4221,7 @@ ${addressText}
 • 平均每笔盈利: +${(stats.totalProfit / Math.max(stats.sellTrades, 1)).toFixed(6)} BNB
 • 平均每笔亏损: -${(stats.totalLoss / Math.max(stats.sellTrades, 1)).toFixed(6)} BNB
 • 盈亏比: ${stats.totalLoss > 0 ? (stats.totalProfit / stats.totalLoss).toFixed(2) : 'N/A'}
-`;
+${this.formatProfitByBase(stats.profitByBase)}`;
 
       const keyboard = {
         inline_keyboard: [
@@ -1662,6 +4247,18 @@ ${addressText}
     }
   }
 
+  /**
+   * 以稳定币卖出的盈亏按资产分别显示 (不计入上面的 BNB 盈亏)
+   */
+  formatProfitByBase(profitByBase = {}) {
+    return Object.entries(profitByBase)
+      .map(([asset, totals]) => {
+        const net = totals.totalProfit - totals.totalLoss;
+        return `💵 ${asset} 净利润: ${net >= 0 ? '+' : ''}${net.toFixed(2)} ${asset} (盈利 +${totals.totalProfit.toFixed(2)} / 亏损 -${totals.totalLoss.toFixed(2)})\n`;
+      })
+      .join('');
+  }
+
   /**
    * 处理交易历史
    */
@@ -1698,8 +4295,10 @@ ${addressText}
         });
         
         if (trade.type === 'BUY') {
-          message += `🛒 *买入 ${trade.tokenSymbol}*\n`;
-          message += `   💰 花费: ${trade.bnbAmount.toFixed(6)} BNB\n`;
+          message += `🛒 *买入 ${trade.tokenSymbol}*${trade.tag ? ` (${trade.tag})` : ''}\n`;
+          message += trade.baseAmount !== undefined
+            ? `   💰 花费: ${trade.baseAmount.toFixed(2)} ${trade.baseAsset}\n`
+            : `   💰 花费: ${trade.bnbAmount.toFixed(6)} BNB\n`;
           message += `   🪙 获得: ${trade.tokenAmount.toFixed(6)} ${trade.tokenSymbol}\n`;
           message += `   📅 时间: ${date}\n`;
           message += `   📊 状态: ${trade.status === 'HOLDING' ? '持仓中' : '已卖出'}\n`;
@@ -1707,11 +4306,23 @@ ${addressText}
           const profitEmoji = trade.profit >= 0 ? '📈' : '📉';
           const profitSign = trade.profit >= 0 ? '+' : '';
           
+          if (trade.swapTo) {
+            message += `🔁 *换仓 ${trade.tokenSymbol} → ${trade.swapTo.tokenSymbol}*\n`;
+            message += `   🪙 卖出: ${trade.tokenAmount.toFixed(6)} ${trade.tokenSymbol}\n`;
+            message += `   🎯 获得: ${trade.swapTo.tokenAmount.toFixed(6)} ${trade.swapTo.tokenSymbol}\n`;
+            message += `   💵 结转成本: ${trade.totalCost.toFixed(6)} BNB\n`;
+            message += `   📅 时间: ${date}\n`;
+            message += `   🔗 [查看交易](https://bscscan.com/tx/${trade.txHash})\n\n`;
+            return;
+          }
           message += `💸 *卖出 ${trade.tokenSymbol}*\n`;
           message += `   🪙 卖出: ${trade.tokenAmount.toFixed(6)} ${trade.tokenSymbol}\n`;
-          message += `   💰 获得: ${trade.bnbReceived.toFixed(6)} BNB\n`;
-          message += `   💵 成本: ${trade.totalCost.toFixed(6)} BNB\n`;
-          message += `   ${profitEmoji} 利润: ${profitSign}${trade.profit.toFixed(6)} BNB (${profitSign}${trade.profitPercentage.toFixed(2)}%)\n`;
+          // 利润以卖出时接收的资产计，旧记录没有 baseAsset 时为 BNB
+          const unit = trade.baseAsset || 'BNB';
+          const received = trade.baseReceived ?? trade.bnbReceived;
+          message += `   💰 获得: ${received.toFixed(6)} ${unit}\n`;
+          message += `   💵 成本: ${trade.totalCost.toFixed(6)} ${unit}\n`;
+          message += `   ${profitEmoji} 利润: ${profitSign}${trade.profit.toFixed(6)} ${unit} (${profitSign}${trade.profitPercentage.toFixed(2)}%)\n`;
           message += `   📅 时间: ${date}\n`;
         }
         
@@ -1761,6 +4372,13 @@ ${addressText}
         console.log('📡 轮询已启动');
       }
       
+      // 启动后台订单和持仓监控
+      this.limitOrders.start();
+      this.positionMonitor.start();
+      this.dcaManager.start();
+      this.twapManager.start();
+      this.sniper.start();
+      
       console.log('🤖 机器人启动完成！');
     } catch (error) {
       console.error('启动机器人时发生错误:', error);
@@ -1772,6 +4390,12 @@ ${addressText}
     try {
       console.log('🛑 正在停止机器人...');
       
+      this.limitOrders.stop();
+      this.positionMonitor.stop();
+      this.dcaManager.stop();
+      this.twapManager.stop();
+      this.sniper.stop();
+      
       if (this.bot.isPolling()) {
         await this.bot.stopPolling();
         console.log('📡 轮询已停止');
@@ -7,7 +7,10 @@ module.exports = {
   
   // Blockchain
   BSC_RPC_URL: process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org/',
+  BSC_WS_URL: process.env.BSC_WS_URL || '', // 可选的 WebSocket 节点，开盘狙击通过订阅接收事件，留空时使用 HTTP 节点轮询
   PRIVATE_KEY: process.env.PRIVATE_KEY,
+  KEYSTORE_PATH: process.env.KEYSTORE_PATH, // 加密keystore文件路径，配置后优先于PRIVATE_KEY
+  WALLET_AUTO_LOCK_MINUTES: parseFloat(process.env.WALLET_AUTO_LOCK_MINUTES) || 15, // 无操作自动锁定时间
   
   // PancakeSwap 官方路由器地址
   PANCAKESWAP_ROUTER_V2_ADDRESS: '0x10ED43C718714eb63d5aA57B78B54704E256024E',
@@ -19,8 +22,15 @@ module.exports = {
   DEFAULT_GAS_LIMIT: parseInt(process.env.DEFAULT_GAS_LIMIT), // 30万gas，对代币交易足够
   DEFAULT_GAS_PRICE: BigInt(process.env.DEFAULT_GAS_PRICE), // 0.1 Gwei，BSC主网当前正常水平
   MAX_TRADE_AMOUNT: parseFloat(process.env.MAX_TRADE_AMOUNT),
+  DAILY_SPEND_LIMIT: parseFloat(process.env.DAILY_SPEND_LIMIT) || 0, // 24小时累计买入上限 (BNB)，0为不限制
+  MAX_TOKEN_EXPOSURE: parseFloat(process.env.MAX_TOKEN_EXPOSURE) || 0, // 单个代币最大持仓成本 (BNB)
+  MAX_OPEN_POSITIONS: parseInt(process.env.MAX_OPEN_POSITIONS) || 0, // 最大同时持仓代币数
   DEFAULT_BUY_AMOUNT: parseFloat(process.env.DEFAULT_BUY_AMOUNT), // 默认购买0.05 BNB
-  DEFAULT_SELL_PERCENTAGE: parseFloat(process.env.DEFAULT_SELL_PERCENTAGE), // 默认卖出100%
+  DEFAULT_SELL_PERCENTAGE: parseFloat(process.env.DEFAULT_SELL_PERCENTAGE) || 100, // 默认卖出100%
+  QUOTE_TTL_SECONDS: parseInt(process.env.QUOTE_TTL_SECONDS) || 30, // 确认卡片报价有效期
+  DEFAULT_BASE_ASSET: (process.env.DEFAULT_BASE_ASSET || 'BNB').toUpperCase(), // /buy /sell 默认基础资产: BNB / USDT / BUSD / USDC
+  APPROVAL_POLICY: process.env.APPROVAL_POLICY || 'exact', // 授权策略: exact / buffered / unlimited
+  APPROVAL_BUFFER_PERCENT: parseInt(process.env.APPROVAL_BUFFER_PERCENT) || 10, // buffered 策略额外授权比例
   
   // Liquidity Settings
   MIN_LIQUIDITY_RATIO: parseInt(process.env.MIN_LIQUIDITY_RATIO) || 10,
@@ -29,7 +39,29 @@ module.exports = {
   
   // Security
   ADMIN_CHAT_IDS: process.env.ADMIN_CHAT_IDS || '',
+  TRADER_CHAT_IDS: process.env.TRADER_CHAT_IDS || '', // 交易员：可在限额内买卖
+  VIEWER_CHAT_IDS: process.env.VIEWER_CHAT_IDS || '', // 查看者：只读
   ENABLE_TRADING: process.env.ENABLE_TRADING === 'true',
+  REQUIRE_2FA: process.env.REQUIRE_2FA === 'true', // 未绑定2FA的聊天不能执行敏感操作
+  TOTP_TRADE_THRESHOLD: parseFloat(process.env.TOTP_TRADE_THRESHOLD) || 0.5, // 达到该BNB金额的交易需要验证码
+  TOTP_GRACE_MINUTES: parseFloat(process.env.TOTP_GRACE_MINUTES) || 5, // 验证成功后免验证时长
+  RATE_LIMIT_BURST: parseInt(process.env.RATE_LIMIT_BURST) || 5, // 每个聊天允许的连续操作次数
+  RATE_LIMIT_PER_MINUTE: parseFloat(process.env.RATE_LIMIT_PER_MINUTE) || 20, // 每分钟补充的操作次数
+  TRADE_DEDUP_SECONDS: parseInt(process.env.TRADE_DEDUP_SECONDS) || 60, // 相同交易请求的去重窗口
+  LIMIT_ORDER_CRON: process.env.LIMIT_ORDER_CRON || '*/30 * * * * *', // 限价单价格检查频率 (node-cron 表达式，含秒)
+  POSITION_MONITOR_CRON: process.env.POSITION_MONITOR_CRON || '*/30 * * * * *', // 止盈止损检查频率
+  DCA_CATCH_UP_POLICY: process.env.DCA_CATCH_UP_POLICY || 'skip', // 停机期间错过的定投: skip / once / all
+  MULTIHOP_BASES: process.env.MULTIHOP_BASES ?? 'USDT,BUSD,CAKE', // 多跳路由的中间代币 (TOKENS 中的名称，逗号分隔，留空关闭多跳)
+  SPLIT_ROUTE_MIN_BNB: parseFloat(process.env.SPLIT_ROUTE_MIN_BNB) || 1, // 交易价值达到该 BNB 数量时才尝试拆单
+  SPLIT_ROUTE_STEPS: parseInt(process.env.SPLIT_ROUTE_STEPS) || 10, // 拆单比例的搜索粒度，10 表示按 10% 为单位分配
+  TWAP_MAX_PRICE_IMPACT: parseFloat(process.env.TWAP_MAX_PRICE_IMPACT) || 3, // TWAP 每份允许的最大价格影响 (%)
+  TWAP_IMPACT_POLICY: process.env.TWAP_IMPACT_POLICY || 'skip', // 价格影响超限时: skip 跳过本次 / pause 暂停计划
+  TWAP_MAX_SKIPS: parseInt(process.env.TWAP_MAX_SKIPS) || 5, // skip 策略下连续跳过该次数后暂停计划
+  SNIPE_MAX_TAX: parseFloat(process.env.SNIPE_MAX_TAX) || 10, // 开盘狙击默认允许的最大买入税 (%)
+  SNIPE_MAX_PRICE_IMPACT: parseFloat(process.env.SNIPE_MAX_PRICE_IMPACT) || 15, // 开盘狙击默认允许的最大价格影响 (%)
+  MAX_TOKEN_TAX: parseFloat(process.env.MAX_TOKEN_TAX) || 25, // 模拟买卖得到的买入税或卖出税超过该值 (%) 时拦截买入
+  LP_LOCKER_ADDRESSES: process.env.LP_LOCKER_ADDRESSES || '', // /safety 额外识别的 LP 锁仓合约地址 (逗号分隔)，内置 PinkLock 和 UNCX
+  WITHDRAW_TIMELOCK_HOURS: isNaN(parseFloat(process.env.WITHDRAW_TIMELOCK_HOURS)) ? 24 : parseFloat(process.env.WITHDRAW_TIMELOCK_HOURS), // 新增提现地址的锁定期 (小时)，未设置时为24，显式设置为0时立即生效
   
   // API Keys
   BSCSCAN_API_KEY: process.env.BSCSCAN_API_KEY,
@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const cronParser = require('cron-parser');
+const config = require('./config');
+
+const MINUTE_MS = 60 * 1000;
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+const MAX_CATCH_UP_RUNS = 10; // all 策略最多补跑的次数
+const MAX_CATCH_UP_DAYS = 31; // 只检查最近这么多天内错过的执行
+
+/**
+ * 解析定投周期：5段 cron 表达式、每日时间 "09:00" 或间隔 "30m" / "4h" / "1d"，
+ * 统一转换为 cron 表达式，返回 { valid, expression, description, error }
+ */
+function parseSchedule(text) {
+  const trimmed = (text || '').trim();
+
+  const timeMatch = trimmed.match(/^(\d{1,2}):(\d{2})$/);
+  if (timeMatch) {
+    const hour = parseInt(timeMatch[1]);
+    const minute = parseInt(timeMatch[2]);
+    if (hour > 23 || minute > 59) {
+      return { valid: false, error: '无效的时间' };
+    }
+    return { valid: true, expression: `${minute} ${hour} * * *`, description: `每天 ${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}` };
+  }
+
+  const intervalMatch = trimmed.match(/^(\d+)(m|h|d)$/i);
+  if (intervalMatch) {
+    const value = parseInt(intervalMatch[1]);
+    const unit = intervalMatch[2].toLowerCase();
+    // 只接受能整除的间隔，保证每次执行间隔相等
+    if (unit === 'm' && value > 0 && value < 60 && 60 % value === 0) {
+      return { valid: true, expression: `*/${value} * * * *`, description: `每 ${value} 分钟` };
+    }
+    if (unit === 'h' && value > 0 && value < 24 && 24 % value === 0) {
+      return { valid: true, expression: `0 */${value} * * *`, description: `每 ${value} 小时` };
+    }
+    if (unit === 'd' && value === 1) {
+      return { valid: true, expression: '0 0 * * *', description: '每天 00:00' };
+    }
+    return { valid: false, error: '间隔必须能整除一小时或一天，如 5m、15m、30m、1h、4h、12h、1d' };
+  }
+
+  const fields = trimmed.split(/\s+/);
+  if (fields.length === 5 && cron.validate(trimmed)) {
+    // node-cron 要求日期和星期同时满足，标准 cron (补跑计算使用的 cron-parser) 满足其一即可，两者都限制时结果不一致
+    if (fields[2] !== '*' && fields[4] !== '*') {
+      return { valid: false, error: '自定义 cron 不能同时限制日期和星期' };
+    }
+    return { valid: true, expression: trimmed, description: '自定义 cron' };
+  }
+
+  return { valid: false, error: '无效的周期，支持 5 段 cron 表达式 (如 "0 9 * * *")、每日时间 (如 09:00) 或间隔 (如 4h)' };
+}
+
+/**
+ * 定时定投计划：按 cron 周期通过 smartBuyOptimal 买入，走与手动买入相同的交易开关和风控检查。
+ * 计划保存在 dca-plans.json，机器人停机期间错过的执行按 DCA_CATCH_UP_POLICY 处理
+ */
+class DcaManager {
+  /**
+   * @param {OptimizedTradeManager} tradeManager
+   * @param {Function} notify (chatId, message) => Promise，用于发送每次执行的结果
+   */
+  constructor(tradeManager, notify) {
+    this.tradeManager = tradeManager;
+    this.notify = notify;
+    this.plansFile = path.join(__dirname, '..', 'dca-plans.json');
+    this.book = this.loadPlans();
+    this.tasks = new Map(); // planId -> cron 任务
+    this.running = new Set(); // 正在执行的计划，防止重叠执行
+    this.started = false;
+  }
+
+  loadPlans() {
+    try {
+      if (fs.existsSync(this.plansFile)) {
+        return JSON.parse(fs.readFileSync(this.plansFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('读取定投计划失败:', error);
+    }
+    return { nextId: 1, plans: [] };
+  }
+
+  savePlans() {
+    fs.writeFileSync(this.plansFile, JSON.stringify(this.book, null, 2));
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    const activePlans = this.book.plans.filter(p => p.status === 'active');
+    activePlans.forEach(plan => this.schedulePlan(plan));
+    console.log(`🗓️ 定投计划已启动 (${activePlans.length} 个运行中，补跑策略: ${this.getCatchUpPolicy()})`);
+
+    this.catchUp(activePlans).catch(error => console.error('定投补跑失败:', error));
+  }
+
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+    this.started = false;
+  }
+
+  getCatchUpPolicy() {
+    return CATCH_UP_POLICIES.includes(config.DCA_CATCH_UP_POLICY) ? config.DCA_CATCH_UP_POLICY : 'skip';
+  }
+
+  schedulePlan(plan) {
+    this.unschedulePlan(plan.id);
+    this.tasks.set(plan.id, cron.schedule(plan.cron, () => this.runPlan(plan.id)));
+  }
+
+  unschedulePlan(id) {
+    const task = this.tasks.get(id);
+    if (task) {
+      task.stop();
+      this.tasks.delete(id);
+    }
+  }
+
+  /**
+   * 创建计划，返回 { success, plan, error }
+   */
+  createPlan({ chatId, tokenAddress, symbol, amount, scheduleText }) {
+    const schedule = parseSchedule(scheduleText);
+    if (!schedule.valid) {
+      return { success: false, error: schedule.error };
+    }
+
+    const now = new Date().toISOString();
+    const plan = {
+      id: this.book.nextId++,
+      chatId,
+      tokenAddress: tokenAddress.toLowerCase(),
+      symbol,
+      amount: parseFloat(amount),
+      cron: schedule.expression,
+      description: schedule.description,
+      status: 'active',
+      runs: 0,
+      failures: 0,
+      lastRunAt: null,
+      lastResult: null,
+      scheduledUntil: now, // 已处理到的调度时间，用于计算停机期间错过的执行
+      createdAt: now,
+      updatedAt: now
+    };
+    this.book.plans.push(plan);
+    this.savePlans();
+    if (this.started) this.schedulePlan(plan);
+    return { success: true, plan };
+  }
+
+  findPlan(id, chatId) {
+    const plan = this.book.plans.find(p => p.id === parseInt(id));
+    return plan && plan.chatId === chatId ? plan : null;
+  }
+
+  pausePlan(id, chatId) {
+    const plan = this.findPlan(id, chatId);
+    if (!plan) {
+      return { success: false, error: `未找到定投计划 #${id}` };
+    }
+    if (plan.status !== 'active') {
+      return { success: false, error: `定投计划 #${id} 已暂停` };
+    }
+
+    this.unschedulePlan(plan.id);
+    plan.status = 'paused';
+    plan.updatedAt = new Date().toISOString();
+    this.savePlans();
+    return { success: true, plan };
+  }
+
+  /**
+   * 恢复计划，暂停期间的执行不会补跑
+   */
+  resumePlan(id, chatId) {
+    const plan = this.findPlan(id, chatId);
+    if (!plan) {
+      return { success: false, error: `未找到定投计划 #${id}` };
+    }
+    if (plan.status === 'active') {
+      return { success: false, error: `定投计划 #${id} 正在运行` };
+    }
+
+    plan.status = 'active';
+    plan.scheduledUntil = new Date().toISOString();
+    plan.updatedAt = plan.scheduledUntil;
+    this.savePlans();
+    if (this.started) this.schedulePlan(plan);
+    return { success: true, plan };
+  }
+
+  deletePlan(id, chatId) {
+    const plan = this.findPlan(id, chatId);
+    if (!plan) {
+      return { success: false, error: `未找到定投计划 #${id}` };
+    }
+
+    this.unschedulePlan(plan.id);
+    this.book.plans = this.book.plans.filter(p => p !== plan);
+    this.savePlans();
+    return { success: true, plan };
+  }
+
+  getPlans(chatId) {
+    return this.book.plans.filter(p => p.chatId === chatId);
+  }
+
+  /**
+   * 统计 scheduledUntil 之后到现在错过的调度次数
+   */
+  countMissedRuns(plan, now = Date.now()) {
+    const earliest = now - MAX_CATCH_UP_DAYS * 24 * 60 * MINUTE_MS;
+    const since = Math.max(new Date(plan.scheduledUntil).getTime(), earliest);
+    const schedule = cronParser.parseExpression(plan.cron, {
+      currentDate: new Date(Math.floor(since / MINUTE_MS) * MINUTE_MS),
+      endDate: new Date(now)
+    });
+
+    let missed = 0;
+    while (schedule.hasNext()) {
+      schedule.next();
+      missed++;
+    }
+    return missed;
+  }
+
+  /**
+   * 启动时按补跑策略处理停机期间错过的执行：skip 不补跑，once 补跑一次，all 逐次补跑 (最多 MAX_CATCH_UP_RUNS 次)
+   */
+  async catchUp(plans) {
+    const policy = this.getCatchUpPolicy();
+    const now = Date.now();
+
+    for (const plan of plans) {
+      const missed = this.countMissedRuns(plan, now);
+      if (missed === 0) continue;
+
+      const runs = policy === 'all' ? Math.min(missed, MAX_CATCH_UP_RUNS) : policy === 'once' ? 1 : 0;
+      console.log(`🗓️ 定投计划 #${plan.id} 停机期间错过 ${missed} 次执行，补跑 ${runs} 次`);
+
+      plan.scheduledUntil = new Date(now).toISOString();
+      this.savePlans();
+
+      if (runs === 0) {
+        await this.sendNotice(plan.chatId, `🗓️ 定投计划 #${plan.id} (${plan.symbol}) 在机器人停机期间错过 ${missed} 次执行，按补跑策略 skip 未补买`);
+        continue;
+      }
+      for (let i = 0; i < runs; i++) {
+        await this.runPlan(plan.id, { catchUp: true });
+      }
+    }
+  }
+
+  async runPlan(id, { catchUp = false } = {}) {
+    const plan = this.book.plans.find(p => p.id === id);
+    if (!plan || plan.status !== 'active' || this.running.has(id)) return;
+
+    this.running.add(id);
+    try {
+      if (!catchUp) {
+        plan.scheduledUntil = new Date().toISOString();
+      }
+      console.log(`🗓️ 执行定投计划 #${plan.id}: ${plan.amount} BNB → ${plan.symbol}${catchUp ? ' (补跑)' : ''}`);
+
+      const result = await this.tradeManager.smartBuyOptimal(plan.tokenAddress, plan.amount.toString(), { tag: `DCA #${plan.id}` });
+
+      plan.runs++;
+      if (!result.success) plan.failures++;
+      plan.lastRunAt = new Date().toISOString();
+      plan.lastResult = result.success ? { success: true, txHash: result.txHash } : { success: false, error: result.error };
+      plan.updatedAt = plan.lastRunAt;
+      this.savePlans();
+
+      this.tradeManager.auditLog.record('dca_run', {
+        planId: plan.id,
+        chatId: plan.chatId,
+        tokenAddress: plan.tokenAddress,
+        amount: plan.amount,
+        catchUp,
+        success: result.success,
+        txHash: result.txHash || null
+      });
+
+      const title = `🗓️ 定投计划 #${plan.id}${catchUp ? ' (补跑)' : ''}`;
+      const message = result.success
+        ? `${title} 已买入\n\n💰 ${plan.amount} BNB → ${result.expectedAmount || 'N/A'} ${plan.symbol}\n🔗 https://bscscan.com/tx/${result.txHash}`
+        : `❌ ${title} 执行失败\n\n💰 ${plan.amount} BNB → ${plan.symbol}\n原因: ${result.error}`;
+      await this.sendNotice(plan.chatId, message);
+    } catch (error) {
+      console.error(`定投计划 #${id} 执行失败:`, error);
+    } finally {
+      this.running.delete(id);
+    }
+  }
+
+  async sendNotice(chatId, message) {
+    try {
+      await this.notify(chatId, message);
+    } catch (error) {
+      console.error('发送定投通知失败:', error.message);
+    }
+  }
+}
+
+module.exports = DcaManager;
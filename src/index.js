@@ -13,11 +13,13 @@ async function main() {
     // 检查必要的环境变量
     const requiredEnvVars = [
       'TELEGRAM_BOT_TOKEN',
-      'PRIVATE_KEY',
       'ADMIN_CHAT_IDS'
     ];
     
     const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+    if (!process.env.PRIVATE_KEY && !process.env.KEYSTORE_PATH) {
+      missingVars.push('KEYSTORE_PATH (或 PRIVATE_KEY)');
+    }
     
     if (missingVars.length > 0) {
       console.error('❌ 缺少必要的环境变量:');
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const config = require('./config');
+
+/**
+ * 价格触发的限价单：买单在价格跌到目标价及以下时买入，卖单在价格涨到目标价及以上时卖出。
+ * 订单保存在 limit-orders.json，后台定时任务轮询 getOptimalPrice() 并通过
+ * smartBuyOptimal / smartSellOptimal 执行
+ */
+class LimitOrderManager {
+  /**
+   * @param {OptimizedTradeManager} tradeManager
+   * @param {Function} notify (chatId, message) => Promise，用于发送成交/失败通知
+   */
+  constructor(tradeManager, notify) {
+    this.tradeManager = tradeManager;
+    this.notify = notify;
+    this.ordersFile = path.join(__dirname, '..', 'limit-orders.json');
+    this.book = this.loadOrders();
+    this.task = null;
+    this.checking = false;
+
+    this.recoverInterruptedOrders();
+  }
+
+  loadOrders() {
+    try {
+      if (fs.existsSync(this.ordersFile)) {
+        return JSON.parse(fs.readFileSync(this.ordersFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('读取限价单失败:', error);
+    }
+    return { nextId: 1, orders: [] };
+  }
+
+  saveOrders() {
+    fs.writeFileSync(this.ordersFile, JSON.stringify(this.book, null, 2));
+  }
+
+  /**
+   * 重启前正在执行的订单无法确认链上结果，标记为失败并提醒用户检查
+   */
+  recoverInterruptedOrders() {
+    const interrupted = this.book.orders.filter(o => o.status === 'executing');
+    if (interrupted.length === 0) return;
+
+    interrupted.forEach(order => {
+      order.status = 'failed';
+      order.error = '执行过程中机器人重启，请检查钱包确认是否已成交';
+      order.updatedAt = new Date().toISOString();
+    });
+    this.saveOrders();
+  }
+
+  start() {
+    if (this.task) return;
+    this.task = cron.schedule(config.LIMIT_ORDER_CRON, () => this.checkOrders());
+    console.log(`📈 限价单监控已启动 (${config.LIMIT_ORDER_CRON})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * 创建订单，返回 { success, order, error }
+   */
+  createOrder({ chatId, side, tokenAddress, symbol, amount, targetPrice, priceUnit }) {
+    const now = new Date().toISOString();
+    const order = {
+      id: this.book.nextId++,
+      chatId,
+      side,
+      tokenAddress: tokenAddress.toLowerCase(),
+      symbol,
+      amount: parseFloat(amount),
+      targetPrice: parseFloat(targetPrice),
+      priceUnit,
+      status: 'open',
+      lastPrice: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.book.orders.push(order);
+    this.saveOrders();
+    return { success: true, order };
+  }
+
+  cancelOrder(id, chatId) {
+    const order = this.book.orders.find(o => o.id === parseInt(id));
+    if (!order || order.chatId !== chatId) {
+      return { success: false, error: `未找到订单 #${id}` };
+    }
+    if (order.status !== 'open') {
+      return { success: false, error: `订单 #${id} 当前状态为 ${order.status}，无法取消` };
+    }
+
+    order.status = 'cancelled';
+    order.updatedAt = new Date().toISOString();
+    this.saveOrders();
+    return { success: true, order };
+  }
+
+  getOrders(chatId, includeClosed = false) {
+    return this.book.orders.filter(o => o.chatId === chatId && (includeClosed || o.status === 'open'));
+  }
+
+  /**
+   * 以订单数量询价，得到每个代币的实际成交价，返回 { priceBNB, symbol }，失败时返回 null
+   */
+  async getExecutionPrice(order) {
+    const isBuy = order.side === 'buy';
+    const result = await this.tradeManager.getOptimalPrice(order.tokenAddress, order.amount, isBuy);
+    if (!result.success) {
+      return null;
+    }
+
+    const expectedAmount = result.bestRoute.expectedAmount;
+    if (!(expectedAmount > 0)) {
+      return null;
+    }
+    // 买入: 支付 BNB / 获得代币；卖出: 获得 BNB / 卖出代币
+    const priceBNB = isBuy ? order.amount / expectedAmount : expectedAmount / order.amount;
+    return { priceBNB, symbol: result.symbol };
+  }
+
+  isTriggered(order, price) {
+    return order.side === 'buy' ? price <= order.targetPrice : price >= order.targetPrice;
+  }
+
+  /**
+   * 检查所有未成交订单，上一轮未结束时跳过
+   */
+  async checkOrders() {
+    if (this.checking) return;
+
+    const openOrders = this.book.orders.filter(o => o.status === 'open');
+    if (openOrders.length === 0) return;
+
+    // 交易被暂停或钱包锁定时保留订单，不执行
+    if (!this.tradeManager.checkTradingAllowed().allowed) return;
+
+    this.checking = true;
+    try {
+      const needsUsd = openOrders.some(o => o.priceUnit === 'USD');
+      const bnbPriceUSD = needsUsd ? await this.tradeManager.getBNBPrice(true) : null;
+
+      for (const order of openOrders) {
+        if (order.status !== 'open') continue; // 可能在本轮检查期间被取消
+
+        try {
+          const quote = await this.getExecutionPrice(order);
+          if (!quote) continue;
+
+          let price = quote.priceBNB;
+          if (order.priceUnit === 'USD') {
+            if (!bnbPriceUSD) continue; // BNB/USD 价格获取失败时不触发 USD 订单
+            price = quote.priceBNB * bnbPriceUSD;
+          }
+
+          order.lastPrice = price;
+          if (this.isTriggered(order, price)) {
+            await this.executeOrder(order, price, bnbPriceUSD);
+          }
+        } catch (error) {
+          console.error(`检查限价单 #${order.id} 失败:`, error.message);
+        }
+      }
+      this.saveOrders();
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * 按目标价换算的最少获得数量：买单为按目标价能买到的代币数量，卖单为按目标价应获得的 BNB
+   */
+  getMinAmountOut(order, bnbPriceUSD) {
+    const targetPriceBNB = order.priceUnit === 'USD' ? order.targetPrice / bnbPriceUSD : order.targetPrice;
+    return order.side === 'buy' ? order.amount / targetPriceBNB : order.amount * targetPriceBNB;
+  }
+
+  async executeOrder(order, triggerPrice, bnbPriceUSD = null) {
+    console.log(`🎯 限价单 #${order.id} 触发: ${order.side} ${order.symbol} @ ${triggerPrice} ${order.priceUnit}`);
+
+    order.status = 'executing';
+    order.updatedAt = new Date().toISOString();
+    this.saveOrders();
+
+    // 以目标价作为成交下限，触发后到执行前价格快速变动时不会以差于目标价的价格成交
+    const options = { minAmountOut: this.getMinAmountOut(order, bnbPriceUSD) };
+    const result = order.side === 'buy'
+      ? await this.tradeManager.smartBuyOptimal(order.tokenAddress, order.amount.toString(), options)
+      : await this.tradeManager.smartSellOptimal(order.tokenAddress, order.amount.toString(), options);
+
+    if (result.priceMoved) {
+      // 重新报价已回到目标价之外，保留订单等待下次触发
+      console.log(`↩️ 限价单 #${order.id} 执行前价格已回到目标价之外，继续等待`);
+      order.status = 'open';
+      order.updatedAt = new Date().toISOString();
+      this.saveOrders();
+      return;
+    }
+
+    order.status = result.success ? 'filled' : 'failed';
+    order.triggerPrice = triggerPrice;
+    order.txHash = result.txHash || null;
+    order.error = result.success ? null : result.error;
+    order.updatedAt = new Date().toISOString();
+    this.saveOrders();
+
+    this.tradeManager.auditLog.record('limit_order', {
+      orderId: order.id,
+      chatId: order.chatId,
+      side: order.side,
+      tokenAddress: order.tokenAddress,
+      amount: order.amount,
+      targetPrice: order.targetPrice,
+      triggerPrice,
+      priceUnit: order.priceUnit,
+      status: order.status,
+      txHash: order.txHash
+    });
+
+    const sideText = order.side === 'buy' ? '买入' : '卖出';
+    const amountText = order.side === 'buy' ? `${order.amount} BNB` : `${order.amount} ${order.symbol}`;
+    const message = result.success
+      ? `🎯 限价单 #${order.id} 已成交\n\n${sideText} ${order.symbol}: ${amountText}\n触发价: ${triggerPrice.toPrecision(6)} ${order.priceUnit} (目标 ${order.targetPrice} ${order.priceUnit})\n🔗 https://bscscan.com/tx/${result.txHash}`
+      : `❌ 限价单 #${order.id} 执行失败\n\n${sideText} ${order.symbol}: ${amountText}\n触发价: ${triggerPrice.toPrecision(6)} ${order.priceUnit}\n原因: ${result.error}`;
+
+    try {
+      await this.notify(order.chatId, message);
+    } catch (error) {
+      console.error('发送限价单通知失败:', error.message);
+    }
+  }
+}
+
+module.exports = LimitOrderManager;
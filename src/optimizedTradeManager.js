@@ -3,12 +3,29 @@ const config = require('./config');
 const fs = require('fs');
 const path = require('path');
 const { TwitterApi } = require('twitter-api-v2');
+const RiskLimits = require('./riskLimits');
+const AuditLog = require('./auditLog');
+const AddressBook = require('./addressBook');
+const { simulateBuySell } = require('./tradeSimulator');
+const { analyzeTokenSafety } = require('./tokenSafety');
+
+const APPROVAL_POLICIES = ['exact', 'buffered', 'unlimited'];
+const BASE_ASSETS = ['BNB', 'USDT', 'BUSD', 'USDC'];
+const V3_FEE_TIERS = [2500, 500, 10000];
+const TAX_CHECK_CACHE_MS = 60 * 1000; // 买卖模拟结果的缓存时间，确认卡片和执行交易共用一次模拟
+const V2_FEE = 2500; // PancakeSwap V2 每跳手续费 0.25%
+// 路由Gas估算 (基础消耗 + 每多一跳的额外消耗)，用于按扣除Gas后的净输出比较路由
+const ROUTE_GAS_ESTIMATE = {
+  v2: { base: 120000, perHop: 60000 },
+  v3: { base: 130000, perHop: 80000 }
+};
+const SPLIT_ROUTE_MAX_LEGS = 3; // 拆单最多使用的池子数 (按净输出排名靠前的直连池)
 
 class OptimizedTradeManager {
   constructor({ routerVersion = 'v2' } = {}) {
     console.log('🔧 初始化 OptimizedTradeManager...');
     this.provider = new ethers.JsonRpcProvider(config.BSC_RPC_URL);
-    this.wallet = new ethers.Wallet(config.PRIVATE_KEY, this.provider);
+    this.initWallet();
 
     // 初始化Twitter客户端
     this.initTwitterClient();
@@ -17,8 +34,11 @@ class OptimizedTradeManager {
     this.routerV2Address = config.PANCAKESWAP_ROUTER_V2_ADDRESS;
     this.routerV2ABI = [
       "function getAmountsOut(uint amountIn, address[] calldata path) external view returns (uint[] memory amounts)",
+      "function getAmountsIn(uint amountOut, address[] calldata path) external view returns (uint[] memory amounts)",
+      "function swapETHForExactTokens(uint amountOut, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
       "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable",
-      "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external"
+      "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external",
+      "function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external"
     ];
     this.routerV2 = new ethers.Contract(this.routerV2Address, this.routerV2ABI, this.wallet);
 
@@ -27,9 +47,16 @@ class OptimizedTradeManager {
     this.routerV3ABI = [
       // V3 ABI 只包含核心功能
       "function exactInputSingle((address,address,uint24,address,uint256,uint256,uint160)) external payable returns (uint256)",
-      "function quoteExactInputSingle(address,address,uint24,uint256) external view returns (uint256)"
+      "function quoteExactInputSingle(address,address,uint24,uint256) external view returns (uint256)",
+      "function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountIn)",
+      "function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum)) external payable returns (uint256 amountOut)",
+      "function refundETH() external payable",
+      "function unwrapWETH9(uint256 amountMinimum, address recipient) external payable",
+      "function multicall(bytes[] data) external payable returns (bytes[] results)"
     ];
     this.routerV3 = new ethers.Contract(this.routerV3Address, this.routerV3ABI, this.wallet);
+    this.v3PoolCache = new Map(); // 多跳路由使用的V3池地址缓存
+    this.taxCheckCache = new Map(); // 代币和模拟数量 -> 最近一次买卖模拟结果
 
     // 路由器选择
     this.routerVersion = routerVersion;
@@ -43,6 +70,7 @@ class OptimizedTradeManager {
       "function decimals() view returns (uint8)",
       "function balanceOf(address) view returns (uint256)",
       "function approve(address spender, uint256 amount) returns (bool)",
+      "function transfer(address to, uint256 amount) returns (bool)",
       "function allowance(address owner, address spender) view returns (uint256)"
     ];    // Settings - 从配置文件读取
     this.settings = {
@@ -59,6 +87,8 @@ class OptimizedTradeManager {
     this.settings.defaultBuyAmount = this.defaultBuyAmount;
     this.settings.maxTradeAmount = this.maxTradeAmount;
     this.settings.defaultSellPercentage = this.defaultSellPercentage;
+    this.settings.approvalPolicy = config.APPROVAL_POLICY;
+    this.settings.baseAsset = BASE_ASSETS.includes(config.DEFAULT_BASE_ASSET) ? config.DEFAULT_BASE_ASSET : 'BNB';
 
     // File path for storing traded tokens
     this.tradedTokensFile = path.join(__dirname, '..', 'traded-tokens.json');
@@ -68,9 +98,119 @@ class OptimizedTradeManager {
     this.tradingHistoryFile = path.join(__dirname, '..', 'trading-history.json');
     this.ensureTradingHistoryFile();
     
+    // 交易开关状态（/pause /resume），重启后保持
+    this.tradingStateFile = path.join(__dirname, '..', 'trading-state.json');
+    this.tradingState = this.loadTradingState();
+    
+    // 审计日志（哈希链）
+    this.auditLog = new AuditLog();
+    
+    // 提现地址白名单
+    this.addressBook = new AddressBook();
+    
+    // 风控限额（基于交易历史统计）
+    this.riskLimits = new RiskLimits(() => this.getTradingHistory());
+    this.maxTradeAmount = this.riskLimits.limits.maxTradeAmount;
+    this.settings.maxTradeAmount = this.maxTradeAmount;
+    
     console.log('✅ OptimizedTradeManager 初始化完成');
   }
 
+  /**
+   * 初始化钱包 - 优先使用加密keystore（启动时锁定），否则使用PRIVATE_KEY
+   */
+  initWallet() {
+    this.autoLockTimer = null;
+    this.onWalletAutoLock = null;
+
+    if (config.KEYSTORE_PATH) {
+      this.keystoreJson = fs.readFileSync(path.resolve(config.KEYSTORE_PATH), 'utf8');
+      if (!ethers.isKeystoreJson(this.keystoreJson)) {
+        throw new Error(`无效的keystore文件: ${config.KEYSTORE_PATH}`);
+      }
+      this.walletAddress = ethers.getAddress(JSON.parse(this.keystoreJson).address);
+      // 锁定状态下只能查询，无法签名
+      this.wallet = new ethers.VoidSigner(this.walletAddress, this.provider);
+      this.walletLocked = true;
+      console.log(`🔒 已加载加密钱包 ${this.walletAddress}，请使用 /unlock 解锁`);
+    } else {
+      this.keystoreJson = null;
+      this.wallet = new ethers.Wallet(config.PRIVATE_KEY, this.provider);
+      this.walletAddress = this.wallet.address;
+      this.walletLocked = false;
+      console.log('⚠️ 正在使用明文 PRIVATE_KEY，建议改用 KEYSTORE_PATH 加密钱包');
+    }
+  }
+
+  /**
+   * 切换签名者并重新绑定路由合约
+   */
+  setSigner(signer) {
+    this.wallet = signer;
+    this.routerV2 = this.routerV2.connect(signer);
+    this.routerV3 = this.routerV3.connect(signer);
+    this.router = this.routerVersion === 'v3' ? this.routerV3 : this.routerV2;
+  }
+
+  /**
+   * 使用密码解锁加密钱包
+   */
+  async unlockWallet(passphrase) {
+    if (!this.keystoreJson) {
+      return { success: false, error: '当前未使用加密钱包 (未配置 KEYSTORE_PATH)' };
+    }
+    if (!this.walletLocked) {
+      this.touchWallet();
+      return { success: true, alreadyUnlocked: true, address: this.walletAddress };
+    }
+
+    try {
+      const wallet = await ethers.Wallet.fromEncryptedJson(this.keystoreJson, passphrase);
+      this.setSigner(wallet.connect(this.provider));
+      this.walletLocked = false;
+      this.touchWallet();
+      console.log('🔓 钱包已解锁');
+      return { success: true, address: this.walletAddress };
+    } catch (error) {
+      console.error('钱包解锁失败:', error.message);
+      return { success: false, error: '密码错误或keystore无法解密' };
+    }
+  }
+
+  /**
+   * 锁定钱包，丢弃内存中的私钥
+   */
+  lockWallet(reason = 'manual') {
+    if (!this.keystoreJson || this.walletLocked) {
+      return false;
+    }
+
+    clearTimeout(this.autoLockTimer);
+    this.autoLockTimer = null;
+    this.setSigner(new ethers.VoidSigner(this.walletAddress, this.provider));
+    this.walletLocked = true;
+    console.log(`🔒 钱包已锁定 (${reason})`);
+
+    if (reason === 'inactivity' && this.onWalletAutoLock) {
+      this.onWalletAutoLock();
+    }
+    return true;
+  }
+
+  /**
+   * 记录活动并重置自动锁定计时
+   */
+  touchWallet() {
+    if (!this.keystoreJson || this.walletLocked) {
+      return;
+    }
+
+    clearTimeout(this.autoLockTimer);
+    const timeoutMs = config.WALLET_AUTO_LOCK_MINUTES * 60 * 1000;
+    this.autoLockTimer = setTimeout(() => this.lockWallet('inactivity'), timeoutMs);
+    this.autoLockTimer.unref();
+  }
+
   /**
    * 确保交易代币文件存在
    */
@@ -98,6 +238,51 @@ class OptimizedTradeManager {
     }
   }
 
+  /**
+   * 读取交易开关状态
+   */
+  loadTradingState() {
+    try {
+      if (fs.existsSync(this.tradingStateFile)) {
+        const state = JSON.parse(fs.readFileSync(this.tradingStateFile, 'utf8'));
+        return { paused: !!state.paused, updatedAt: state.updatedAt || null, updatedBy: state.updatedBy || null };
+      }
+    } catch (error) {
+      console.error('读取交易开关状态失败:', error);
+    }
+    return { paused: false, updatedAt: null, updatedBy: null };
+  }
+
+  /**
+   * 设置交易暂停状态并持久化
+   */
+  setTradingPaused(paused, updatedBy = null) {
+    this.tradingState = {
+      paused,
+      updatedAt: new Date().toISOString(),
+      updatedBy: updatedBy !== null ? updatedBy.toString() : null
+    };
+    fs.writeFileSync(this.tradingStateFile, JSON.stringify(this.tradingState, null, 2));
+    console.log(paused ? '⏸️ 交易已暂停' : '▶️ 交易已恢复');
+    return this.tradingState;
+  }
+
+  /**
+   * 检查当前是否允许发送交易
+   */
+  checkTradingAllowed() {
+    if (!config.ENABLE_TRADING) {
+      return { allowed: false, error: '❌ 交易已在配置中禁用 (ENABLE_TRADING=false)' };
+    }
+    if (this.tradingState.paused) {
+      return { allowed: false, error: '⏸️ 交易已暂停，管理员可使用 /resume 恢复' };
+    }
+    if (this.walletLocked) {
+      return { allowed: false, error: '🔒 钱包已锁定，请在私聊中使用 /unlock <密码> 解锁' };
+    }
+    return { allowed: true };
+  }
+
   /**
    * 获取已交易的代币列表
    */
@@ -136,9 +321,10 @@ class OptimizedTradeManager {
   }
 
   /**
-   * 记录买入交易
+   * 记录买入交易，tag 用于标记来源 (如定投计划 "DCA #1")。
+   * 用稳定币买入时 base 为 { asset, amount }，bnbAmount 传入按当时价格折合的 BNB，供风控和止盈止损使用
    */
-  recordBuyTrade(tokenAddress, tokenSymbol, bnbAmount, tokenAmount, bnbPrice, gasUsed, txHash) {
+  recordBuyTrade(tokenAddress, tokenSymbol, bnbAmount, tokenAmount, bnbPrice, gasUsed, txHash, tag = null, base = null) {
     try {
       const history = this.getTradingHistory();
       console.log('🔍 调试 - history对象:', JSON.stringify(history, null, 2));
@@ -151,19 +337,29 @@ class OptimizedTradeManager {
         tokenAddress: tokenAddress.toLowerCase(),
         tokenSymbol,
         bnbAmount: parseFloat(bnbAmount),
+        initialBnbAmount: parseFloat(bnbAmount), // 原始花费，部分卖出不会改变
         tokenAmount: parseFloat(tokenAmount),
         bnbPrice: parseFloat(bnbPrice),
         gasUsed: parseFloat(gasUsed),
         timestamp: new Date().toISOString(),
         txHash,
-        status: 'HOLDING' // HOLDING, SOLD
+        status: 'HOLDING', // HOLDING, SOLD
+        baseAsset: base ? base.asset : 'BNB'
       };
+      if (base) {
+        // 稳定币成本，部分卖出时与 bnbAmount 同比例减少
+        buyTrade.baseAmount = parseFloat(base.amount);
+        buyTrade.initialBaseAmount = buyTrade.baseAmount;
+      }
+      if (tag) {
+        buyTrade.tag = tag;
+      }
       
       history.trades.push(buyTrade);
       history.summary.totalTrades++;
       
       fs.writeFileSync(this.tradingHistoryFile, JSON.stringify(history, null, 2));
-      console.log(`📊 记录买入交易: ${tokenSymbol} - ${bnbAmount} BNB`);
+      console.log(`📊 记录买入交易: ${tokenSymbol} - ${base ? `${base.amount} ${base.asset}` : `${bnbAmount} BNB`}`);
       return buyTrade.id;
     } catch (error) {
       console.error('记录买入交易失败:', error);
@@ -172,67 +368,126 @@ class OptimizedTradeManager {
   }
 
   /**
-   * 记录卖出交易并计算利润
+   * 汇总某个代币当前持有的买入记录，返回 { tokenAddress, symbol, tokenAmount, costBNB, entryPrice }，没有持仓时返回 null
    */
-  recordSellTrade(tokenAddress, tokenSymbol, tokenAmount, bnbReceived, bnbPrice, gasUsed, txHash) {
-    try {
-      const history = this.getTradingHistory();
-      
-      // 查找对应的买入交易（FIFO - 先进先出）
-      const buyTrades = history.trades.filter(trade => 
-        trade.type === 'BUY' && 
-        trade.tokenAddress === tokenAddress.toLowerCase() && 
-        trade.status === 'HOLDING'
-      ).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-      
-      if (buyTrades.length === 0) {
-        console.log('⚠️ 未找到对应的买入记录，无法计算利润');
-        return null;
+  getPosition(tokenAddress) {
+    const normalized = tokenAddress.toLowerCase();
+    const holdings = this.getTradingHistory().trades.filter(trade =>
+      trade.type === 'BUY' && trade.tokenAddress === normalized && trade.status === 'HOLDING'
+    );
+    if (holdings.length === 0) {
+      return null;
+    }
+
+    const tokenAmount = holdings.reduce((sum, trade) => sum + trade.tokenAmount, 0);
+    const costBNB = holdings.reduce((sum, trade) => sum + trade.bnbAmount, 0);
+    if (!(tokenAmount > 0)) {
+      return null;
+    }
+
+    return {
+      tokenAddress: normalized,
+      symbol: holdings[0].tokenSymbol,
+      tokenAmount,
+      costBNB,
+      entryPrice: costBNB / tokenAmount
+    };
+  }
+
+  /**
+   * 按先进先出消耗代币的持仓买入记录，部分卖出时按比例减少该笔记录的剩余成本和Gas。
+   * 成本以 base 资产计 (见 recordSellTrade)，未传 base 时以 BNB 计。返回 { totalCost, gasUsed, untrackedAmount, processedBuyTrades }，
+   * untrackedAmount 为超出买入记录的数量 (如外部转入的代币)；没有持仓记录时返回 null
+   */
+  consumeBuyLots(history, tokenAddress, tokenAmount, base = null) {
+    const buyTrades = history.trades.filter(trade => 
+      trade.type === 'BUY' && 
+      trade.tokenAddress === tokenAddress.toLowerCase() && 
+      trade.status === 'HOLDING'
+    ).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    
+    if (buyTrades.length === 0) {
+      return null;
+    }
+    
+    let remainingTokensToSell = parseFloat(tokenAmount);
+    let totalCost = 0;
+    let totalGasUsed = 0;
+    const processedBuyTrades = [];
+    
+    for (const buyTrade of buyTrades) {
+      if (remainingTokensToSell <= 0) break;
+      
+      const tokensFromThisBuy = Math.min(remainingTokensToSell, buyTrade.tokenAmount);
+      const costRatio = tokensFromThisBuy / buyTrade.tokenAmount;
+      const bnbCostFromThisBuy = buyTrade.bnbAmount * costRatio;
+      const baseCostFromThisBuy = buyTrade.baseAmount !== undefined ? buyTrade.baseAmount * costRatio : null;
+      const gasFromThisBuy = buyTrade.gasUsed * costRatio;
+
+      // 成本以本次卖出的资产计：稳定币之间按 1:1，BNB 买入的持仓卖成稳定币时按当前 BNB/USD 价格折算，
+      // 稳定币买入的持仓卖成 BNB 时使用买入时折合的 BNB
+      let costFromThisBuy = bnbCostFromThisBuy;
+      if (base) {
+        costFromThisBuy = baseCostFromThisBuy !== null ? baseCostFromThisBuy : bnbCostFromThisBuy * base.bnbPriceUSD;
       }
       
-      let remainingTokensToSell = parseFloat(tokenAmount);
-      let totalCost = 0;
-      let totalGasUsed = parseFloat(gasUsed);
-      const processedBuyTrades = [];
+      totalCost += costFromThisBuy;
+      totalGasUsed += gasFromThisBuy;
       
-      // 处理多笔买入（FIFO）
-      for (const buyTrade of buyTrades) {
-        if (remainingTokensToSell <= 0) break;
-        
-        const tokensFromThisBuy = Math.min(remainingTokensToSell, buyTrade.tokenAmount);
-        const costRatio = tokensFromThisBuy / buyTrade.tokenAmount;
-        const costFromThisBuy = buyTrade.bnbAmount * costRatio;
-        const gasFromThisBuy = buyTrade.gasUsed * costRatio;
-        
-        totalCost += costFromThisBuy;
-        totalGasUsed += gasFromThisBuy;
-        
-        processedBuyTrades.push({
-          id: buyTrade.id,
-          tokensUsed: tokensFromThisBuy,
-          costUsed: costFromThisBuy,
-          gasUsed: gasFromThisBuy
-        });
+      processedBuyTrades.push({
+        id: buyTrade.id,
+        tokensUsed: tokensFromThisBuy,
+        costUsed: costFromThisBuy,
+        gasUsed: gasFromThisBuy
+      });
+      
+      // 更新买入交易状态
+      if (tokensFromThisBuy >= buyTrade.tokenAmount) {
+        buyTrade.status = 'SOLD';
+      } else {
+        // 部分卖出，创建新的记录
+        const remainingTokens = buyTrade.tokenAmount - tokensFromThisBuy;
+        const remainingCost = buyTrade.bnbAmount - bnbCostFromThisBuy;
+        const remainingGas = buyTrade.gasUsed - gasFromThisBuy;
         
-        // 更新买入交易状态
-        if (tokensFromThisBuy >= buyTrade.tokenAmount) {
-          buyTrade.status = 'SOLD';
-        } else {
-          // 部分卖出，创建新的记录
-          const remainingTokens = buyTrade.tokenAmount - tokensFromThisBuy;
-          const remainingCost = buyTrade.bnbAmount - costFromThisBuy;
-          const remainingGas = buyTrade.gasUsed - gasFromThisBuy;
-          
-          buyTrade.tokenAmount = remainingTokens;
-          buyTrade.bnbAmount = remainingCost;
-          buyTrade.gasUsed = remainingGas;
+        buyTrade.tokenAmount = remainingTokens;
+        buyTrade.bnbAmount = remainingCost;
+        buyTrade.gasUsed = remainingGas;
+        if (baseCostFromThisBuy !== null) {
+          buyTrade.baseAmount -= baseCostFromThisBuy;
         }
-        
-        remainingTokensToSell -= tokensFromThisBuy;
       }
       
+      remainingTokensToSell -= tokensFromThisBuy;
+    }
+
+    return {
+      totalCost,
+      gasUsed: totalGasUsed,
+      untrackedAmount: Math.max(remainingTokensToSell, 0),
+      processedBuyTrades
+    };
+  }
+
+  /**
+   * 记录卖出交易并计算利润。
+   * 卖成稳定币时 base 为 { asset, amount, bnbPriceUSD }，利润以该稳定币计算，bnbReceived 传入折合的 BNB
+   */
+  recordSellTrade(tokenAddress, tokenSymbol, tokenAmount, bnbReceived, bnbPrice, gasUsed, txHash, base = null) {
+    try {
+      const history = this.getTradingHistory();
+      
+      const lots = this.consumeBuyLots(history, tokenAddress, tokenAmount, base);
+      if (!lots) {
+        console.log('⚠️ 未找到对应的买入记录，无法计算利润');
+        return null;
+      }
+      const { totalCost, processedBuyTrades } = lots;
+      const totalGasUsed = parseFloat(gasUsed) + lots.gasUsed;
+      
       // 计算利润
-      const revenue = parseFloat(bnbReceived);
+      const unit = base ? base.asset : 'BNB';
+      const revenue = parseFloat(base ? base.amount : bnbReceived);
       const profit = revenue - totalCost;
       const profitPercentage = ((profit / totalCost) * 100);
       
@@ -243,7 +498,8 @@ class OptimizedTradeManager {
         tokenAddress: tokenAddress.toLowerCase(),
         tokenSymbol,
         tokenAmount: parseFloat(tokenAmount),
-        bnbReceived: revenue,
+        bnbReceived: parseFloat(bnbReceived),
+        baseAsset: unit,
         bnbPrice: parseFloat(bnbPrice),
         gasUsed: totalGasUsed,
         timestamp: new Date().toISOString(),
@@ -254,35 +510,45 @@ class OptimizedTradeManager {
         profitPercentage,
         buyTradesUsed: processedBuyTrades
       };
+      if (base) {
+        sellTrade.baseReceived = revenue;
+      }
       
       history.trades.push(sellTrade);
       history.summary.totalTrades++;
       
-      // 更新利润统计
+      // 更新利润统计：BNB 利润计入 totalProfit/totalLoss，稳定币利润按资产分别统计
+      let totals = history.summary;
+      if (base) {
+        history.summary.byBase = history.summary.byBase || {};
+        history.summary.byBase[unit] = history.summary.byBase[unit] || { totalProfit: 0, totalLoss: 0 };
+        totals = history.summary.byBase[unit];
+      }
       if (profit > 0) {
-        history.summary.totalProfit += profit;
+        totals.totalProfit += profit;
       } else {
-        history.summary.totalLoss += Math.abs(profit);
+        totals.totalLoss += Math.abs(profit);
       }
       
-      // 计算胜率
-      const profitableTrades = history.trades.filter(t => t.type === 'SELL' && t.profit > 0).length;
-      const totalSellTrades = history.trades.filter(t => t.type === 'SELL').length;
+      // 计算胜率 (换仓的卖出记录不实现盈亏，不计入)
+      const profitableTrades = history.trades.filter(t => t.type === 'SELL' && !t.swapTo && t.profit > 0).length;
+      const totalSellTrades = history.trades.filter(t => t.type === 'SELL' && !t.swapTo).length;
       history.summary.winRate = totalSellTrades > 0 ? (profitableTrades / totalSellTrades * 100) : 0;
       
       fs.writeFileSync(this.tradingHistoryFile, JSON.stringify(history, null, 2));
       
       console.log(`📊 记录卖出交易: ${tokenSymbol}`);
-      console.log(`💰 成本: ${totalCost.toFixed(6)} BNB`);
-      console.log(`💎 收入: ${revenue.toFixed(6)} BNB`);
-      console.log(`📈 利润: ${profit.toFixed(6)} BNB (${profitPercentage.toFixed(2)}%)`);
+      console.log(`💰 成本: ${totalCost.toFixed(6)} ${unit}`);
+      console.log(`💎 收入: ${revenue.toFixed(6)} ${unit}`);
+      console.log(`📈 利润: ${profit.toFixed(6)} ${unit} (${profitPercentage.toFixed(2)}%)`);
       
       return {
         sellTradeId: sellTrade.id,
         profit,
         profitPercentage,
         totalCost,
-        revenue
+        revenue,
+        baseAsset: unit
       };
       
     } catch (error) {
@@ -324,6 +590,72 @@ class OptimizedTradeManager {
     }
   }
 
+  /**
+   * 记录换仓 (代币直接兑换代币) 为一对互相关联的卖出+买入记录：卖出记录按先进先出结转卖出部分的成本，
+   * 不实现盈亏；新买入记录以结转的成本作为持仓成本。超出买入记录的部分 (如外部转入的代币) 按 marketValueBNB 的比例计成本。
+   * 成本以 BNB 计 (稳定币买入的持仓使用买入时折合的 BNB)，返回 { sellTradeId, buyTradeId, carriedCost }
+   */
+  recordSwapTrade(from, to, gasUsed, txHash, marketValueBNB) {
+    try {
+      const history = this.getTradingHistory();
+      const fromAmount = parseFloat(from.amount);
+      const lots = this.consumeBuyLots(history, from.tokenAddress, fromAmount);
+      const untrackedAmount = lots ? lots.untrackedAmount : fromAmount;
+      const carriedCost = (lots ? lots.totalCost : 0) + marketValueBNB * untrackedAmount / fromAmount;
+      const carriedGas = (lots ? lots.gasUsed : 0) + parseFloat(gasUsed);
+
+      const timestamp = new Date().toISOString();
+      const sellTradeId = Date.now().toString();
+      const buyTradeId = `${sellTradeId}-swap`;
+
+      history.trades.push({
+        id: sellTradeId,
+        type: 'SELL',
+        tokenAddress: from.tokenAddress.toLowerCase(),
+        tokenSymbol: from.symbol,
+        tokenAmount: fromAmount,
+        bnbReceived: carriedCost,
+        baseAsset: 'BNB',
+        gasUsed: 0,
+        timestamp,
+        txHash,
+        totalCost: carriedCost,
+        profit: 0,
+        profitPercentage: 0,
+        buyTradesUsed: lots ? lots.processedBuyTrades : [],
+        swapTo: { tokenAddress: to.tokenAddress.toLowerCase(), tokenSymbol: to.symbol, tokenAmount: parseFloat(to.amount) },
+        linkedTradeId: buyTradeId
+      });
+      history.trades.push({
+        id: buyTradeId,
+        type: 'BUY',
+        tokenAddress: to.tokenAddress.toLowerCase(),
+        tokenSymbol: to.symbol,
+        bnbAmount: carriedCost,
+        initialBnbAmount: carriedCost,
+        tokenAmount: parseFloat(to.amount),
+        bnbPrice: 1.0,
+        gasUsed: carriedGas,
+        timestamp,
+        txHash,
+        status: 'HOLDING',
+        baseAsset: 'BNB',
+        source: 'swap',
+        tag: `换仓自 ${from.symbol}`,
+        swapFrom: { tokenAddress: from.tokenAddress.toLowerCase(), tokenSymbol: from.symbol, tokenAmount: fromAmount },
+        linkedTradeId: sellTradeId
+      });
+      history.summary.totalTrades += 2;
+
+      fs.writeFileSync(this.tradingHistoryFile, JSON.stringify(history, null, 2));
+      console.log(`📊 记录换仓: ${fromAmount} ${from.symbol} → ${to.amount} ${to.symbol}，结转成本 ${carriedCost.toFixed(6)} BNB`);
+      return { sellTradeId, buyTradeId, carriedCost };
+    } catch (error) {
+      console.error('记录换仓交易失败:', error);
+      return null;
+    }
+  }
+
   /**
    * 获取交易统计
    */
@@ -342,6 +674,7 @@ class OptimizedTradeManager {
         totalProfit: summary.totalProfit,
         totalLoss: summary.totalLoss,
         netProfit: summary.totalProfit - summary.totalLoss,
+        profitByBase: summary.byBase || {}, // 稳定币交易的盈亏，按资产分别统计
         winRate: summary.winRate,
         holdingTokens: buyTrades.filter(t => t.status === 'HOLDING').length
       };
@@ -352,15 +685,15 @@ class OptimizedTradeManager {
   }
 
   /**
-   * 获取BNB价格
+   * 获取BNB价格，strict 为 true 时获取失败返回 null 而不是默认值
    */
-  async getBNBPrice() {
+  async getBNBPrice(strict = false) {
     try {
       const response = await fetch('https://api.binance.com/api/v3/ticker/price?symbol=BNBUSDT');
       const data = await response.json();
-      return parseFloat(data.price) || 600;
+      return parseFloat(data.price) || (strict ? null : 600);
     } catch (error) {
-      return 600;
+      return strict ? null : 600;
     }
   }
 
@@ -423,6 +756,24 @@ class OptimizedTradeManager {
     }
   }
 
+  /**
+   * 按百分比计算可卖出的代币数量，返回 { balance, amount }。
+   * 用整数运算避免浮点误差，100% 时正好是完整余额
+   */
+  async getTokenBalanceShare(tokenAddress, percentage) {
+    try {
+      const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+      const [balance, decimals] = await Promise.all([
+        tokenContract.balanceOf(this.wallet.address),
+        tokenContract.decimals()
+      ]);
+      const share = balance * BigInt(Math.round(percentage * 100)) / 10000n;
+      return { balance: ethers.formatUnits(balance, decimals), amount: ethers.formatUnits(share, decimals) };
+    } catch (error) {
+      return { balance: '0', amount: '0' };
+    }
+  }
+
   /**
    * 获取代币价格
    */
@@ -567,10 +918,15 @@ class OptimizedTradeManager {
   /**
    * 智能买入
    */
-  async smartBuy(tokenAddress, bnbAmount) {
+  async smartBuy(tokenAddress, bnbAmount, options = {}) {
     try {
       console.log(`🛒 买入: ${tokenAddress}, ${bnbAmount} BNB`);
       
+      const tradingCheck = this.checkTradingAllowed();
+      if (!tradingCheck.allowed) {
+        return { success: false, error: tradingCheck.error };
+      }
+      
       // 验证和格式化BNB数量
       const bnbAmountNum = parseFloat(bnbAmount);
       if (isNaN(bnbAmountNum) || bnbAmountNum <= 0) {
@@ -602,7 +958,7 @@ class OptimizedTradeManager {
       const path = [config.WBNB_ADDRESS, tokenAddress];
       
       const amounts = await this.router.getAmountsOut(amountIn, path);
-      const amountOutMin = amounts[1] * BigInt(100 - this.settings.slippage) / BigInt(100);
+      const amountOutMin = this.getAmountOutMin(amounts[1], options);
       
       const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
       
@@ -624,7 +980,7 @@ class OptimizedTradeManager {
         this.addTradedToken(tokenAddress);
         
         // 记录交易历史
-        this.recordBuyTrade(tokenAddress, symbol, bnbAmountNum, ethers.formatUnits(amounts[1], decimals), '1.0', receipt.gasUsed.toString(), tx.hash);
+        this.recordBuyTrade(tokenAddress, symbol, bnbAmountNum, ethers.formatUnits(amounts[1], decimals), '1.0', receipt.gasUsed.toString(), tx.hash, options.tag);
         
         // 发送Twitter通知
         if (config.ENABLE_TWITTER) {
@@ -667,10 +1023,15 @@ class OptimizedTradeManager {
   }
 
   // V3买入
-  async smartBuyV3(tokenAddress, bnbAmount, fee = 2500) {
+  async smartBuyV3(tokenAddress, bnbAmount, fee = 2500, options = {}) {
     try {
       console.log(`🛒 V3买入: ${tokenAddress}, ${bnbAmount} BNB`);
       
+      const tradingCheck = this.checkTradingAllowed();
+      if (!tradingCheck.allowed) {
+        return { success: false, error: tradingCheck.error };
+      }
+      
       // 验证和格式化BNB数量
       const bnbAmountNum = parseFloat(bnbAmount);
       if (isNaN(bnbAmountNum) || bnbAmountNum <= 0) {
@@ -718,7 +1079,7 @@ class OptimizedTradeManager {
       
       const [quoted] = await quoter.quoteExactInputSingle.staticCall(quoteParams);
       
-      const amountOutMin = quoted * BigInt(100 - this.settings.slippage) / BigInt(100);
+      const amountOutMin = this.getAmountOutMin(quoted, options);
       
       const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
       
@@ -743,7 +1104,7 @@ class OptimizedTradeManager {
         this.addTradedToken(tokenAddress);
         
         // 记录交易历史
-        this.recordBuyTrade(tokenAddress, symbol, bnbAmountNum, ethers.formatUnits(quoted, decimals), '1.0', receipt.gasUsed.toString(), tx.hash);
+        this.recordBuyTrade(tokenAddress, symbol, bnbAmountNum, ethers.formatUnits(quoted, decimals), '1.0', receipt.gasUsed.toString(), tx.hash, options.tag);
         
         // 发送Twitter通知
         if (config.ENABLE_TWITTER) {
@@ -790,10 +1151,15 @@ class OptimizedTradeManager {
   /**
    * 智能卖出 - 带动态Gas价格
    */
-  async smartSell(tokenAddress, tokenAmount) {
+  async smartSell(tokenAddress, tokenAmount, options = {}) {
     try {
       console.log(`💸 卖出: ${tokenAddress}, ${tokenAmount}`);
       
+      const tradingCheck = this.checkTradingAllowed();
+      if (!tradingCheck.allowed) {
+        return { success: false, error: tradingCheck.error };
+      }
+      
       // 更新Gas价格
       await this.updateGasPrice();
       
@@ -827,18 +1193,12 @@ class OptimizedTradeManager {
       
       const amountIn = this.parseTokenAmountSafe(tokenAmount, decimals);
       
-      // 检查授权
-      const allowance = await tokenContract.allowance(this.wallet.address, this.routerAddress);
-      
-      if (allowance < amountIn) {
-        console.log('授权代币...');
-        const approveTx = await tokenContract.approve(this.routerAddress, ethers.MaxUint256);
-        await approveTx.wait();
-      }
+      // 检查授权（按授权策略只授权所需数量）
+      await this.ensureAllowance(tokenAddress, this.routerAddress, amountIn);
       
       const path = [tokenAddress, config.WBNB_ADDRESS];
       const amounts = await this.router.getAmountsOut(amountIn, path);
-      const amountOutMin = amounts[1] * BigInt(100 - this.settings.slippage) / BigInt(100);
+      const amountOutMin = this.getAmountOutMin(amounts[1], options);
       
       const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
       
@@ -882,6 +1242,7 @@ class OptimizedTradeManager {
           success: true,
           txHash: tx.hash,
           message: `成功卖出 ${tokenAmount} ${symbol}`,
+          profitInfo,
           details: {
             amountIn: tokenAmount,
             expectedBNB: ethers.formatEther(amounts[1]),
@@ -899,10 +1260,15 @@ class OptimizedTradeManager {
   }
 
   // V3卖出 - 带动态Gas价格
-  async smartSellV3(tokenAddress, tokenAmount, fee = 2500) {
+  async smartSellV3(tokenAddress, tokenAmount, fee = 2500, options = {}) {
     try {
       console.log(`💸 V3卖出: ${tokenAddress}, ${tokenAmount}`);
       
+      const tradingCheck = this.checkTradingAllowed();
+      if (!tradingCheck.allowed) {
+        return { success: false, error: tradingCheck.error };
+      }
+      
       // 更新Gas价格
       await this.updateGasPrice();
       
@@ -936,14 +1302,8 @@ class OptimizedTradeManager {
       
       const amountIn = this.parseTokenAmountSafe(tokenAmount, decimals);
       
-      // 检查授权
-      const allowance = await tokenContract.allowance(this.wallet.address, this.routerAddress);
-      
-      if (allowance < amountIn) {
-        console.log('授权代币...');
-        const approveTx = await tokenContract.approve(this.routerAddress, ethers.MaxUint256);
-        await approveTx.wait();
-      }
+      // 检查授权（V3 交易由 V3 路由器转出代币）
+      await this.ensureAllowance(tokenAddress, this.routerV3Address, amountIn);
       
       // 使用专门的Quoter合约获取报价（与getV3Quote保持一致）
       const quoterV3Address = '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997';
@@ -963,7 +1323,7 @@ class OptimizedTradeManager {
       
       const [quoted] = await quoter.quoteExactInputSingle.staticCall(quoteParams);
       
-      const amountOutMin = quoted * BigInt(100 - this.settings.slippage) / BigInt(100);
+      const amountOutMin = this.getAmountOutMin(quoted, options);
       
       const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
       
@@ -1005,6 +1365,7 @@ class OptimizedTradeManager {
           success: true,
           txHash: tx.hash,
           message: `成功V3卖出 ${tokenAmount} ${symbol}`,
+          profitInfo,
           details: {
             amountIn: tokenAmount,
             expectedBNB: ethers.formatEther(quoted),
@@ -1117,12 +1478,35 @@ class OptimizedTradeManager {
     if (isNaN(numAmount) || numAmount <= 0) {
       return { valid: false, error: '金额必须为正数' };
     }
-    if (numAmount > this.maxTradeAmount) {
+    if (this.maxTradeAmount > 0 && numAmount > this.maxTradeAmount) {
       return { valid: false, error: `金额不能超过 ${this.maxTradeAmount} BNB` };
     }
     return { valid: true };
   }
 
+  /**
+   * 修改风控限额，并同步单笔限额到交易设置
+   */
+  setRiskLimit(alias, value) {
+    const result = this.riskLimits.setLimit(alias, value);
+    if (result.success && result.key === 'maxTradeAmount') {
+      this.maxTradeAmount = result.newValue;
+      this.settings.maxTradeAmount = result.newValue;
+    }
+    return result;
+  }
+
+  /**
+   * 买入前风控检查（单笔、每日、单币敞口、持仓数），options 原样传给 riskLimits.checkBuy
+   */
+  checkBuyRisk(tokenAddress, bnbAmount, options = {}) {
+    const amountCheck = this.validateTradeAmount(bnbAmount);
+    if (!amountCheck.valid) {
+      return { allowed: false, limit: 'maxTradeAmount', error: `🚫 ${amountCheck.error}` };
+    }
+    return this.riskLimits.checkBuy(tokenAddress, bnbAmount, options);
+  }
+
   // 代币地址严格验证
   async validateTokenAddress(tokenAddress) {
     if (!ethers.isAddress(tokenAddress)) {
@@ -1273,6 +1657,11 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
     try {
       console.log(`💸 智能卖出: ${tokenAddress}, ${tokenAmount}`);
       
+      const tradingCheck = this.checkTradingAllowed();
+      if (!tradingCheck.allowed) {
+        return { success: false, error: tradingCheck.error };
+      }
+      
       // 更新Gas价格
       await this.updateGasPrice();
       
@@ -1300,14 +1689,8 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
       
       const amountIn = this.parseTokenAmountSafe(tokenAmount, decimals);
       
-      // 检查授权
-      const allowance = await tokenContract.allowance(this.wallet.address, this.routerAddress);
-      
-      if (allowance < amountIn) {
-        console.log('授权代币...');
-        const approveTx = await tokenContract.approve(this.routerAddress, ethers.MaxUint256);
-        await approveTx.wait();
-      }
+      // 检查授权（按授权策略只授权所需数量）
+      await this.ensureAllowance(tokenAddress, this.routerAddress, amountIn);
       
       const path = [tokenAddress, config.WBNB_ADDRESS];
       const amounts = await this.router.getAmountsOut(amountIn, path);
@@ -1461,6 +1844,41 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
     }
   }
 
+  /**
+   * 按滑点计算最少获得数量，slippage 未指定时使用当前设置 (支持小数百分比)
+   */
+  applySlippage(quoted, slippage = this.settings.slippage) {
+    return quoted * BigInt(Math.round((100 - (slippage ?? this.settings.slippage)) * 100)) / 10000n;
+  }
+
+  /**
+   * 执行时的链上最少获得数量：按滑点计算，且不低于 options.amountOutFloor (用户在确认卡片上确认的最少获得数量，原始单位)
+   */
+  getAmountOutMin(quoted, options = {}) {
+    const amountOutMin = this.applySlippage(quoted, options.slippage);
+    return options.amountOutFloor && options.amountOutFloor > amountOutMin ? options.amountOutFloor : amountOutMin;
+  }
+
+  /**
+   * 校验确认卡片上的最少获得数量 options.minAmountOut (输出资产单位)：重新路由后的预期获得低于它时返回错误，不发送交易
+   * (smartBuyOptimal / smartSellOptimal 的结果带 priceMoved: true)；
+   * 否则把它换算为原始单位的 amountOutFloor 传给执行，作为链上最少获得数量的下限
+   */
+  async resolveAmountOutFloor(expectedAmount, outputAddress, options = {}) {
+    if (!options.minAmountOut) {
+      return { success: true, options };
+    }
+    if (expectedAmount < options.minAmountOut) {
+      return {
+        success: false,
+        error: `❌ 价格已变动: 当前预期获得 ${expectedAmount.toPrecision(6)}，低于确认时的最少获得 ${options.minAmountOut.toPrecision(6)}，已取消交易，请重新下单`
+      };
+    }
+    const decimals = outputAddress === config.WBNB_ADDRESS ? 18
+      : await new ethers.Contract(outputAddress, this.erc20ABI, this.provider).decimals();
+    return { success: true, options: { ...options, amountOutFloor: this.parseTokenAmountSafe(options.minAmountOut, decimals) } };
+  }
+
   /**
    * 安全的代币数量解析
    */
@@ -1620,12 +2038,8 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
             return { valid: false, error: '代币输出为0，可能是诈骗代币' };
           }
           
-          // 检查是否是蜜罐或极低流动性代币
-          // 如果0.001 BNB只能换到极少的代币，那可能有问题
+          // 蜜罐和转账税由 simulateTokenTax 实际模拟买卖检测，这里只比较两个金额的兑换比例
           const ratio = Number(outputAmount) / Number(testAmount);
-          if (ratio < 0.0001) { // 如果比率太低，可能是问题代币
-            return { valid: false, error: '代币流动性极低或可能是蜜罐代币' };
-          }
           
           // 测试一个更大的金额，看看滑点是否合理
           const largerTestAmount = ethers.parseEther('0.01'); // 0.01 BNB
@@ -2034,60 +2448,604 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
   }
 
   /**
-   * 比较V2和V3价格，返回最优路由（包含流动性检查）
+   * 多跳路由可经过的中间代币：MULTIHOP_BASES 中配置的 config.TOKENS 名称，排除 WBNB 和交易代币本身
    */
-  async getBestRoute(tokenAddress, bnbAmount, isBuy = true) {
-    try {
-      console.log(`🔍 正在比较 V2 和 V3 价格（含流动性检查）...`);
-      
-      // 并行获取V2和V3报价
-      const [v2Quote, v3Quote2500, v3Quote500, v3Quote10000] = await Promise.allSettled([
-        this.getV2Quote(tokenAddress, bnbAmount, isBuy),
-        this.getV3Quote(tokenAddress, bnbAmount, isBuy, 2500), // 0.25% fee
-        this.getV3Quote(tokenAddress, bnbAmount, isBuy, 500),  // 0.05% fee
-        this.getV3Quote(tokenAddress, bnbAmount, isBuy, 10000) // 1% fee
-      ]);
+  getRouteBases(tokenAddress) {
+    return (config.MULTIHOP_BASES || '')
+      .split(',')
+      .map(name => name.trim().toUpperCase())
+      .filter(name => name && name !== 'WBNB' && config.TOKENS[name])
+      .map(name => ({ symbol: name, address: config.TOKENS[name] }))
+      .filter(base => base.address.toLowerCase() !== tokenAddress.toLowerCase());
+  }
 
-      const quotes = [];
-      const rejectedQuotes = []; // 存储被拒绝的报价（包括流动性不足的）
-      let v3PoolsNotExist = 0;
-      let v3PoolsLiquidityIssue = 0;
-      
-      // 处理V2报价（含流动性检查）
-      console.log(`📊 V2报价结果: ${v2Quote.status}`);
-      if (v2Quote.status === 'fulfilled' && v2Quote.value.success) {
-        // V2流动性检查
-        const v2Liquidity = await this.checkV2Liquidity(tokenAddress, bnbAmount);
-        const v2QuoteInfo = {
-          version: 'v2',
-          expectedAmount: parseFloat(v2Quote.value.expectedAmount),
-          quote: v2Quote.value,
-          liquidityInfo: v2Liquidity
-        };
-        
-        if (v2Liquidity.sufficient) {
-          quotes.push(v2QuoteInfo);
-          console.log(`✅ V2报价成功: ${v2Quote.value.expectedAmount} (流动性: ${v2Liquidity.liquidityInBNB} BNB ${v2Liquidity.emoji}) 池子: ${v2Liquidity.pairAddress}`);
-        } else {
-          rejectedQuotes.push({...v2QuoteInfo, rejectedReason: 'liquidity'});
-          console.log(`❌ V2流动性不足: ${v2Liquidity.reason} 池子: ${v2Liquidity.pairAddress || 'N/A'}`);
-        }
-      } else {
-        rejectedQuotes.push({
-          version: 'v2',
-          rejectedReason: 'quote_failed',
-          error: v2Quote.status === 'fulfilled' ? v2Quote.value.error : v2Quote.reason
-        });
-        console.log(`❌ V2报价失败: ${v2Quote.status === 'fulfilled' ? v2Quote.value.error : v2Quote.reason}`);
+  /**
+   * 通过工厂合约查询V3池地址，池子不存在时返回 null。
+   * 已创建的池子不会消失，直接缓存；不存在的结果缓存10分钟后重新查询
+   */
+  async findV3Pool(tokenA, tokenB, fee) {
+    const key = `${[tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join('-')}-${fee}`;
+    const cached = this.v3PoolCache.get(key);
+    if (cached && (cached.address || Date.now() - cached.checkedAt < 10 * 60 * 1000)) {
+      return cached.address;
+    }
+
+    const factoryAddress = '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865';
+    const factoryABI = [
+      "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)"
+    ];
+    const factory = new ethers.Contract(factoryAddress, factoryABI, this.provider);
+    const poolAddress = await factory.getPool(tokenA, tokenB, fee);
+
+    const address = poolAddress === ethers.ZeroAddress ? null : poolAddress;
+    this.v3PoolCache.set(key, { address, checkedAt: Date.now() });
+    return address;
+  }
+
+  /**
+   * 编码V3 exactInput 路径: token0 | fee0 | token1 | fee1 | token2
+   */
+  encodeV3Path(tokens, fees) {
+    const types = [];
+    const values = [];
+    tokens.forEach((token, index) => {
+      types.push('address');
+      values.push(token);
+      if (index < fees.length) {
+        types.push('uint24');
+        values.push(fees[index]);
       }
-      
-      // 处理V3报价（含流动性检查）
-      const v3Quotes = [v3Quote2500, v3Quote500, v3Quote10000];
-      const fees = [2500, 500, 10000];
-      
-      for (let index = 0; index < v3Quotes.length; index++) {
-        const quote = v3Quotes[index];
-        const fee = fees[index];
+    });
+    return ethers.solidityPacked(types, values);
+  }
+
+  /**
+   * 按路径路由询价，返回最终输出数量 (BigInt)
+   */
+  async quotePathRoute(route, amountIn) {
+    if (route.version === 'v2') {
+      const amounts = await this.routerV2.getAmountsOut(amountIn, route.path);
+      return amounts[amounts.length - 1];
+    }
+
+    const quoterV3Address = '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997';
+    const quoterV3ABI = [
+      "function quoteExactInput(bytes path, uint256 amountIn) external returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)"
+    ];
+    const quoter = new ethers.Contract(quoterV3Address, quoterV3ABI, this.provider);
+    const [amountOut] = await quoter.quoteExactInput.staticCall(route.encodedPath, amountIn);
+    return amountOut;
+  }
+
+  /**
+   * 生成 from → to 的候选路由 (from/to 为 { symbol, address })：经过每个中间代币的两跳路由
+   * (V2 路径和两段池子都存在的 V3 费率组合)，direct 为 true 时还包含 V2 直连和存在池子的 V3 直连费率
+   */
+  async buildRouteCandidates(from, to, intermediates, direct = false) {
+    const findPools = (tokenA, tokenB) => Promise.all(
+      V3_FEE_TIERS.map(fee => this.findV3Pool(tokenA, tokenB, fee).catch(() => null))
+    );
+    const candidates = [];
+
+    if (direct) {
+      const path = [from.address, to.address];
+      const hops = [from.symbol, to.symbol];
+      candidates.push({ version: 'v2', path, hops, fees: null });
+
+      const pools = await findPools(from.address, to.address);
+      V3_FEE_TIERS.forEach((fee, i) => {
+        if (!pools[i]) return;
+        candidates.push({ version: 'v3', path, hops, fees: [fee], encodedPath: this.encodeV3Path(path, [fee]) });
+      });
+    }
+
+    for (const middle of intermediates) {
+      const path = [from.address, middle.address, to.address];
+      const hops = [from.symbol, middle.symbol, to.symbol];
+      candidates.push({ version: 'v2', path, hops, fees: null });
+
+      // V3 只组合两段池子都存在的费率
+      const [firstLegPools, secondLegPools] = await Promise.all([
+        findPools(from.address, middle.address),
+        findPools(middle.address, to.address)
+      ]);
+      V3_FEE_TIERS.forEach((firstFee, i) => {
+        V3_FEE_TIERS.forEach((secondFee, j) => {
+          if (!firstLegPools[i] || !secondLegPools[j]) return;
+          const fees = [firstFee, secondFee];
+          candidates.push({ version: 'v3', path, hops, fees, encodedPath: this.encodeV3Path(path, fees) });
+        });
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * 对候选路由并行询价，返回 { quotes, rejected }。
+   * quote 结构与 getV2Quote/getV3Quote 一致，并附带 path、fees、hops
+   */
+  async quoteRouteCandidates(candidates, amountIn, outputDecimals) {
+    const results = await Promise.allSettled(candidates.map(candidate => this.quotePathRoute(candidate, amountIn)));
+
+    const quotes = [];
+    const rejected = [];
+    results.forEach((result, index) => {
+      const candidate = candidates[index];
+      if (result.status === 'fulfilled' && result.value > 0n) {
+        quotes.push({
+          success: true,
+          ...candidate,
+          expectedAmount: ethers.formatUnits(result.value, outputDecimals),
+          amountIn: amountIn.toString(),
+          amountOut: result.value.toString()
+        });
+      } else {
+        rejected.push({
+          version: candidate.version,
+          hops: candidate.hops,
+          fees: candidate.fees,
+          rejectedReason: 'quote_failed',
+          error: result.status === 'rejected' ? (result.reason.shortMessage || result.reason.message) : '报价为0'
+        });
+      }
+    });
+    return { quotes, rejected };
+  }
+
+  /**
+   * 获取经过中间代币的两跳报价：V2 路径如 WBNB→USDT→代币，V3 对两段池子存在的所有费率组合编码路径
+   */
+  async getMultiHopQuotes(tokenAddress, amount, isBuy = true) {
+    const bases = this.getRouteBases(tokenAddress);
+    if (bases.length === 0) {
+      return { quotes: [], rejected: [] };
+    }
+
+    const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+    const [symbol, decimals] = await Promise.all([
+      tokenContract.symbol(),
+      tokenContract.decimals()
+    ]);
+    const amountIn = isBuy ? this.parseEtherSafe(parseFloat(amount)) : this.parseTokenAmountSafe(amount, decimals);
+    const token = { symbol, address: tokenAddress };
+    const wbnb = { symbol: 'WBNB', address: config.WBNB_ADDRESS };
+
+    const candidates = await this.buildRouteCandidates(isBuy ? wbnb : token, isBuy ? token : wbnb, bases);
+    const result = await this.quoteRouteCandidates(candidates, amountIn, isBuy ? decimals : 18);
+
+    console.log(`🔀 多跳报价: ${result.quotes.length} 条可用，${result.rejected.length} 条失败`);
+    return result;
+  }
+
+  /**
+   * 估算路由的Gas消耗：基础消耗 + 每多一跳的额外消耗
+   */
+  estimateRouteGas(quote) {
+    const gas = ROUTE_GAS_ESTIMATE[quote.version];
+    const hops = quote.path ? quote.path.length - 1 : 1;
+    return gas.base + gas.perHop * (hops - 1);
+  }
+
+  /**
+   * 按扣除Gas后的净输出从高到低排序报价 (买入时选择最多代币，卖出时选择最多BNB或稳定币)。
+   * gasPriceInBase 为 1 BNB 折合的基础资产数量；买入时 Gas 按该路由的兑换比例折算为代币
+   */
+  rankByNetOutput(quotes, tradeAmount, isBuy, gasPriceInBase = 1) {
+    quotes.forEach(q => {
+      q.gasUnits = this.estimateRouteGas(q.quote);
+      q.gasBNB = q.gasUnits * this.settings.gasPrice / 1e9;
+      const gasInBase = q.gasBNB * gasPriceInBase;
+      q.netAmount = isBuy ? q.expectedAmount * (1 - gasInBase / tradeAmount) : q.expectedAmount - gasInBase;
+    });
+    return quotes.sort((a, b) => b.netAmount - a.netAmount);
+  }
+
+  /**
+   * 拆单优化：在 getBestRoute 已报价的 WBNB 直连池 (V2 和各 V3 费率) 之间按 1/SPLIT_ROUTE_STEPS 的粒度搜索分配比例，
+   * 每个池子按各档数量重新询价以计入价格影响，每多用一个池子多一笔交易的Gas。
+   * 返回扣除Gas后优于最优单一路由的拆单方案 { legs, expectedAmount, netAmount, gasBNB, single, improvement }，
+   * 交易价值低于 SPLIT_ROUTE_MIN_BNB、可用池子少于两个或拆单没有更优时返回 null
+   */
+  async getSplitRoute(tokenAddress, amount, isBuy, routeResult) {
+    try {
+      const venues = routeResult.allQuotes.filter(q => !q.quote.hops).slice(0, SPLIT_ROUTE_MAX_LEGS);
+      const single = routeResult.allQuotes[0];
+      const tradeValueBNB = isBuy ? parseFloat(amount) : single.expectedAmount;
+      if (venues.length < 2 || !(tradeValueBNB >= config.SPLIT_ROUTE_MIN_BNB)) {
+        return null;
+      }
+
+      const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+      const decimals = await tokenContract.decimals();
+      const [inputDecimals, outputDecimals] = isBuy ? [18, decimals] : [decimals, 18];
+      const totalIn = this.parseTokenAmountSafe(amount, inputDecimals);
+      const steps = config.SPLIT_ROUTE_STEPS;
+      const path = isBuy ? [config.WBNB_ADDRESS, tokenAddress] : [tokenAddress, config.WBNB_ADDRESS];
+
+      // 每个池子在 1..steps 份数量下的报价 (询价失败的档位不参与分配)
+      const routes = venues.map(v => v.version === 'v2'
+        ? { version: 'v2', path }
+        : { version: 'v3', path, encodedPath: this.encodeV3Path(path, [v.quote.fee]) });
+      const table = await Promise.all(routes.map(route => Promise.all(
+        Array.from({ length: steps }, (_, i) => this.quotePathRoute(route, totalIn * BigInt(i + 1) / BigInt(steps))
+          .then(out => parseFloat(ethers.formatUnits(out, outputDecimals)))
+          .catch(() => null))
+      )));
+
+      // 每多用一个池子多一笔交易，买入时Gas按最优单一路由的兑换比例折算为代币
+      const gasToOutput = isBuy ? single.expectedAmount / parseFloat(amount) : 1;
+      const legGas = venues.map(v => this.estimateRouteGas(v.quote) * this.settings.gasPrice / 1e9);
+
+      // 动态规划: best[k] 为前若干个池子分配 k 份时扣除Gas后的最大输出
+      let best = Array.from({ length: steps + 1 }, (_, k) => (k === 0 ? { net: 0, alloc: [] } : null));
+      venues.forEach((venue, v) => {
+        const next = best.map(entry => (entry ? { net: entry.net, alloc: [...entry.alloc, 0] } : null));
+        for (let used = 0; used < steps; used++) {
+          if (!best[used]) continue;
+          for (let share = 1; used + share <= steps; share++) {
+            const out = table[v][share - 1];
+            if (out === null) continue;
+            const net = best[used].net + out - legGas[v] * gasToOutput;
+            if (!next[used + share] || net > next[used + share].net) {
+              next[used + share] = { net, alloc: [...best[used].alloc, share] };
+            }
+          }
+        }
+        best = next;
+      });
+
+      const plan = best[steps];
+      if (!plan || plan.alloc.filter(share => share > 0).length < 2 || plan.net <= single.netAmount) {
+        return null;
+      }
+
+      // 按份数分配输入数量，取整误差计入最后一笔
+      const legs = [];
+      let allocated = 0n;
+      plan.alloc.forEach((share, v) => {
+        if (share === 0) return;
+        legs.push({ venue: venues[v], share, amountIn: totalIn * BigInt(share) / BigInt(steps), expectedAmount: table[v][share - 1], gasBNB: legGas[v] });
+      });
+      legs.forEach(leg => { allocated += leg.amountIn; });
+      legs[legs.length - 1].amountIn += totalIn - allocated;
+
+      const expectedAmount = legs.reduce((sum, leg) => sum + leg.expectedAmount, 0);
+      const gasBNB = legs.reduce((sum, leg) => sum + leg.gasBNB, 0);
+      const improvement = ((plan.net - single.netAmount) / single.netAmount * 100).toFixed(2) + '%';
+      console.log(`✂️ 拆单方案: ${legs.map(leg => `${this.describeRoute(leg.venue.quote)} ${leg.share * 100 / steps}%`).join(' + ')}，净输出提升 ${improvement}`);
+
+      return {
+        legs: legs.map(leg => ({
+          version: leg.venue.version,
+          fee: leg.venue.quote.fee || null,
+          route: this.describeRoute(leg.venue.quote),
+          percent: leg.share * 100 / steps,
+          amount: ethers.formatUnits(leg.amountIn, inputDecimals),
+          expectedAmount: leg.expectedAmount
+        })),
+        expectedAmount,
+        netAmount: plan.net,
+        gasBNB,
+        single: {
+          route: this.describeRoute(single.quote),
+          expectedAmount: single.expectedAmount,
+          netAmount: single.netAmount
+        },
+        improvement
+      };
+    } catch (error) {
+      console.error('拆单优化失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 拆单描述，如 "拆单: V2 60% + V3 (0.25%) 40%"
+   */
+  describeSplit(split) {
+    return `拆单: ${split.legs.map(leg => `${leg.route} ${leg.percent}%`).join(' + ')}`;
+  }
+
+  /**
+   * 在当前区块上模拟通过 V2 路由买入 bnbAmount BNB 后全部卖出 (eth_call + 状态覆盖，不发送交易)，
+   * 检测实际的买入税、卖出税以及卖出是否回滚。买入或卖出回滚、税率超过 MAX_TOKEN_TAX 时 blocked 为 true。
+   * 返回 { success, buyTax, sellTax, buyReverted, sellReverted, reason, blocked, blockReason, error }；
+   * 没有 V2 池子或节点不支持状态覆盖时 success 为 false，不拦截交易
+   */
+  async simulateTokenTax(tokenAddress, bnbAmount = 0.01) {
+    const amountIn = this.parseEtherSafe(parseFloat(bnbAmount) || 0.01);
+    const cacheKey = `${tokenAddress.toLowerCase()}:${amountIn}`;
+    const cached = this.taxCheckCache.get(cacheKey);
+    if (cached && Date.now() - cached.checkedAt < TAX_CHECK_CACHE_MS) {
+      return cached.result;
+    }
+
+    let result;
+    try {
+      // 模拟合约只走 V2 直连池，先确认池子存在，避免把没有 V2 池子误判为买入回滚
+      await this.routerV2.getAmountsOut(amountIn, [config.WBNB_ADDRESS, tokenAddress]);
+    } catch (error) {
+      return { success: false, blocked: false, error: '没有 V2 流动性池，无法模拟' };
+    }
+
+    try {
+      result = await simulateBuySell(this.provider, {
+        router: this.routerV2Address,
+        token: tokenAddress,
+        wbnb: config.WBNB_ADDRESS,
+        amountIn
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    result.blocked = false;
+    if (result.success) {
+      const maxTax = config.MAX_TOKEN_TAX;
+      const reason = result.reason ? `: ${result.reason}` : '';
+      if (result.buyReverted) {
+        result.blockReason = `模拟买入回滚，代币可能禁止买入${reason}`;
+      } else if (result.sellReverted) {
+        result.blockReason = `模拟卖出回滚，可能是蜜罐代币${reason}`;
+      } else if (result.buyTax > maxTax) {
+        result.blockReason = `买入税 ${result.buyTax.toFixed(2)}% 超过上限 ${maxTax}%`;
+      } else if (result.sellTax > maxTax) {
+        result.blockReason = `卖出税 ${result.sellTax.toFixed(2)}% 超过上限 ${maxTax}%`;
+      }
+      result.blocked = Boolean(result.blockReason);
+      console.log(`🍯 买卖模拟: 买入税 ${result.buyTax?.toFixed(2) ?? 'N/A'}%，卖出税 ${result.sellTax?.toFixed(2) ?? 'N/A'}%${result.blocked ? ` ⛔ ${result.blockReason}` : ''}`);
+      this.taxCheckCache.set(cacheKey, { result, checkedAt: Date.now() });
+    } else {
+      console.log(`🍯 买卖模拟不可用: ${result.error}`);
+    }
+    return result;
+  }
+
+  /**
+   * 代币合约安全报告：链上读取所有权、代理槽、危险函数和 LP 锁定情况，并计入买卖模拟结果
+   */
+  async getTokenSafetyReport(tokenAddress) {
+    const taxCheck = await this.simulateTokenTax(tokenAddress);
+    return analyzeTokenSafety(this.provider, tokenAddress, { taxCheck });
+  }
+
+  /**
+   * 估算最优路由的价格影响 (%)：用交易数量 1% 的小额询价作为参考价格，与 getBestRoute 报价的成交均价比较。
+   * 无法询价时返回 null
+   */
+  async estimatePriceImpact(tokenAddress, amount, isBuy, routeResult) {
+    try {
+      const best = routeResult.allQuotes[0];
+      const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+      const decimals = await tokenContract.decimals();
+      const [inputDecimals, outputDecimals] = isBuy ? [18, decimals] : [decimals, 18];
+      const path = isBuy ? [config.WBNB_ADDRESS, tokenAddress] : [tokenAddress, config.WBNB_ADDRESS];
+
+      // 多跳报价本身带有路径，直连报价按池子重新构造路径
+      const route = best.quote.hops ? best.quote
+        : best.version === 'v2' ? { version: 'v2', path }
+          : { version: 'v3', path, encodedPath: this.encodeV3Path(path, [best.quote.fee]) };
+
+      const amountIn = this.parseTokenAmountSafe(amount, inputDecimals);
+      const referenceIn = amountIn / 100n;
+      if (referenceIn === 0n) {
+        return 0;
+      }
+      const referenceOut = parseFloat(ethers.formatUnits(await this.quotePathRoute(route, referenceIn), outputDecimals));
+      if (!(referenceOut > 0)) {
+        return null;
+      }
+
+      const referencePrice = referenceOut / parseFloat(ethers.formatUnits(referenceIn, inputDecimals));
+      const executionPrice = best.expectedAmount / parseFloat(amount);
+      return Math.max((1 - executionPrice / referencePrice) * 100, 0);
+    } catch (error) {
+      console.error('价格影响估算失败:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 按拆单方案依次执行每一笔 (各自记录交易历史)。第一笔失败时整体失败，之后的失败返回部分成交结果
+   */
+  async executeSplitRoute(tokenAddress, split, isBuy, options = {}) {
+    const results = [];
+    for (const leg of split.legs) {
+      console.log(`✂️ 执行拆单 ${leg.route} ${leg.percent}%: ${leg.amount}`);
+      let result;
+      // 确认的最少获得数量按各笔预期获得的比例分摊
+      const legOptions = options.amountOutFloor
+        ? { ...options, amountOutFloor: options.amountOutFloor * BigInt(Math.round(leg.expectedAmount / split.expectedAmount * 1e6)) / 1000000n }
+        : options;
+      if (isBuy) {
+        result = leg.version === 'v2'
+          ? await this.smartBuy(tokenAddress, leg.amount, legOptions)
+          : await this.smartBuyV3(tokenAddress, leg.amount, leg.fee, legOptions);
+      } else {
+        result = leg.version === 'v2'
+          ? await this.smartSell(tokenAddress, leg.amount, legOptions)
+          : await this.smartSellV3(tokenAddress, leg.amount, leg.fee, legOptions);
+      }
+      results.push({ ...leg, result });
+      if (!result.success) break;
+    }
+
+    const filled = results.filter(r => r.result.success);
+    if (filled.length === 0) {
+      return results[0].result;
+    }
+
+    const received = filled.reduce((sum, r) => sum + parseFloat(isBuy ? r.result.expectedAmount : r.result.details.expectedBNB), 0);
+    const gasUsed = filled.reduce((sum, r) => sum + BigInt(r.result.gasUsed || r.result.details?.gasUsed || 0), 0n);
+    const failed = results.find(r => !r.result.success);
+
+    // 卖出时合并各笔的盈亏，结构与 recordSellTrade 的返回值一致
+    let profitInfo;
+    const legProfits = isBuy ? [] : filled.map(r => r.result.profitInfo).filter(Boolean);
+    if (legProfits.length > 0) {
+      const profit = legProfits.reduce((sum, p) => sum + p.profit, 0);
+      const totalCost = legProfits.reduce((sum, p) => sum + p.totalCost, 0);
+      profitInfo = {
+        sellTradeId: legProfits[legProfits.length - 1].sellTradeId,
+        profit,
+        profitPercentage: profit / totalCost * 100,
+        totalCost,
+        revenue: legProfits.reduce((sum, p) => sum + p.revenue, 0),
+        baseAsset: 'BNB'
+      };
+    }
+
+    return {
+      success: true,
+      partial: !!failed,
+      txHash: filled[0].result.txHash,
+      txHashes: filled.map(r => r.result.txHash),
+      message: `${isBuy ? '✅ 成功买入' : '成功卖出'} (拆单 ${filled.length}/${split.legs.length} 笔)${failed ? `，${failed.route} 失败: ${failed.result.error}` : ''}`,
+      expectedAmount: received.toString(),
+      gasUsed: gasUsed.toString(),
+      profitInfo,
+      splitLegs: results.map(r => ({ route: r.route, percent: r.percent, amount: r.amount, success: r.result.success, txHash: r.result.txHash || null, error: r.result.error }))
+    };
+  }
+
+  /**
+   * 路由描述：直连池为 "V3 (0.25%)"，按路径执行的路由为 "V3 WBNB → USDT → CAKE (0.05% + 0.25%)"
+   */
+  describeRoute(quote) {
+    const version = quote.version.toUpperCase();
+    if (!quote.hops) {
+      return `${version}${quote.fee ? ` (${quote.fee/10000}%)` : ''}`;
+    }
+    const fees = quote.fees || quote.hops.slice(1).map(() => V2_FEE);
+    return `${version} ${quote.hops.join(' → ')} (${fees.map(fee => `${fee/10000}%`).join(' + ')})`;
+  }
+
+  /**
+   * 以稳定币为基础资产的路由：比较基础资产与代币的直连池和经过 WBNB 的两跳路径，
+   * Gas 按 BNB/USD 价格折算为稳定币后按净输出排序，返回结构与 getBestRoute 一致
+   */
+  async getBaseAssetRoute(tokenAddress, amount, isBuy, base) {
+    try {
+      console.log(`🔍 正在比较 ${base.symbol} 路由...`);
+
+      const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+      const baseContract = new ethers.Contract(base.address, this.erc20ABI, this.provider);
+      const [symbol, decimals, baseDecimals] = await Promise.all([
+        tokenContract.symbol(),
+        tokenContract.decimals(),
+        baseContract.decimals()
+      ]);
+
+      const token = { symbol, address: tokenAddress };
+      const baseToken = { symbol: base.symbol, address: base.address };
+      const wbnb = { symbol: 'WBNB', address: config.WBNB_ADDRESS };
+      const candidates = await this.buildRouteCandidates(isBuy ? baseToken : token, isBuy ? token : baseToken, [wbnb], true);
+
+      const amountIn = this.parseTokenAmountSafe(amount, isBuy ? baseDecimals : decimals);
+      const { quotes: routeQuotes, rejected } = await this.quoteRouteCandidates(candidates, amountIn, isBuy ? decimals : baseDecimals);
+      if (routeQuotes.length === 0) {
+        return { success: false, error: `${base.symbol} 与该代币之间没有可用的交易路径`, rejectedQuotes: rejected };
+      }
+
+      const quotes = this.rankByNetOutput(routeQuotes.map(quote => ({
+        version: quote.version,
+        expectedAmount: parseFloat(quote.expectedAmount),
+        quote,
+        liquidityInfo: null
+      })), parseFloat(amount), isBuy, await this.getBNBPrice());
+      const bestRoute = quotes[0];
+      const worstAmount = Math.min(...quotes.map(q => q.expectedAmount));
+
+      console.log(`💡 最优路由: ${this.describeRoute(bestRoute.quote)}，预期获得 ${bestRoute.expectedAmount} ${isBuy ? symbol : base.symbol}`);
+
+      return {
+        success: true,
+        baseAsset: base.symbol,
+        bestRoute: bestRoute.quote,
+        bestLiquidity: null,
+        bestPoolAddress: null,
+        allQuotes: quotes,
+        rejectedQuotes: rejected,
+        comparison: {
+          totalQuotes: quotes.length,
+          totalRejected: rejected.length,
+          bestPrice: bestRoute.expectedAmount,
+          bestNetAmount: bestRoute.netAmount,
+          improvement: quotes.length > 1 ? ((bestRoute.expectedAmount - worstAmount) / worstAmount * 100).toFixed(2) + '%' : '0%'
+        }
+      };
+    } catch (error) {
+      console.error(`${base.symbol} 路由比较失败:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 比较V2和V3价格，返回最优路由（包含流动性检查）。
+   * baseAsset 为稳定币时 bnbAmount 是稳定币数量 (买入) 或代币数量 (卖出)，路由改由 getBaseAssetRoute 计算
+   */
+  async getBestRoute(tokenAddress, bnbAmount, isBuy = true, baseAsset = 'BNB') {
+    try {
+      if (baseAsset !== 'BNB') {
+        const base = this.resolveBaseAsset(baseAsset);
+        if (!base.valid) {
+          return { success: false, error: base.error };
+        }
+        return this.getBaseAssetRoute(tokenAddress, bnbAmount, isBuy, base);
+      }
+
+      console.log(`🔍 正在比较 V2 和 V3 价格（含流动性检查）...`);
+      
+      // 并行获取V2、V3直连报价和经过中间代币的多跳报价
+      const [v2Quote, v3Quote2500, v3Quote500, v3Quote10000, multiHopQuotes] = await Promise.allSettled([
+        this.getV2Quote(tokenAddress, bnbAmount, isBuy),
+        this.getV3Quote(tokenAddress, bnbAmount, isBuy, 2500), // 0.25% fee
+        this.getV3Quote(tokenAddress, bnbAmount, isBuy, 500),  // 0.05% fee
+        this.getV3Quote(tokenAddress, bnbAmount, isBuy, 10000), // 1% fee
+        this.getMultiHopQuotes(tokenAddress, bnbAmount, isBuy)
+      ]);
+
+      const quotes = [];
+      const rejectedQuotes = []; // 存储被拒绝的报价（包括流动性不足的）
+      let v3PoolsNotExist = 0;
+      let v3PoolsLiquidityIssue = 0;
+      
+      // 处理V2报价（含流动性检查）
+      console.log(`📊 V2报价结果: ${v2Quote.status}`);
+      if (v2Quote.status === 'fulfilled' && v2Quote.value.success) {
+        // V2流动性检查
+        const v2Liquidity = await this.checkV2Liquidity(tokenAddress, bnbAmount);
+        const v2QuoteInfo = {
+          version: 'v2',
+          expectedAmount: parseFloat(v2Quote.value.expectedAmount),
+          quote: v2Quote.value,
+          liquidityInfo: v2Liquidity
+        };
+        
+        if (v2Liquidity.sufficient) {
+          quotes.push(v2QuoteInfo);
+          console.log(`✅ V2报价成功: ${v2Quote.value.expectedAmount} (流动性: ${v2Liquidity.liquidityInBNB} BNB ${v2Liquidity.emoji}) 池子: ${v2Liquidity.pairAddress}`);
+        } else {
+          rejectedQuotes.push({...v2QuoteInfo, rejectedReason: 'liquidity'});
+          console.log(`❌ V2流动性不足: ${v2Liquidity.reason} 池子: ${v2Liquidity.pairAddress || 'N/A'}`);
+        }
+      } else {
+        rejectedQuotes.push({
+          version: 'v2',
+          rejectedReason: 'quote_failed',
+          error: v2Quote.status === 'fulfilled' ? v2Quote.value.error : v2Quote.reason
+        });
+        console.log(`❌ V2报价失败: ${v2Quote.status === 'fulfilled' ? v2Quote.value.error : v2Quote.reason}`);
+      }
+      
+      // 处理V3报价（含流动性检查）
+      const v3Quotes = [v3Quote2500, v3Quote500, v3Quote10000];
+      const fees = [2500, 500, 10000];
+      
+      for (let index = 0; index < v3Quotes.length; index++) {
+        const quote = v3Quotes[index];
+        const fee = fees[index];
         console.log(`📊 V3报价结果 (${fee/10000}%): ${quote.status}`);
         if (quote.status === 'fulfilled' && quote.value.success) {
           // V3流动性检查
@@ -2146,6 +3104,21 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
         }
       }
 
+      // 处理多跳报价（中间池子不在WBNB直连流动性检查范围内，滑点由询价结果体现）
+      if (multiHopQuotes.status === 'fulfilled') {
+        multiHopQuotes.value.quotes.forEach(quote => {
+          quotes.push({
+            version: quote.version,
+            expectedAmount: parseFloat(quote.expectedAmount),
+            quote,
+            liquidityInfo: null
+          });
+        });
+        rejectedQuotes.push(...multiHopQuotes.value.rejected);
+      } else {
+        console.log(`❌ 多跳报价失败: ${multiHopQuotes.reason?.message || multiHopQuotes.reason}`);
+      }
+
       if (quotes.length === 0) {
         // 如果没有可用报价，显示所有被拒绝的原因
         console.log(`❌ 所有池子都不可用:`);
@@ -2173,10 +3146,9 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
         }
       }
 
-      // 选择最优价格（买入时选择最多代币，卖出时选择最多BNB）
-      const bestRoute = quotes.reduce((best, current) => {
-        return current.expectedAmount > best.expectedAmount ? current : best;
-      });
+      // 按扣除Gas后的净输出排序
+      this.rankByNetOutput(quotes, parseFloat(bnbAmount), isBuy);
+      const bestRoute = quotes[0];
 
       const hasV3 = quotes.some(q => q.version === 'v3');
       const v3PoolStatus = v3PoolsNotExist === 3 ? 'V3池全部不存在' : 
@@ -2184,8 +3156,8 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
                           v3PoolsNotExist > 0 ? `${3-v3PoolsNotExist}个V3池可用` : 
                           'V3池全部可用';
 
-      console.log(`💡 最优路由: ${bestRoute.version.toUpperCase()}${bestRoute.quote.fee ? ` (fee: ${bestRoute.quote.fee/10000}%)` : ''}`);
-      console.log(`📊 预期获得: ${bestRoute.expectedAmount} ${isBuy ? '代币' : 'BNB'}`);
+      console.log(`💡 最优路由: ${this.describeRoute(bestRoute.quote)}`);
+      console.log(`📊 预期获得: ${bestRoute.expectedAmount} ${isBuy ? '代币' : 'BNB'} (扣除Gas后 ${bestRoute.netAmount})`);
       console.log(`🏊 流动性状况: ${v3PoolStatus}`);
       console.log(`💧 最优流动性: ${bestRoute.liquidityInfo ? bestRoute.liquidityInfo.liquidityInBNB + ' BNB ' + bestRoute.liquidityInfo.emoji + ' (' + bestRoute.liquidityInfo.level + ')' : '未知'}`);
       console.log(`🏠 最优池子地址: ${bestRoute.liquidityInfo ? (bestRoute.liquidityInfo.poolAddress || bestRoute.liquidityInfo.pairAddress) : 'N/A'}`);
@@ -2196,7 +3168,7 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
         const liquidityInfo = q.liquidityInfo ? ` (${q.liquidityInfo.liquidityInBNB} BNB ${q.liquidityInfo.emoji})` : '';
         const poolAddress = q.liquidityInfo ? (q.liquidityInfo.poolAddress || q.liquidityInfo.pairAddress) : 'N/A';
         const isBest = q === bestRoute ? ' 👑' : '';
-        console.log(`   ${q.version.toUpperCase()}${q.quote.fee ? ` (${q.quote.fee/10000}%)` : ''}: ${q.expectedAmount}${liquidityInfo} 池子: ${poolAddress}${isBest}`);
+        console.log(`   ${this.describeRoute(q.quote)}: ${q.expectedAmount} (净 ${q.netAmount})${liquidityInfo} 池子: ${poolAddress}${isBest}`);
       });
       
       // 显示被拒绝的报价
@@ -2207,8 +3179,8 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
                         rq.rejectedReason === 'pool_not_exist' ? '池子不存在' : 
                         rq.rejectedReason === 'quote_failed' ? '报价失败' : '未知原因';
           const poolAddress = rq.liquidityInfo ? (rq.liquidityInfo.poolAddress || rq.liquidityInfo.pairAddress) : 'N/A';
-          const feeStr = rq.fee ? ` (${rq.fee/10000}%)` : '';
-          console.log(`   ${rq.version.toUpperCase()}${feeStr}: ${reason} 池子: ${poolAddress}`);
+          const routeStr = rq.hops ? this.describeRoute(rq) : `${rq.version.toUpperCase()}${rq.fee ? ` (${rq.fee/10000}%)` : ''}`;
+          console.log(`   ${routeStr}: ${reason} 池子: ${poolAddress}`);
         });
       }
 
@@ -2230,6 +3202,7 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
           totalQuotes: quotes.length,
           totalRejected: rejectedQuotes.length,
           bestPrice: bestRoute.expectedAmount,
+          bestNetAmount: bestRoute.netAmount,
           improvement: quotes.length > 1 ? 
             ((bestRoute.expectedAmount - Math.min(...quotes.map(q => q.expectedAmount))) / Math.min(...quotes.map(q => q.expectedAmount)) * 100).toFixed(2) + '%' : 
             '0%'
@@ -2247,46 +3220,94 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
 
   /**
    * 智能买入 - 自动选择最优价格的路由
+   * @param {Object} options { tag, baseAsset } tag 写入交易历史的来源标记；baseAsset 为支付资产，
+   *   默认 BNB (定投、限价单等自动化交易始终使用 BNB)，为稳定币时 bnbAmount 是稳定币数量
    */
-  async smartBuyOptimal(tokenAddress, bnbAmount) {
+  async smartBuyOptimal(tokenAddress, bnbAmount, options = {}) {
     try {
-      console.log(`🧠 智能买入: ${tokenAddress}, ${bnbAmount} BNB`);
+      const baseAsset = options.baseAsset || 'BNB';
+      console.log(`🧠 智能买入: ${tokenAddress}, ${bnbAmount} ${baseAsset}`);
       
-      // 验证和格式化BNB数量
+      const tradingCheck = this.checkTradingAllowed();
+      if (!tradingCheck.allowed) {
+        return this.auditTrade('buy', tokenAddress, bnbAmount, { success: false, error: tradingCheck.error });
+      }
+      
+      // 验证和格式化支付数量
       const bnbAmountNum = parseFloat(bnbAmount);
       if (isNaN(bnbAmountNum) || bnbAmountNum <= 0) {
-        return { success: false, error: '❌ 无效的BNB数量' };
+        return this.auditTrade('buy', tokenAddress, bnbAmount, { success: false, error: `❌ 无效的${baseAsset}数量` });
+      }
+
+      const base = this.resolveBaseAsset(baseAsset);
+      if (!base.valid) {
+        return this.auditTrade('buy', tokenAddress, bnbAmount, { success: false, error: `❌ ${base.error}` });
       }
       
       const isValid = await this.isValidTokenAddress(tokenAddress);
       if (!isValid) {
-        return { success: false, error: '❌ 无效的代币地址' };
+        return this.auditTrade('buy', tokenAddress, bnbAmount, { success: false, error: '❌ 无效的代币地址' });
+      }
+
+      // 稳定币支付时按 BNB/USD 价格折合为 BNB，风控限额和交易历史都以 BNB 计
+      let bnbPriceUSD = null;
+      if (baseAsset !== 'BNB') {
+        bnbPriceUSD = await this.getBNBPrice(true);
+        if (!bnbPriceUSD) {
+          return this.auditTrade('buy', tokenAddress, bnbAmount, { success: false, error: '❌ 无法获取BNB价格，暂时不能使用稳定币交易' });
+        }
+      }
+
+      // 风控限额检查（在路由之前）
+      const riskCheck = this.checkBuyRisk(tokenAddress, bnbPriceUSD ? bnbAmountNum / bnbPriceUSD : bnbAmountNum);
+      if (!riskCheck.allowed) {
+        return this.auditTrade('buy', tokenAddress, bnbAmount, { success: false, error: riskCheck.error, limit: riskCheck.limit });
+      }
+
+      const taxCheck = await this.simulateTokenTax(tokenAddress, bnbPriceUSD ? bnbAmountNum / bnbPriceUSD : bnbAmountNum);
+      if (taxCheck.blocked) {
+        return this.auditTrade('buy', tokenAddress, bnbAmount, { success: false, error: `⛔ ${taxCheck.blockReason}`, taxCheck });
       }
 
       // 获取最优路由
-      const routeResult = await this.getBestRoute(tokenAddress, bnbAmount, true);
+      const routeResult = await this.getBestRoute(tokenAddress, bnbAmount, true, baseAsset);
       if (!routeResult.success) {
-        return { success: false, error: `❌ ${routeResult.error}` };
+        return this.auditTrade('buy', tokenAddress, bnbAmount, { success: false, error: `❌ ${routeResult.error}` });
       }
 
       const bestRoute = routeResult.bestRoute;
+      // 大额订单尝试拆分到多个池子，扣除多出的Gas后仍更优时才拆单
+      const split = baseAsset === 'BNB' ? await this.getSplitRoute(tokenAddress, bnbAmount, true, routeResult) : null;
+
+      const floor = await this.resolveAmountOutFloor(split ? split.expectedAmount : parseFloat(bestRoute.expectedAmount), tokenAddress, options);
+      if (!floor.success) {
+        return this.auditTrade('buy', tokenAddress, bnbAmount, { success: false, error: floor.error, priceMoved: true });
+      }
+      const execOptions = floor.options;
       
       // 根据最优路由执行交易
       let result;
-      if (bestRoute.version === 'v2') {
+      if (split) {
+        console.log(`✂️ 使用拆单执行买入: ${this.describeSplit(split)}`);
+        result = await this.executeSplitRoute(tokenAddress, split, true, execOptions);
+      } else if (bestRoute.hops) {
+        console.log(`🔄 使用路径路由执行买入: ${this.describeRoute(bestRoute)}`);
+        result = await this.smartSwapPath(tokenAddress, bnbAmount, bestRoute, true, { ...execOptions, baseAsset, bnbPriceUSD });
+      } else if (bestRoute.version === 'v2') {
         console.log('🔄 使用 PancakeSwap V2 执行买入');
-        result = await this.smartBuy(tokenAddress, bnbAmount);
+        result = await this.smartBuy(tokenAddress, bnbAmount, execOptions);
       } else {
         console.log(`🔄 使用 PancakeSwap V3 (${bestRoute.fee/10000}%) 执行买入`);
-        result = await this.smartBuyV3(tokenAddress, bnbAmount, bestRoute.fee);
+        result = await this.smartBuyV3(tokenAddress, bnbAmount, bestRoute.fee, execOptions);
       }
 
       // 添加路由选择信息到结果
       if (result.success) {
         result.routeOptimization = {
-          selectedRoute: `${bestRoute.version.toUpperCase()}${bestRoute.fee ? ` (${bestRoute.fee/10000}%)` : ''}`,
+          selectedRoute: split ? this.describeSplit(split) : this.describeRoute(bestRoute),
           priceImprovement: routeResult.comparison.improvement,
-          quotesCompared: routeResult.comparison.totalQuotes
+          quotesCompared: routeResult.comparison.totalQuotes,
+          splitImprovement: split ? split.improvement : null
         };
         result.liquidityInfo = routeResult.bestLiquidity; // 添加最优路由的流动性信息
         result.message += ` (最优路由: ${result.routeOptimization.selectedRoute})`;
@@ -2299,56 +3320,278 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
         }
       }
 
-      return result;
+      return this.auditTrade('buy', tokenAddress, bnbAmount, result);
 
     } catch (error) {
       console.error('智能买入失败:', error);
-      return { success: false, error: this.parseContractError(error) };
+      return this.auditTrade('buy', tokenAddress, bnbAmount, { success: false, error: this.parseContractError(error) });
     }
   }
 
+  /**
+   * 精确输出买入报价：计算买到 tokenAmount 个代币需要支付的 BNB，
+   * 比较 V2 getAmountsIn 和 getBestRoute 使用的三个 V3 费率档位，返回 { success, symbol, decimals, amountOut, bestRoute, quotes, error }
+   */
+  async getExactOutputQuote(tokenAddress, tokenAmount) {
+    try {
+      const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+      const [symbol, decimals] = await Promise.all([
+        tokenContract.symbol(),
+        tokenContract.decimals()
+      ]);
+      const amountOut = this.parseTokenAmountSafe(tokenAmount, decimals);
+
+      const quoterV3Address = '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997';
+      const quoterV3ABI = [
+        "function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96)) external returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)"
+      ];
+      const quoter = new ethers.Contract(quoterV3Address, quoterV3ABI, this.provider);
+      const fees = [2500, 500, 10000];
+
+      const results = await Promise.allSettled([
+        this.routerV2.getAmountsIn(amountOut, [config.WBNB_ADDRESS, tokenAddress]),
+        ...fees.map(fee => quoter.quoteExactOutputSingle.staticCall({
+          tokenIn: config.WBNB_ADDRESS,
+          tokenOut: tokenAddress,
+          amount: amountOut,
+          fee,
+          sqrtPriceLimitX96: 0
+        }))
+      ]);
+
+      const quotes = [];
+      if (results[0].status === 'fulfilled') {
+        quotes.push({ version: 'v2', fee: null, amountIn: results[0].value[0] });
+      }
+      fees.forEach((fee, index) => {
+        const result = results[index + 1];
+        if (result.status === 'fulfilled') {
+          quotes.push({ version: 'v3', fee, amountIn: result.value[0] });
+        }
+      });
+
+      if (quotes.length === 0) {
+        return { success: false, error: '没有可用的 V2/V3 池子能买到该数量的代币，可能流动性不足' };
+      }
+
+      quotes.forEach(q => {
+        q.amountInBNB = parseFloat(ethers.formatEther(q.amountIn));
+        q.route = `${q.version.toUpperCase()}${q.fee ? ` (${q.fee/10000}%)` : ''}`;
+      });
+      const bestRoute = quotes.reduce((best, current) => current.amountIn < best.amountIn ? current : best);
+      console.log(`💡 精确输出最优路由: ${bestRoute.route}，需要 ${bestRoute.amountInBNB} BNB`);
+
+      return { success: true, symbol, decimals, amountOut, bestRoute, quotes };
+    } catch (error) {
+      console.error('获取精确输出报价失败:', error);
+      return { success: false, error: this.parseContractError(error) };
+    }
+  }
+
+  /**
+   * 精确输出买入：买到正好 tokenAmount 个代币，最多支付 min(报价 + 滑点, maxBNB)，未用完的 BNB 退回钱包。
+   * 不支持转账收税的代币 (实际到账会少于指定数量导致交易回滚)
+   */
+  async smartBuyExact(tokenAddress, tokenAmount, maxBNB = null) {
+    const auditAmount = `${tokenAmount} tokens`;
+    try {
+      console.log(`🎯 精确买入: ${tokenAddress}, ${tokenAmount} 代币${maxBNB ? `，最多 ${maxBNB} BNB` : ''}`);
+
+      const tradingCheck = this.checkTradingAllowed();
+      if (!tradingCheck.allowed) {
+        return this.auditTrade('buy_exact', tokenAddress, auditAmount, { success: false, error: tradingCheck.error });
+      }
+
+      const isValid = await this.isValidTokenAddress(tokenAddress);
+      if (!isValid) {
+        return this.auditTrade('buy_exact', tokenAddress, auditAmount, { success: false, error: '❌ 无效的代币地址' });
+      }
+
+      const quote = await this.getExactOutputQuote(tokenAddress, tokenAmount);
+      if (!quote.success) {
+        return this.auditTrade('buy_exact', tokenAddress, auditAmount, { success: false, error: `❌ ${quote.error}` });
+      }
+
+      const cap = this.getExactInputCap(quote.bestRoute.amountIn, maxBNB);
+      if (!cap.success) {
+        return this.auditTrade('buy_exact', tokenAddress, auditAmount, { success: false, error: cap.error });
+      }
+      const amountInMax = cap.amountInMax;
+      const amountInMaxBNB = parseFloat(ethers.formatEther(amountInMax));
+
+      // 风控按最多支付的 BNB 计算
+      const riskCheck = this.checkBuyRisk(tokenAddress, amountInMaxBNB);
+      if (!riskCheck.allowed) {
+        return this.auditTrade('buy_exact', tokenAddress, auditAmount, { success: false, error: riskCheck.error, limit: riskCheck.limit });
+      }
+
+      const taxCheck = await this.simulateTokenTax(tokenAddress, amountInMaxBNB);
+      if (taxCheck.blocked) {
+        return this.auditTrade('buy_exact', tokenAddress, auditAmount, { success: false, error: `⛔ ${taxCheck.blockReason}`, taxCheck });
+      }
+
+      await this.updateGasPrice();
+      const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+      const txOptions = {
+        value: amountInMax,
+        gasPrice: this.parseUnitsSafe(this.settings.gasPrice, 'gwei'),
+        gasLimit: this.settings.gasLimit
+      };
+      const balanceBefore = await this.provider.getBalance(this.wallet.address);
+
+      let tx;
+      const bestRoute = quote.bestRoute;
+      if (bestRoute.version === 'v2') {
+        // V2 路由合约会自动退回多余的 BNB
+        tx = await this.routerV2.swapETHForExactTokens(
+          quote.amountOut,
+          [config.WBNB_ADDRESS, tokenAddress],
+          this.wallet.address,
+          deadline,
+          txOptions
+        );
+      } else {
+        // V3 需要在同一笔交易中调用 refundETH 退回多余的 BNB
+        const swapData = this.routerV3.interface.encodeFunctionData('exactOutputSingle', [{
+          tokenIn: config.WBNB_ADDRESS,
+          tokenOut: tokenAddress,
+          fee: bestRoute.fee,
+          recipient: this.wallet.address,
+          deadline,
+          amountOut: quote.amountOut,
+          amountInMaximum: amountInMax,
+          sqrtPriceLimitX96: 0
+        }]);
+        const refundData = this.routerV3.interface.encodeFunctionData('refundETH', []);
+        tx = await this.routerV3.multicall([swapData, refundData], txOptions);
+      }
+
+      const receipt = await tx.wait();
+      if (receipt.status !== 1) {
+        return this.auditTrade('buy_exact', tokenAddress, auditAmount, { success: false, error: '❌ 交易失败' });
+      }
+
+      // 实际花费 = 余额变化 - Gas 费 (多余的 BNB 已退回)
+      const balanceAfter = await this.provider.getBalance(this.wallet.address);
+      const spent = balanceBefore - balanceAfter - receipt.fee;
+      const bnbSpent = parseFloat(ethers.formatEther(spent > 0n ? spent : bestRoute.amountIn));
+
+      this.addTradedToken(tokenAddress);
+      this.recordBuyTrade(tokenAddress, quote.symbol, bnbSpent, tokenAmount, '1.0', receipt.gasUsed.toString(), tx.hash);
+
+      return this.auditTrade('buy_exact', tokenAddress, auditAmount, {
+        success: true,
+        txHash: tx.hash,
+        message: `✅ 成功买入 ${tokenAmount} ${quote.symbol}`,
+        symbol: quote.symbol,
+        tokenAmount,
+        bnbSpent,
+        amountInMax: amountInMaxBNB,
+        refunded: Math.max(amountInMaxBNB - bnbSpent, 0),
+        gasUsed: receipt.gasUsed.toString(),
+        fee: bestRoute.fee,
+        routeOptimization: { selectedRoute: bestRoute.route }
+      });
+    } catch (error) {
+      console.error('精确买入失败:', error);
+      return this.auditTrade('buy_exact', tokenAddress, auditAmount, { success: false, error: this.parseContractError(error) });
+    }
+  }
+
+  /**
+   * 精确输出买入的最大支付数量：报价加滑点，不超过用户指定的 maxBNB，返回 { success, amountInMax, error }
+   */
+  getExactInputCap(amountIn, maxBNB = null) {
+    const withSlippage = amountIn * BigInt(Math.round((100 + this.settings.slippage) * 100)) / 10000n;
+    if (!maxBNB) {
+      return { success: true, amountInMax: withSlippage };
+    }
+
+    const maxAmount = this.parseEtherSafe(maxBNB);
+    if (amountIn > maxAmount) {
+      return { success: false, error: `❌ 需要约 ${ethers.formatEther(amountIn)} BNB，超过最多支付 ${maxBNB} BNB，请重新下单` };
+    }
+    return { success: true, amountInMax: withSlippage < maxAmount ? withSlippage : maxAmount };
+  }
+
   /**
    * 智能卖出 - 自动选择最优价格的路由
+   * @param {Object} options { baseAsset } 接收资产，默认 BNB
    */
-  async smartSellOptimal(tokenAddress, tokenAmount) {
+  async smartSellOptimal(tokenAddress, tokenAmount, options = {}) {
     try {
-      console.log(`🧠 智能卖出: ${tokenAddress}, ${tokenAmount} 代币`);
+      const baseAsset = options.baseAsset || 'BNB';
+      console.log(`🧠 智能卖出: ${tokenAddress}, ${tokenAmount} 代币 → ${baseAsset}`);
+      
+      const tradingCheck = this.checkTradingAllowed();
+      if (!tradingCheck.allowed) {
+        return this.auditTrade('sell', tokenAddress, tokenAmount, { success: false, error: tradingCheck.error });
+      }
       
       // 验证和格式化代币数量
       const tokenAmountNum = parseFloat(tokenAmount);
       if (isNaN(tokenAmountNum) || tokenAmountNum <= 0) {
-        return { success: false, error: '❌ 无效的代币数量' };
+        return this.auditTrade('sell', tokenAddress, tokenAmount, { success: false, error: '❌ 无效的代币数量' });
+      }
+
+      const base = this.resolveBaseAsset(baseAsset);
+      if (!base.valid) {
+        return this.auditTrade('sell', tokenAddress, tokenAmount, { success: false, error: `❌ ${base.error}` });
       }
       
       const isValid = await this.isValidTokenAddress(tokenAddress);
       if (!isValid) {
-        return { success: false, error: '❌ 无效的代币地址' };
+        return this.auditTrade('sell', tokenAddress, tokenAmount, { success: false, error: '❌ 无效的代币地址' });
+      }
+
+      // 卖出为稳定币时需要 BNB/USD 价格把收益折合为 BNB 并换算持仓成本
+      let bnbPriceUSD = null;
+      if (baseAsset !== 'BNB') {
+        bnbPriceUSD = await this.getBNBPrice(true);
+        if (!bnbPriceUSD) {
+          return this.auditTrade('sell', tokenAddress, tokenAmount, { success: false, error: '❌ 无法获取BNB价格，暂时不能使用稳定币交易' });
+        }
       }
 
       // 获取最优路由
-      const routeResult = await this.getBestRoute(tokenAddress, tokenAmount, false);
+      const routeResult = await this.getBestRoute(tokenAddress, tokenAmount, false, baseAsset);
       if (!routeResult.success) {
-        return { success: false, error: `❌ ${routeResult.error}` };
+        return this.auditTrade('sell', tokenAddress, tokenAmount, { success: false, error: `❌ ${routeResult.error}` });
       }
 
       const bestRoute = routeResult.bestRoute;
+      // 大额订单尝试拆分到多个池子，扣除多出的Gas后仍更优时才拆单
+      const split = baseAsset === 'BNB' ? await this.getSplitRoute(tokenAddress, tokenAmount, false, routeResult) : null;
+
+      const floor = await this.resolveAmountOutFloor(split ? split.expectedAmount : parseFloat(bestRoute.expectedAmount), base.address, options);
+      if (!floor.success) {
+        return this.auditTrade('sell', tokenAddress, tokenAmount, { success: false, error: floor.error, priceMoved: true });
+      }
+      const execOptions = floor.options;
       
       // 根据最优路由执行交易
       let result;
-      if (bestRoute.version === 'v2') {
+      if (split) {
+        console.log(`✂️ 使用拆单执行卖出: ${this.describeSplit(split)}`);
+        result = await this.executeSplitRoute(tokenAddress, split, false, execOptions);
+      } else if (bestRoute.hops) {
+        console.log(`🔄 使用路径路由执行卖出: ${this.describeRoute(bestRoute)}`);
+        result = await this.smartSwapPath(tokenAddress, tokenAmount, bestRoute, false, { ...execOptions, baseAsset, bnbPriceUSD });
+      } else if (bestRoute.version === 'v2') {
         console.log('🔄 使用 PancakeSwap V2 执行卖出');
-        result = await this.smartSell(tokenAddress, tokenAmount);
+        result = await this.smartSell(tokenAddress, tokenAmount, execOptions);
       } else {
         console.log(`🔄 使用 PancakeSwap V3 (${bestRoute.fee/10000}%) 执行卖出`);
-        result = await this.smartSellV3(tokenAddress, tokenAmount, bestRoute.fee);
+        result = await this.smartSellV3(tokenAddress, tokenAmount, bestRoute.fee, execOptions);
       }
 
       // 添加路由选择信息到结果
       if (result.success) {
         result.routeOptimization = {
-          selectedRoute: `${bestRoute.version.toUpperCase()}${bestRoute.fee ? ` (${bestRoute.fee/10000}%)` : ''}`,
+          selectedRoute: split ? this.describeSplit(split) : this.describeRoute(bestRoute),
           priceImprovement: routeResult.comparison.improvement,
-          quotesCompared: routeResult.comparison.totalQuotes
+          quotesCompared: routeResult.comparison.totalQuotes,
+          splitImprovement: split ? split.improvement : null
         };
         result.liquidityInfo = routeResult.bestLiquidity; // 添加最优路由的流动性信息
         result.message += ` (最优路由: ${result.routeOptimization.selectedRoute})`;
@@ -2361,14 +3604,763 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
         }
       }
 
-      return result;
+      return this.auditTrade('sell', tokenAddress, tokenAmount, result);
 
     } catch (error) {
       console.error('智能卖出失败:', error);
+      return this.auditTrade('sell', tokenAddress, tokenAmount, { success: false, error: this.parseContractError(error) });
+    }
+  }
+
+  /**
+   * 按路径路由买入或卖出 (多跳路由和稳定币基础资产路由)：V2 直接使用 path，V3 使用 exactInput 编码路径。
+   * options.baseAsset 为 BNB 时以原生 BNB 支付或接收，V3 卖出由路由器收取 WBNB 再通过 unwrapWETH9 解包转回钱包；
+   * 为稳定币时需要 options.bnbPriceUSD，用于把交易折合为 BNB 记入交易历史
+   */
+  async smartSwapPath(tokenAddress, amount, route, isBuy = true, options = {}) {
+    try {
+      const baseAsset = options.baseAsset || 'BNB';
+      const isNative = baseAsset === 'BNB';
+      const routeText = this.describeRoute(route);
+      console.log(`🔀 路径${isBuy ? '买入' : '卖出'}: ${tokenAddress}, ${amount} ${isBuy ? baseAsset : '代币'} (${routeText})`);
+
+      const tradingCheck = this.checkTradingAllowed();
+      if (!tradingCheck.allowed) {
+        return { success: false, error: tradingCheck.error };
+      }
+
+      const amountNum = parseFloat(amount);
+      if (isNaN(amountNum) || amountNum <= 0) {
+        return { success: false, error: isBuy ? `❌ 无效的${baseAsset}数量` : '❌ 无效的代币数量' };
+      }
+      if (!isNative && !(options.bnbPriceUSD > 0)) {
+        return { success: false, error: '❌ 缺少BNB价格，无法记录稳定币交易' };
+      }
+
+      // 更新Gas价格
+      await this.updateGasPrice();
+
+      const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+      const [symbol, decimals] = await Promise.all([
+        tokenContract.symbol(),
+        tokenContract.decimals()
+      ]);
+      const base = this.resolveBaseAsset(baseAsset);
+      const baseDecimals = isNative ? 18 : await new ethers.Contract(base.address, this.erc20ABI, this.provider).decimals();
+
+      // 输入资产: 买入时为基础资产，卖出时为代币
+      const inputAddress = isBuy ? base.address : tokenAddress;
+      const inputSymbol = isBuy ? baseAsset : symbol;
+      const payNative = isBuy && isNative;
+      const receiveNative = !isBuy && isNative;
+      if (!payNative) {
+        const balanceNum = parseFloat(await this.getTokenBalance(inputAddress));
+        if (balanceNum < amountNum) {
+          return { success: false, error: `余额不足: ${balanceNum.toFixed(6)} ${inputSymbol}` };
+        }
+      }
+      const amountIn = payNative ? this.parseEtherSafe(amountNum) : this.parseTokenAmountSafe(amount, isBuy ? baseDecimals : decimals);
+
+      // 执行前重新询价，按滑点计算最少获得数量
+      const quoted = await this.quotePathRoute(route, amountIn);
+      const amountOutMin = this.getAmountOutMin(quoted, options);
+      const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+      const txOptions = {
+        gasPrice: this.parseUnitsSafe(this.settings.gasPrice, 'gwei'),
+        gasLimit: this.settings.gasLimit
+      };
+
+      let tx;
+      if (route.version === 'v2') {
+        if (payNative) {
+          tx = await this.routerV2.swapExactETHForTokensSupportingFeeOnTransferTokens(
+            amountOutMin, route.path, this.wallet.address, deadline, { ...txOptions, value: amountIn }
+          );
+        } else {
+          await this.ensureAllowance(inputAddress, this.routerV2Address, amountIn);
+          const swap = receiveNative
+            ? this.routerV2.swapExactTokensForETHSupportingFeeOnTransferTokens
+            : this.routerV2.swapExactTokensForTokensSupportingFeeOnTransferTokens;
+          tx = await swap(amountIn, amountOutMin, route.path, this.wallet.address, deadline, txOptions);
+        }
+      } else if (receiveNative) {
+        await this.ensureAllowance(inputAddress, this.routerV3Address, amountIn);
+        const swapCall = this.routerV3.interface.encodeFunctionData('exactInput', [{
+          path: route.encodedPath,
+          recipient: this.routerV3Address,
+          deadline,
+          amountIn,
+          amountOutMinimum: amountOutMin
+        }]);
+        const unwrapCall = this.routerV3.interface.encodeFunctionData('unwrapWETH9', [amountOutMin, this.wallet.address]);
+        tx = await this.routerV3.multicall([swapCall, unwrapCall], txOptions);
+      } else {
+        if (!payNative) {
+          await this.ensureAllowance(inputAddress, this.routerV3Address, amountIn);
+        }
+        tx = await this.routerV3.exactInput({
+          path: route.encodedPath,
+          recipient: this.wallet.address,
+          deadline,
+          amountIn,
+          amountOutMinimum: amountOutMin
+        }, payNative ? { ...txOptions, value: amountIn } : txOptions);
+      }
+
+      const receipt = await tx.wait();
+      if (receipt.status !== 1) {
+        return { success: false, error: '❌ 交易失败' };
+      }
+
+      const gasUsed = receipt.gasUsed.toString();
+      if (isBuy) {
+        const expectedTokens = ethers.formatUnits(quoted, decimals);
+        const bnbCost = isNative ? amountNum : amountNum / options.bnbPriceUSD;
+        this.addTradedToken(tokenAddress);
+        this.recordBuyTrade(tokenAddress, symbol, bnbCost, expectedTokens, '1.0', gasUsed, tx.hash, options.tag,
+          isNative ? null : { asset: baseAsset, amount: amountNum });
+
+        // 推文模板以 BNB 计价，只在 BNB 交易时发送
+        if (isNative) {
+          try {
+            await this.sendTweet(this.generateBuyTweet(symbol, amountNum, tx.hash, null));
+          } catch (twitterError) {
+            console.log('Twitter通知发送失败:', twitterError.message);
+          }
+        }
+
+        return {
+          success: true,
+          txHash: tx.hash,
+          message: `✅ 成功买入 ${symbol}`,
+          expectedAmount: expectedTokens,
+          baseAsset,
+          gasUsed,
+          details: {
+            amountIn: amountNum,
+            expectedTokens,
+            slippage: this.settings.slippage,
+            gasUsed,
+            route: routeText
+          }
+        };
+      }
+
+      const remain = await this.getTokenBalance(tokenAddress);
+      if (parseFloat(remain) === 0) {
+        this.removeTradedToken(tokenAddress);
+      }
+
+      const received = ethers.formatUnits(quoted, baseDecimals);
+      const priceInfo = await this.getTokenPrice(tokenAddress).catch(() => ({ success: false }));
+      const bnbPrice = priceInfo.success ? priceInfo.priceInBNB : '0';
+      const profitInfo = isNative
+        ? this.recordSellTrade(tokenAddress, symbol, amount, received, bnbPrice, gasUsed, tx.hash)
+        : this.recordSellTrade(tokenAddress, symbol, amount, parseFloat(received) / options.bnbPriceUSD, bnbPrice, gasUsed, tx.hash,
+          { asset: baseAsset, amount: received, bnbPriceUSD: options.bnbPriceUSD });
+
+      if (isNative) {
+        try {
+          const priceUSD = priceInfo.success ? priceInfo.priceInUSD : null;
+          await this.sendTweet(this.generateSellTweetWithProfit(symbol, amount, received, tx.hash, priceUSD, profitInfo));
+        } catch (twitterError) {
+          console.log('Twitter通知发送失败:', twitterError.message);
+        }
+      }
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        message: `成功卖出 ${amount} ${symbol}`,
+        expectedAmount: received,
+        baseAsset,
+        profitInfo,
+        details: {
+          amountIn: amount,
+          expectedBNB: isNative ? received : undefined,
+          expectedAmount: received,
+          slippage: this.settings.slippage,
+          gasUsed,
+          route: routeText
+        }
+      };
+    } catch (error) {
+      console.error('路径交易失败:', error);
       return { success: false, error: this.parseContractError(error) };
     }
   }
 
+  /**
+   * 代币兑换代币的路由：比较两个代币之间的直连池 (V2 和存在池子的 V3 费率) 和经过 WBNB 的两跳路径，
+   * Gas 按卖出代币的 BNB 价格折算后按净输出排序。返回 { success, from, to, bnbValue, bestRoute, allQuotes, rejectedQuotes, comparison, error }，
+   * bnbValue 为卖出数量按 V2 价格折合的 BNB，无法获取价格时为 null
+   */
+  async getSwapRoute(fromToken, toToken, amount) {
+    try {
+      const fromContract = new ethers.Contract(fromToken, this.erc20ABI, this.provider);
+      const toContract = new ethers.Contract(toToken, this.erc20ABI, this.provider);
+      const [fromSymbol, fromDecimals, toSymbol, toDecimals, fromPrice] = await Promise.all([
+        fromContract.symbol(),
+        fromContract.decimals(),
+        toContract.symbol(),
+        toContract.decimals(),
+        this.getTokenPrice(fromToken)
+      ]);
+      const from = { symbol: fromSymbol, address: fromToken, decimals: fromDecimals };
+      const to = { symbol: toSymbol, address: toToken, decimals: toDecimals };
+
+      const wbnb = { symbol: 'WBNB', address: config.WBNB_ADDRESS };
+      const candidates = await this.buildRouteCandidates(from, to, [wbnb], true);
+      const amountIn = this.parseTokenAmountSafe(amount, fromDecimals);
+      const { quotes: routeQuotes, rejected } = await this.quoteRouteCandidates(candidates, amountIn, toDecimals);
+      if (routeQuotes.length === 0) {
+        return { success: false, error: `${fromSymbol} 与 ${toSymbol} 之间没有可用的交易路径`, rejectedQuotes: rejected };
+      }
+
+      // 1 BNB 折合的卖出代币数量，用于把 Gas 折算为代币；价格不可用时只按报价排序
+      const priceInBNB = fromPrice.success ? parseFloat(fromPrice.priceInBNB) : 0;
+      const quotes = this.rankByNetOutput(routeQuotes.map(quote => ({
+        version: quote.version,
+        expectedAmount: parseFloat(quote.expectedAmount),
+        quote,
+        liquidityInfo: null
+      })), parseFloat(amount), true, priceInBNB > 0 ? 1 / priceInBNB : 0);
+      const bestRoute = quotes[0];
+      const worstAmount = Math.min(...quotes.map(q => q.expectedAmount));
+
+      console.log(`💡 换仓最优路由: ${this.describeRoute(bestRoute.quote)}，预期获得 ${bestRoute.expectedAmount} ${toSymbol}`);
+
+      return {
+        success: true,
+        from,
+        to,
+        bnbValue: priceInBNB > 0 ? parseFloat(amount) * priceInBNB : null,
+        bestRoute: bestRoute.quote,
+        allQuotes: quotes,
+        rejectedQuotes: rejected,
+        comparison: {
+          totalQuotes: quotes.length,
+          totalRejected: rejected.length,
+          bestPrice: bestRoute.expectedAmount,
+          bestNetAmount: bestRoute.netAmount,
+          improvement: quotes.length > 1 ? ((bestRoute.expectedAmount - worstAmount) / worstAmount * 100).toFixed(2) + '%' : '0%'
+        }
+      };
+    } catch (error) {
+      console.error('换仓路由比较失败:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 换仓：把 fromToken 直接兑换为 toToken (一笔交易、一次 Gas)，授权处理与卖出相同。
+   * 风控按卖出数量折合的 BNB 检查 toToken 的买入限额，交易历史记录为关联的卖出+买入并结转持仓成本。
+   * options.minAmountOut 为确认卡片上的最少获得数量，重新报价低于它时取消交易
+   */
+  async smartSwapTokens(fromToken, toToken, amount, options = {}) {
+    try {
+      console.log(`🔁 换仓: ${amount} ${fromToken} → ${toToken}`);
+
+      const tradingCheck = this.checkTradingAllowed();
+      if (!tradingCheck.allowed) {
+        return this.auditTrade('swap', fromToken, amount, { success: false, error: tradingCheck.error });
+      }
+
+      const amountNum = parseFloat(amount);
+      if (isNaN(amountNum) || amountNum <= 0) {
+        return this.auditTrade('swap', fromToken, amount, { success: false, error: '❌ 无效的代币数量' });
+      }
+      if (fromToken.toLowerCase() === toToken.toLowerCase()) {
+        return this.auditTrade('swap', fromToken, amount, { success: false, error: '❌ 卖出和买入的代币不能相同' });
+      }
+
+      const [fromValid, toValid] = await Promise.all([
+        this.isValidTokenAddress(fromToken),
+        this.isValidTokenAddress(toToken)
+      ]);
+      if (!fromValid || !toValid) {
+        return this.auditTrade('swap', fromToken, amount, { success: false, error: '❌ 无效的代币地址' });
+      }
+
+      const balanceNum = parseFloat(await this.getTokenBalance(fromToken));
+      if (balanceNum < amountNum) {
+        return this.auditTrade('swap', fromToken, amount, { success: false, error: `余额不足: ${balanceNum.toFixed(6)}` });
+      }
+
+      const routeResult = await this.getSwapRoute(fromToken, toToken, amount);
+      if (!routeResult.success) {
+        return this.auditTrade('swap', fromToken, amount, { success: false, error: `❌ ${routeResult.error}` });
+      }
+      if (routeResult.bnbValue === null) {
+        return this.auditTrade('swap', fromToken, amount, { success: false, error: '❌ 无法获取卖出代币的BNB价格，无法进行风控检查' });
+      }
+
+      const riskCheck = this.checkBuyRisk(toToken, routeResult.bnbValue, { source: 'swap' });
+      if (!riskCheck.allowed) {
+        return this.auditTrade('swap', fromToken, amount, { success: false, error: riskCheck.error, limit: riskCheck.limit });
+      }
+
+      const taxCheck = await this.simulateTokenTax(toToken, routeResult.bnbValue);
+      if (taxCheck.blocked) {
+        return this.auditTrade('swap', fromToken, amount, { success: false, error: `⛔ ${taxCheck.blockReason}`, taxCheck });
+      }
+
+      const { from, to, bestRoute } = routeResult;
+      await this.updateGasPrice();
+
+      const amountIn = this.parseTokenAmountSafe(amount, from.decimals);
+      const quoted = await this.quotePathRoute(bestRoute, amountIn);
+      const floor = await this.resolveAmountOutFloor(parseFloat(ethers.formatUnits(quoted, to.decimals)), toToken, options);
+      if (!floor.success) {
+        return this.auditTrade('swap', fromToken, amount, { success: false, error: floor.error });
+      }
+      const amountOutMin = this.getAmountOutMin(quoted, floor.options);
+      const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+      const txOptions = {
+        gasPrice: this.parseUnitsSafe(this.settings.gasPrice, 'gwei'),
+        gasLimit: this.settings.gasLimit
+      };
+
+      let tx;
+      if (bestRoute.version === 'v2') {
+        await this.ensureAllowance(fromToken, this.routerV2Address, amountIn);
+        tx = await this.routerV2.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+          amountIn, amountOutMin, bestRoute.path, this.wallet.address, deadline, txOptions
+        );
+      } else {
+        await this.ensureAllowance(fromToken, this.routerV3Address, amountIn);
+        tx = await this.routerV3.exactInput({
+          path: bestRoute.encodedPath,
+          recipient: this.wallet.address,
+          deadline,
+          amountIn,
+          amountOutMinimum: amountOutMin
+        }, txOptions);
+      }
+
+      const receipt = await tx.wait();
+      if (receipt.status !== 1) {
+        return this.auditTrade('swap', fromToken, amount, { success: false, error: '❌ 交易失败' });
+      }
+
+      const expectedAmount = ethers.formatUnits(quoted, to.decimals);
+      const gasUsed = receipt.gasUsed.toString();
+      this.addTradedToken(toToken);
+      const remain = await this.getTokenBalance(fromToken);
+      if (parseFloat(remain) === 0) {
+        this.removeTradedToken(fromToken);
+      }
+
+      const record = this.recordSwapTrade(
+        { tokenAddress: fromToken, symbol: from.symbol, amount },
+        { tokenAddress: toToken, symbol: to.symbol, amount: expectedAmount },
+        gasUsed,
+        tx.hash,
+        routeResult.bnbValue
+      );
+
+      return this.auditTrade('swap', fromToken, amount, {
+        success: true,
+        txHash: tx.hash,
+        message: `✅ 成功将 ${amount} ${from.symbol} 换为 ${to.symbol}`,
+        fromSymbol: from.symbol,
+        toSymbol: to.symbol,
+        expectedAmount,
+        carriedCost: record ? record.carriedCost : null,
+        gasUsed,
+        routeOptimization: {
+          selectedRoute: this.describeRoute(bestRoute),
+          priceImprovement: routeResult.comparison.improvement,
+          quotesCompared: routeResult.comparison.totalQuotes
+        }
+      });
+    } catch (error) {
+      console.error('换仓失败:', error);
+      return this.auditTrade('swap', fromToken, amount, { success: false, error: this.parseContractError(error) });
+    }
+  }
+
+  /**
+   * 记录交易结果到审计日志（路由、交易哈希、结果），并原样返回结果
+   */
+  auditTrade(side, tokenAddress, amount, result) {
+    this.auditLog.record('trade', {
+      side,
+      tokenAddress,
+      amount: String(amount),
+      route: result.routeOptimization?.selectedRoute || null,
+      txHash: result.txHash || null,
+      success: result.success,
+      error: result.success ? undefined : result.error
+    });
+    return result;
+  }
+
+  /**
+   * 确保路由器拥有足够的代币授权，授权数量由 approvalPolicy 决定：
+   * exact - 仅授权本次数量，buffered - 额外授权 APPROVAL_BUFFER_PERCENT%，unlimited - 无限授权
+   */
+  async ensureAllowance(tokenAddress, spender, amountIn) {
+    const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, this.wallet);
+    const allowance = await tokenContract.allowance(this.wallet.address, spender);
+    if (allowance >= amountIn) {
+      return;
+    }
+
+    let approveAmount;
+    switch (this.settings.approvalPolicy) {
+      case 'unlimited':
+        approveAmount = ethers.MaxUint256;
+        break;
+      case 'buffered':
+        approveAmount = amountIn * BigInt(100 + config.APPROVAL_BUFFER_PERCENT) / BigInt(100);
+        break;
+      default:
+        approveAmount = amountIn;
+    }
+
+    console.log(`授权代币 (${this.settings.approvalPolicy}): ${tokenAddress} -> ${spender}`);
+    const approveTx = await tokenContract.approve(spender, approveAmount, {
+      gasPrice: this.parseUnitsSafe(this.settings.gasPrice, 'gwei')
+    });
+    await approveTx.wait();
+
+    this.auditLog.record('approval', {
+      tokenAddress,
+      spender,
+      amount: approveAmount === ethers.MaxUint256 ? 'unlimited' : approveAmount.toString(),
+      policy: this.settings.approvalPolicy,
+      txHash: approveTx.hash
+    });
+  }
+
+  setApprovalPolicy(policy) {
+    if (!APPROVAL_POLICIES.includes(policy)) {
+      return { success: false, error: `未知的授权策略: ${policy}，可选: ${APPROVAL_POLICIES.join(', ')}` };
+    }
+    const oldValue = this.settings.approvalPolicy;
+    this.settings.approvalPolicy = policy;
+    return { success: true, oldValue, newValue: policy };
+  }
+
+  /**
+   * 解析交易基础资产，返回 { valid, symbol, address, error }，BNB 以 WBNB 地址作为路由端点
+   */
+  resolveBaseAsset(asset = 'BNB') {
+    const symbol = String(asset).toUpperCase();
+    if (!BASE_ASSETS.includes(symbol)) {
+      return { valid: false, error: `不支持的基础资产: ${asset}，可选: ${BASE_ASSETS.join(', ')}` };
+    }
+    return { valid: true, symbol, address: symbol === 'BNB' ? config.WBNB_ADDRESS : config.TOKENS[symbol] };
+  }
+
+  /**
+   * 设置 /buy /sell 默认使用的基础资产
+   */
+  setBaseAsset(asset) {
+    const base = this.resolveBaseAsset(asset);
+    if (!base.valid) {
+      return { success: false, error: base.error };
+    }
+    const oldValue = this.settings.baseAsset;
+    this.settings.baseAsset = base.symbol;
+    return { success: true, oldValue, newValue: base.symbol };
+  }
+
+  /**
+   * 基础资产数量折合的 BNB (稳定币按 1 USD 计)，用于风控限额和两步验证阈值。
+   * 获取 BNB/USD 价格失败时返回 null
+   */
+  async getBaseAssetValueInBNB(amount, baseAsset = 'BNB') {
+    if (baseAsset === 'BNB') {
+      return parseFloat(amount);
+    }
+    const bnbPriceUSD = await this.getBNBPrice(true);
+    return bnbPriceUSD ? parseFloat(amount) / bnbPriceUSD : null;
+  }
+
+  /**
+   * 可能留有路由器授权的代币：当前持仓列表、交易历史中出现过的代币 (清仓后已从持仓列表移除)，以及用作支付的稳定币
+   */
+  getApprovalCandidates() {
+    const tokens = new Set(this.getTradedTokens().map(token => token.toLowerCase()));
+    for (const trade of this.getTradingHistory().trades) {
+      if (trade.tokenAddress) {
+        tokens.add(trade.tokenAddress.toLowerCase());
+      }
+      if (trade.baseAsset && trade.baseAsset !== 'BNB' && config.TOKENS[trade.baseAsset]) {
+        tokens.add(config.TOKENS[trade.baseAsset].toLowerCase());
+      }
+    }
+    return [...tokens];
+  }
+
+  /**
+   * 扫描已交易代币对 V2/V3 路由器的当前授权
+   */
+  async getApprovals() {
+    const spenders = [
+      { name: 'V2', address: this.routerV2Address },
+      { name: 'V3', address: this.routerV3Address }
+    ];
+    const approvals = [];
+
+    for (const tokenAddress of this.getApprovalCandidates()) {
+      try {
+        const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+        const [symbol, decimals, ...allowances] = await Promise.all([
+          tokenContract.symbol(),
+          tokenContract.decimals(),
+          ...spenders.map(spender => tokenContract.allowance(this.wallet.address, spender.address))
+        ]);
+
+        allowances.forEach((allowance, i) => {
+          if (allowance === 0n) return;
+          approvals.push({
+            tokenAddress,
+            symbol,
+            spenderName: spenders[i].name,
+            spender: spenders[i].address,
+            unlimited: allowance >= ethers.MaxUint256 / 2n,
+            allowance: ethers.formatUnits(allowance, decimals)
+          });
+        });
+      } catch (error) {
+        console.error(`查询授权失败 ${tokenAddress}:`, error.message);
+      }
+    }
+
+    return approvals;
+  }
+
+  /**
+   * 将授权重置为 0，tokenAddress 为空时撤销所有已交易代币的授权
+   */
+  async revokeApprovals(tokenAddress = null) {
+    if (this.walletLocked) {
+      return { success: false, error: '🔒 钱包已锁定，请在私聊中使用 /unlock <密码> 解锁' };
+    }
+
+    const approvals = (await this.getApprovals())
+      .filter(a => !tokenAddress || a.tokenAddress.toLowerCase() === tokenAddress.toLowerCase());
+
+    const results = [];
+    for (const approval of approvals) {
+      try {
+        const tokenContract = new ethers.Contract(approval.tokenAddress, this.erc20ABI, this.wallet);
+        const tx = await tokenContract.approve(approval.spender, 0, {
+          gasPrice: this.parseUnitsSafe(this.settings.gasPrice, 'gwei')
+        });
+        await tx.wait();
+        results.push({ ...approval, success: true, txHash: tx.hash });
+      } catch (error) {
+        results.push({ ...approval, success: false, error: this.parseContractError(error) });
+      }
+
+      const last = results[results.length - 1];
+      this.auditLog.record('approval_revoked', {
+        tokenAddress: approval.tokenAddress,
+        spender: approval.spender,
+        txHash: last.txHash || null,
+        success: last.success,
+        error: last.error
+      });
+    }
+
+    return { success: true, results };
+  }
+
+  /**
+   * 生成转账预览（数量、目标地址、Gas），用于确认卡片。amount 可以是 'max'
+   */
+  async prepareTransfer(asset, amount, destination) {
+    try {
+      const target = this.addressBook.resolve(destination);
+      if (!target.valid) {
+        return { success: false, error: target.error };
+      }
+      const to = target.entry.address;
+      const isMax = amount.toLowerCase() === 'max';
+      const gasPrice = this.parseUnitsSafe(this.settings.gasPrice, 'gwei');
+      const bnbBalance = await this.provider.getBalance(this.wallet.address);
+
+      if (asset.toUpperCase() === 'BNB') {
+        const gasLimit = 21000n;
+        const gasCost = gasLimit * gasPrice;
+        const amountWei = isMax ? bnbBalance - gasCost : this.parseEtherSafe(amount);
+
+        if (amountWei <= 0n) {
+          return { success: false, error: `❌ BNB余额不足以支付Gas: ${ethers.formatEther(bnbBalance)} BNB` };
+        }
+        if (amountWei + gasCost > bnbBalance) {
+          return { success: false, error: `❌ 余额不足: ${ethers.formatEther(bnbBalance)} BNB (需预留Gas)` };
+        }
+
+        return {
+          success: true,
+          tokenAddress: null,
+          symbol: 'BNB',
+          decimals: 18,
+          amountWei,
+          amount: ethers.formatEther(amountWei),
+          to,
+          alias: target.entry.alias,
+          gasLimit,
+          estimatedGasBNB: ethers.formatEther(gasCost)
+        };
+      }
+
+      const tokenAddress = config.TOKENS[asset.toUpperCase()] || asset;
+      if (!ethers.isAddress(tokenAddress)) {
+        return { success: false, error: '❌ 无效的代币，请使用 BNB、代币符号 (如 USDT) 或代币合约地址' };
+      }
+
+      const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+      const [symbol, decimals, balance] = await Promise.all([
+        tokenContract.symbol(),
+        tokenContract.decimals(),
+        tokenContract.balanceOf(this.wallet.address)
+      ]);
+
+      const amountWei = isMax ? balance : this.parseTokenAmountSafe(amount, decimals);
+      if (amountWei <= 0n) {
+        return { success: false, error: `❌ 没有可转出的 ${symbol}` };
+      }
+      if (amountWei > balance) {
+        return { success: false, error: `❌ 余额不足: ${ethers.formatUnits(balance, decimals)} ${symbol}` };
+      }
+
+      let gasLimit;
+      try {
+        gasLimit = await tokenContract.transfer.estimateGas(to, amountWei, { from: this.wallet.address });
+        gasLimit = gasLimit * 120n / 100n;
+      } catch (error) {
+        gasLimit = 100000n;
+      }
+      const gasCost = gasLimit * gasPrice;
+      if (gasCost > bnbBalance) {
+        return { success: false, error: `❌ BNB余额不足以支付Gas: ${ethers.formatEther(bnbBalance)} BNB` };
+      }
+
+      return {
+        success: true,
+        tokenAddress: ethers.getAddress(tokenAddress),
+        symbol,
+        decimals: Number(decimals),
+        amountWei,
+        amount: ethers.formatUnits(amountWei, decimals),
+        to,
+        alias: target.entry.alias,
+        gasLimit,
+        estimatedGasBNB: ethers.formatEther(gasCost)
+      };
+    } catch (error) {
+      console.error('准备转账失败:', error);
+      return { success: false, error: this.parseContractError(error) };
+    }
+  }
+
+  /**
+   * 执行 prepareTransfer 生成的转账，发送前再次校验白名单
+   */
+  async executeTransfer(transfer, requestedBy = null) {
+    if (this.walletLocked) {
+      return { success: false, error: '🔒 钱包已锁定，请在私聊中使用 /unlock <密码> 解锁' };
+    }
+
+    const target = this.addressBook.resolve(transfer.alias);
+    if (!target.valid || target.entry.address !== transfer.to) {
+      return { success: false, error: target.error || '❌ 白名单地址已变更，请重新发起转账' };
+    }
+
+    const auditDetails = {
+      requestedBy,
+      asset: transfer.symbol,
+      tokenAddress: transfer.tokenAddress,
+      amount: transfer.amount,
+      to: transfer.to,
+      alias: transfer.alias
+    };
+
+    try {
+      const gasPrice = this.parseUnitsSafe(this.settings.gasPrice, 'gwei');
+      let tx;
+      if (transfer.tokenAddress) {
+        const tokenContract = new ethers.Contract(transfer.tokenAddress, this.erc20ABI, this.wallet);
+        tx = await tokenContract.transfer(transfer.to, transfer.amountWei, { gasLimit: transfer.gasLimit, gasPrice });
+      } else {
+        tx = await this.wallet.sendTransaction({ to: transfer.to, value: transfer.amountWei, gasLimit: transfer.gasLimit, gasPrice });
+      }
+
+      const receipt = await tx.wait();
+      const success = receipt.status === 1;
+      this.auditLog.record('transfer', { ...auditDetails, txHash: tx.hash, success });
+
+      if (!success) {
+        return { success: false, error: '❌ 转账失败', txHash: tx.hash };
+      }
+      if (transfer.tokenAddress) {
+        const remain = await this.getTokenBalance(transfer.tokenAddress);
+        if (parseFloat(remain) === 0) {
+          this.removeTradedToken(transfer.tokenAddress);
+        }
+      }
+      return { success: true, txHash: tx.hash, gasUsed: receipt.gasUsed.toString() };
+    } catch (error) {
+      console.error('转账失败:', error);
+      const message = this.parseContractError(error);
+      this.auditLog.record('transfer', { ...auditDetails, txHash: null, success: false, error: message });
+      return { success: false, error: message };
+    }
+  }
+
+  /**
+   * 获取交易前报价摘要（用于确认卡片）。bnbValue 为交易折合的 BNB 价值 (买入为支付数量，卖出为预期获得数量)，
+   * 稳定币基础资产按 BNB/USD 价格折算，获取失败时为 null
+   */
+  async getTradeQuote(tokenAddress, amount, isBuy = true, baseAsset = 'BNB') {
+    try {
+      const routeResult = await this.getBestRoute(tokenAddress, amount, isBuy, baseAsset);
+      if (!routeResult.success) {
+        return { success: false, error: routeResult.error };
+      }
+
+      const tokenContract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+      const symbol = await tokenContract.symbol();
+      await this.updateGasPrice();
+
+      const bestRoute = routeResult.bestRoute;
+      const split = baseAsset === 'BNB' ? await this.getSplitRoute(tokenAddress, amount, isBuy, routeResult) : null;
+      const expectedAmount = split ? split.expectedAmount : parseFloat(bestRoute.expectedAmount);
+      const minimumAmount = expectedAmount * (100 - this.settings.slippage) / 100;
+      // 按Gas上限估算 (拆单时每笔各一次)，实际消耗通常更低
+      const estimatedGasBNB = this.settings.gasLimit * this.settings.gasPrice / 1e9 * (split ? split.legs.length : 1);
+      const bnbValue = isBuy
+        ? await this.getBaseAssetValueInBNB(amount, baseAsset)
+        : await this.getBaseAssetValueInBNB(expectedAmount, baseAsset);
+      const taxCheck = await this.simulateTokenTax(tokenAddress, bnbValue || undefined);
+
+      return {
+        success: true,
+        symbol,
+        baseAsset,
+        route: split ? this.describeSplit(split) : this.describeRoute(bestRoute),
+        split,
+        expectedAmount,
+        minimumAmount,
+        bnbValue,
+        slippage: this.settings.slippage,
+        estimatedGasBNB,
+        liquidity: routeResult.bestLiquidity,
+        taxCheck,
+        quotedAt: Date.now()
+      };
+    } catch (error) {
+      console.error('获取交易报价失败:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * 获取代币的最优价格信息（用于价格查询）
    */
@@ -2389,7 +4381,7 @@ ${priceInfo}${profitMessage}🔗 交易: https://bscscan.com/tx/${txHash}
         bestRoute: routeResult.bestRoute,
         liquidityInfo: routeResult.liquidityInfo,
         priceComparison: routeResult.allQuotes.map(q => ({
-          version: q.version.toUpperCase() + (q.quote.fee ? ` (${q.quote.fee/10000}%)` : ''),
+          version: this.describeRoute(q.quote),
           price: q.expectedAmount,
           isBest: q.quote === routeResult.bestRoute
         })),
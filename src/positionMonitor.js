@@ -0,0 +1,373 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const config = require('./config');
+
+const EXIT_LABELS = {
+  stopLoss: '止损',
+  takeProfit: '止盈',
+  trailing: '移动止损'
+};
+
+// 触发后卖出连续失败达到该次数才取消价位；每次失败后按 EXIT_RETRY_BASE_MS 指数退避再重试
+const MAX_EXIT_FAILURES = 3;
+const EXIT_RETRY_BASE_MS = 30 * 1000;
+
+/**
+ * 持仓退出规则监控：为 HOLDING 持仓设置止损/止盈/移动止损，定时用 getBestRoute(..., false)
+ * 获取卖出报价，触发后通过 smartSellOptimal 卖出。
+ * 价位可以是相对成本价的百分比 ({ type: 'percent', value })，
+ * 也可以是绝对价格 ({ type: 'price', value, unit: 'BNB' | 'USD' })。
+ * 移动止损 ({ percent, portion, peakPrice }) 跟踪卖出报价的最高价，从最高价回落 percent% 时卖出 portion% 的持仓
+ */
+class PositionMonitor {
+  /**
+   * @param {OptimizedTradeManager} tradeManager
+   * @param {Function} notify (chatId, message) => Promise
+   */
+  constructor(tradeManager, notify) {
+    this.tradeManager = tradeManager;
+    this.notify = notify;
+    this.rulesFile = path.join(__dirname, '..', 'position-exits.json');
+    this.rules = this.loadRules();
+    this.task = null;
+    this.checking = false;
+  }
+
+  loadRules() {
+    try {
+      if (fs.existsSync(this.rulesFile)) {
+        return JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('读取止盈止损设置失败:', error);
+    }
+    return {};
+  }
+
+  saveRules() {
+    fs.writeFileSync(this.rulesFile, JSON.stringify(this.rules, null, 2));
+  }
+
+  start() {
+    if (this.task) return;
+    this.task = cron.schedule(config.POSITION_MONITOR_CRON, () => this.checkPositions());
+    console.log(`🛡️ 持仓监控已启动 (${config.POSITION_MONITOR_CRON})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * 设置或清除 (level 为 null) 止损/止盈，返回 { success, rule, position, error }
+   */
+  setExitLevel(tokenAddress, kind, level, chatId) {
+    const normalized = tokenAddress.toLowerCase();
+    const position = this.tradeManager.getPosition(normalized);
+    if (!position) {
+      return { success: false, error: '没有该代币的持仓记录 (trading-history.json 中无 HOLDING 买入)' };
+    }
+
+    if (level && level.type === 'percent' && kind === 'stopLoss' && level.value >= 100) {
+      return { success: false, error: '止损百分比必须小于 100%' };
+    }
+
+    const rule = this.rules[normalized] || { tokenAddress: normalized, symbol: position.symbol };
+    rule.chatId = chatId;
+    rule[kind] = level;
+    rule.updatedAt = new Date().toISOString();
+
+    if (!this.hasActiveExit(rule)) {
+      delete this.rules[normalized];
+    } else {
+      this.rules[normalized] = rule;
+    }
+    this.saveRules();
+    return { success: true, rule, position };
+  }
+
+  /**
+   * 设置移动止损，以当前卖出报价作为初始最高价，返回 { success, rule, position, quote, error }
+   */
+  async setTrailingStop(tokenAddress, percent, portion, chatId) {
+    const normalized = tokenAddress.toLowerCase();
+    const position = this.tradeManager.getPosition(normalized);
+    if (!position) {
+      return { success: false, error: '没有该代币的持仓记录 (trading-history.json 中无 HOLDING 买入)' };
+    }
+    if (!(percent > 0 && percent < 100)) {
+      return { success: false, error: '回撤百分比必须在 0 到 100 之间' };
+    }
+    if (!(portion > 0 && portion <= 100)) {
+      return { success: false, error: '卖出比例必须在 0 到 100% 之间' };
+    }
+
+    const quote = await this.getSellQuote(position);
+    if (!quote) {
+      return { success: false, error: '无法获取该代币的卖出报价，请检查余额和流动性' };
+    }
+
+    const rule = this.rules[normalized] || { tokenAddress: normalized, symbol: position.symbol };
+    rule.chatId = chatId;
+    rule.trailing = {
+      percent,
+      portion,
+      peakPrice: quote.priceBNB,
+      peakAt: new Date().toISOString()
+    };
+    rule.updatedAt = new Date().toISOString();
+    this.rules[normalized] = rule;
+    this.saveRules();
+    return { success: true, rule, position, quote };
+  }
+
+  clearTrailingStop(tokenAddress) {
+    const rule = this.rules[tokenAddress.toLowerCase()];
+    if (!rule || !rule.trailing) {
+      return { success: false, error: '该代币没有设置移动止损' };
+    }
+    rule.trailing = null;
+    if (!this.hasActiveExit(rule)) {
+      delete this.rules[rule.tokenAddress];
+    }
+    this.saveRules();
+    return { success: true, rule };
+  }
+
+  hasActiveExit(rule) {
+    return Boolean(rule.stopLoss || rule.takeProfit || rule.trailing);
+  }
+
+  getTrailingStopPrice(trailing) {
+    return trailing.peakPrice * (1 - trailing.percent / 100);
+  }
+
+  getRules(chatId = null) {
+    return Object.values(this.rules).filter(rule => chatId === null || rule.chatId === chatId);
+  }
+
+  /**
+   * 价位对应的每代币价格 (与 unit 相同的计价单位)
+   */
+  getTriggerPrice(level, kind, entryPrice) {
+    if (level.type === 'percent') {
+      return kind === 'stopLoss'
+        ? entryPrice * (1 - level.value / 100)
+        : entryPrice * (1 + level.value / 100);
+    }
+    return level.value;
+  }
+
+  /**
+   * 价位的显示文本，提供成本价时附带百分比对应的价格
+   */
+  describeLevel(level, kind, entryPrice = null) {
+    if (!level) return '未设置';
+    if (level.type === 'percent') {
+      const sign = kind === 'stopLoss' ? '-' : '+';
+      const priceText = entryPrice ? ` (≈ ${this.getTriggerPrice(level, kind, entryPrice).toPrecision(6)} BNB)` : '';
+      return `${sign}${level.value}%${priceText}`;
+    }
+    return `${level.value} ${level.unit}`;
+  }
+
+  isTriggered(kind, currentPrice, triggerPrice) {
+    return kind === 'stopLoss' ? currentPrice <= triggerPrice : currentPrice >= triggerPrice;
+  }
+
+  /**
+   * 获取持仓的可卖数量和当前卖出报价，返回 { sellAmount, quoteBNB, priceBNB }
+   */
+  async getSellQuote(position) {
+    const balance = await this.tradeManager.getTokenBalance(position.tokenAddress);
+    // 交易记录中的数量可能因转账税等原因多于实际余额
+    const sellAmount = parseFloat(balance) < position.tokenAmount ? balance : position.tokenAmount.toString();
+    if (!(parseFloat(sellAmount) > 0)) {
+      return null;
+    }
+
+    const routeResult = await this.tradeManager.getBestRoute(position.tokenAddress, sellAmount, false);
+    if (!routeResult.success) {
+      return null;
+    }
+
+    const quoteBNB = parseFloat(routeResult.bestRoute.expectedAmount);
+    if (!(quoteBNB > 0)) {
+      return null;
+    }
+    return { sellAmount, quoteBNB, priceBNB: quoteBNB / parseFloat(sellAmount) };
+  }
+
+  async checkPositions() {
+    if (this.checking) return;
+
+    const rules = Object.values(this.rules);
+    if (rules.length === 0) return;
+    if (!this.tradeManager.checkTradingAllowed().allowed) return;
+
+    this.checking = true;
+    try {
+      const needsUsd = rules.some(rule =>
+        [rule.stopLoss, rule.takeProfit].some(level => level && level.unit === 'USD'));
+      const bnbPriceUSD = needsUsd ? await this.tradeManager.getBNBPrice(true) : null;
+
+      for (const rule of rules) {
+        try {
+          await this.checkRule(rule, bnbPriceUSD);
+        } catch (error) {
+          console.error(`检查持仓 ${rule.symbol} 失败:`, error.message);
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async checkRule(rule, bnbPriceUSD) {
+    const position = this.tradeManager.getPosition(rule.tokenAddress);
+    if (!position) {
+      // 持仓已经手动卖出，退出规则随之失效
+      console.log(`🛡️ ${rule.symbol} 已无持仓，移除止盈止损设置`);
+      delete this.rules[rule.tokenAddress];
+      this.saveRules();
+      return;
+    }
+
+    const quote = await this.getSellQuote(position);
+    if (!quote) return;
+
+    for (const kind of ['stopLoss', 'takeProfit']) {
+      const level = rule[kind];
+      if (!level) continue;
+
+      let currentPrice = quote.priceBNB;
+      if (level.unit === 'USD') {
+        if (!bnbPriceUSD) continue; // BNB/USD 价格获取失败时不触发 USD 价位
+        currentPrice = quote.priceBNB * bnbPriceUSD;
+      }
+
+      const triggerPrice = this.getTriggerPrice(level, kind, position.entryPrice);
+      if (this.isTriggered(kind, currentPrice, triggerPrice)) {
+        await this.executeExit(rule, kind, position, quote.sellAmount, currentPrice);
+        return;
+      }
+      this.resetExitFailures(level);
+    }
+
+    if (rule.trailing) {
+      await this.checkTrailingStop(rule, position, quote);
+    }
+  }
+
+  /**
+   * 更新最高价 (持久化以便重启后继续跟踪)，回落到止损线时卖出设置的比例
+   */
+  async checkTrailingStop(rule, position, quote) {
+    const trailing = rule.trailing;
+    if (quote.priceBNB > trailing.peakPrice) {
+      trailing.peakPrice = quote.priceBNB;
+      trailing.peakAt = new Date().toISOString();
+      this.saveRules();
+      return;
+    }
+
+    if (quote.priceBNB <= this.getTrailingStopPrice(trailing)) {
+      const sellAmount = trailing.portion >= 100
+        ? quote.sellAmount
+        : (parseFloat(quote.sellAmount) * trailing.portion / 100).toString();
+      await this.executeExit(rule, 'trailing', position, sellAmount, quote.priceBNB);
+    } else {
+      this.resetExitFailures(trailing);
+    }
+  }
+
+  /**
+   * 价格回到触发线以外时清除之前的卖出失败记录，下次触发重新计数
+   */
+  resetExitFailures(level) {
+    if (!level.failures) return;
+    delete level.failures;
+    delete level.lastError;
+    delete level.retryAt;
+    this.saveRules();
+  }
+
+  async executeExit(rule, kind, position, sellAmount, currentPrice) {
+    const label = EXIT_LABELS[kind];
+    const level = rule[kind];
+    const unit = level.unit || 'BNB';
+    if (level.retryAt && Date.now() < new Date(level.retryAt).getTime()) {
+      return;
+    }
+    console.log(`🛡️ ${rule.symbol} 触发${label}: 当前 ${currentPrice} ${unit}`);
+
+    const result = await this.tradeManager.smartSellOptimal(rule.tokenAddress, sellAmount);
+
+    this.tradeManager.auditLog.record('position_exit', {
+      chatId: rule.chatId,
+      tokenAddress: rule.tokenAddress,
+      kind,
+      level,
+      currentPrice,
+      sellAmount,
+      txHash: result.txHash || null,
+      success: result.success,
+      error: result.success ? undefined : result.error
+    });
+
+    // 卖出成功后移除该价位，移动止损只卖出部分时保留其他价位；
+    // 失败时保留价位并退避重试 (滑点回滚、RPC 错误、nonce 冲突通常是暂时的)，连续失败 MAX_EXIT_FAILURES 次才取消
+    let gaveUp = false;
+    if (result.success) {
+      rule[kind] = null;
+    } else {
+      level.failures = (level.failures || 0) + 1;
+      level.lastError = result.error;
+      level.retryAt = new Date(Date.now() + EXIT_RETRY_BASE_MS * 2 ** (level.failures - 1)).toISOString();
+      if (level.failures >= MAX_EXIT_FAILURES) {
+        rule[kind] = null;
+        gaveUp = true;
+      }
+    }
+    const fullExit = result.success && !(kind === 'trailing' && level.portion < 100);
+    if (fullExit || !this.hasActiveExit(rule)) {
+      delete this.rules[rule.tokenAddress];
+    }
+    this.saveRules();
+
+    let message;
+    if (result.success) {
+      const profit = result.profitInfo;
+      const pnlLine = profit
+        ? `${profit.profit >= 0 ? '📈' : '📉'} 已实现盈亏: ${profit.profit >= 0 ? '+' : ''}${profit.profit.toFixed(6)} BNB (${profit.profitPercentage.toFixed(2)}%)`
+        : '📊 已实现盈亏: 无法计算';
+      const levelLines = kind === 'trailing'
+        ? `🏔️ 最高价: ${level.peakPrice.toPrecision(6)} BNB (${new Date(level.peakAt).toLocaleString()})\n` +
+          `📉 回撤: ${level.percent}%，止损线: ${this.getTrailingStopPrice(level).toPrecision(6)} BNB\n` +
+          `🚪 退出价: ${currentPrice.toPrecision(6)} BNB (成本价 ${position.entryPrice.toPrecision(6)} BNB)\n`
+        : `🎯 ${label}价位: ${this.describeLevel(level, kind, position.entryPrice)}\n` +
+          `📊 成本价: ${position.entryPrice.toPrecision(6)} BNB，触发价: ${currentPrice.toPrecision(6)} ${unit}\n`;
+      message = `🛡️ ${rule.symbol} 触发${label}，已卖出\n\n` +
+        `💸 卖出: ${sellAmount} ${rule.symbol}${kind === 'trailing' && level.portion < 100 ? ` (${level.portion}%)` : ''}\n` +
+        levelLines +
+        `${pnlLine}\n` +
+        `🔗 https://bscscan.com/tx/${result.txHash}`;
+    } else if (gaveUp) {
+      message = `❌ ${rule.symbol} 触发${label}但卖出连续失败 ${level.failures} 次\n\n最近原因: ${result.error}\n\n该${label}已取消，持仓不再受保护，请检查后重新设置`;
+    } else {
+      message = `⚠️ ${rule.symbol} 触发${label}但卖出失败 (${level.failures}/${MAX_EXIT_FAILURES})\n\n原因: ${result.error}\n\n${label}仍然有效，将在 ${new Date(level.retryAt).toLocaleTimeString()} 后的下一次检查时重试`;
+    }
+
+    try {
+      await this.notify(rule.chatId, message);
+    } catch (error) {
+      console.error('发送止盈止损通知失败:', error.message);
+    }
+  }
+}
+
+module.exports = PositionMonitor;
@@ -0,0 +1,60 @@
+const config = require('./config');
+
+/**
+ * 按聊天的令牌桶限流：桶容量决定允许的突发次数，令牌按固定速率补充
+ */
+class RateLimiter {
+  constructor(capacity = config.RATE_LIMIT_BURST, refillPerMinute = config.RATE_LIMIT_PER_MINUTE) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.buckets = new Map(); // chatId -> { tokens, updatedAt, notified }
+  }
+
+  refill(bucket, now) {
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * 尝试消耗令牌，返回 { allowed, retryAfter, firstRejection }
+   * firstRejection 表示本轮限流的第一次拒绝，调用方只需提示一次
+   */
+  consume(chatId, cost = 1) {
+    const key = chatId.toString();
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      if (this.buckets.size >= 1000) this.prune();
+      bucket = { tokens: this.capacity, updatedAt: now, notified: false };
+      this.buckets.set(key, bucket);
+    }
+
+    this.refill(bucket, now);
+
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+      bucket.notified = false;
+      return { allowed: true };
+    }
+
+    const retryAfter = Math.ceil((cost - bucket.tokens) / this.refillPerMs / 1000);
+    const firstRejection = !bucket.notified;
+    bucket.notified = true;
+    return { allowed: false, retryAfter, firstRejection };
+  }
+
+  /**
+   * 清理已经回满的桶，避免长期运行时内存增长
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      this.refill(bucket, now);
+      if (bucket.tokens >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = RateLimiter;
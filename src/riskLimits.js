@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// 可调整的限额项，值为 0 表示不限制
+const LIMIT_DEFINITIONS = {
+  maxTradeAmount: { alias: 'maxtrade', label: '单笔最大买入', unit: 'BNB' },
+  dailySpendLimit: { alias: 'daily', label: '24小时累计买入', unit: 'BNB' },
+  maxTokenExposure: { alias: 'exposure', label: '单个代币最大持仓成本', unit: 'BNB' },
+  maxOpenPositions: { alias: 'positions', label: '最大持仓代币数', unit: '个' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RiskLimits {
+  /**
+   * @param {Function} getTradingHistory 返回 trading-history.json 内容的函数
+   */
+  constructor(getTradingHistory) {
+    this.getTradingHistory = getTradingHistory;
+    this.limitsFile = path.join(__dirname, '..', 'risk-limits.json');
+    this.limits = this.loadLimits();
+  }
+
+  /**
+   * 读取限额配置，文件不存在时使用环境变量默认值
+   */
+  loadLimits() {
+    const defaults = {
+      maxTradeAmount: config.MAX_TRADE_AMOUNT || 0,
+      dailySpendLimit: config.DAILY_SPEND_LIMIT || 0,
+      maxTokenExposure: config.MAX_TOKEN_EXPOSURE || 0,
+      maxOpenPositions: config.MAX_OPEN_POSITIONS || 0
+    };
+
+    try {
+      if (fs.existsSync(this.limitsFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.limitsFile, 'utf8'));
+        return { ...defaults, ...saved };
+      }
+    } catch (error) {
+      console.error('读取风控限额失败:', error);
+    }
+    return defaults;
+  }
+
+  /**
+   * 通过别名修改限额并持久化
+   */
+  setLimit(alias, value) {
+    const key = Object.keys(LIMIT_DEFINITIONS).find(k => LIMIT_DEFINITIONS[k].alias === alias);
+    if (!key) {
+      return { success: false, error: `未知的限额项: ${alias}` };
+    }
+
+    const numValue = parseFloat(value);
+    if (isNaN(numValue) || numValue < 0) {
+      return { success: false, error: '限额必须是大于等于 0 的数字 (0 表示不限制)' };
+    }
+
+    const oldValue = this.limits[key];
+    this.limits[key] = key === 'maxOpenPositions' ? Math.floor(numValue) : numValue;
+    fs.writeFileSync(this.limitsFile, JSON.stringify(this.limits, null, 2));
+
+    return { success: true, key, label: LIMIT_DEFINITIONS[key].label, oldValue, newValue: this.limits[key] };
+  }
+
+  /**
+   * 根据交易历史统计当前风险敞口
+   */
+  getUsage(tokenAddress = null) {
+    const history = this.getTradingHistory();
+    const since = Date.now() - DAY_MS;
+    const normalizedToken = tokenAddress ? tokenAddress.toLowerCase() : null;
+
+    let spent24h = 0;
+    let tokenExposure = 0;
+    const openTokens = new Set();
+
+    for (const trade of history.trades) {
+      if (trade.type !== 'BUY') continue;
+
+      // 换仓生成的买入记录结转的是原持仓成本，没有花费新的 BNB
+      if (trade.source !== 'swap' && new Date(trade.timestamp).getTime() >= since) {
+        // 部分卖出会减少 bnbAmount，花费统计使用买入时的原始金额
+        spent24h += trade.initialBnbAmount ?? trade.bnbAmount;
+      }
+
+      if (trade.status === 'HOLDING') {
+        openTokens.add(trade.tokenAddress);
+        if (trade.tokenAddress === normalizedToken) {
+          tokenExposure += trade.bnbAmount;
+        }
+      }
+    }
+
+    return {
+      spent24h,
+      tokenExposure,
+      openPositions: openTokens.size,
+      holdsToken: normalizedToken ? openTokens.has(normalizedToken) : false
+    };
+  }
+
+  /**
+   * 检查买入是否超出限额，应在路由之前调用。换仓 (options.source 为 'swap') 不花费 BNB，不检查每日花费限额
+   */
+  checkBuy(tokenAddress, bnbAmount, options = {}) {
+    const amount = parseFloat(bnbAmount);
+    const { maxTradeAmount, dailySpendLimit, maxTokenExposure, maxOpenPositions } = this.limits;
+    const usage = this.getUsage(tokenAddress);
+
+    if (maxTradeAmount > 0 && amount > maxTradeAmount) {
+      return this.blocked('maxTradeAmount', `本次 ${amount} BNB > 限额 ${maxTradeAmount} BNB`);
+    }
+
+    if (dailySpendLimit > 0 && options.source !== 'swap' && usage.spent24h + amount > dailySpendLimit) {
+      return this.blocked('dailySpendLimit',
+        `已用 ${usage.spent24h.toFixed(4)} BNB + 本次 ${amount} BNB > 限额 ${dailySpendLimit} BNB`);
+    }
+
+    if (maxTokenExposure > 0 && usage.tokenExposure + amount > maxTokenExposure) {
+      return this.blocked('maxTokenExposure',
+        `当前持仓成本 ${usage.tokenExposure.toFixed(4)} BNB + 本次 ${amount} BNB > 限额 ${maxTokenExposure} BNB`);
+    }
+
+    if (maxOpenPositions > 0 && !usage.holdsToken && usage.openPositions >= maxOpenPositions) {
+      return this.blocked('maxOpenPositions',
+        `当前已持有 ${usage.openPositions} 个代币，限额 ${maxOpenPositions} 个`);
+    }
+
+    return { allowed: true };
+  }
+
+  blocked(key, detail) {
+    return {
+      allowed: false,
+      limit: key,
+      error: `🚫 超出风控限额 - ${LIMIT_DEFINITIONS[key].label}: ${detail}`
+    };
+  }
+
+  /**
+   * 生成限额和使用情况摘要
+   */
+  getSummary() {
+    const usage = this.getUsage();
+    return Object.keys(LIMIT_DEFINITIONS).map(key => {
+      const def = LIMIT_DEFINITIONS[key];
+      const value = this.limits[key];
+      let used = null;
+      if (key === 'dailySpendLimit') used = usage.spent24h.toFixed(4);
+      if (key === 'maxOpenPositions') used = usage.openPositions;
+      return {
+        key,
+        alias: def.alias,
+        label: def.label,
+        unit: def.unit,
+        value: value > 0 ? value : null,
+        used
+      };
+    });
+  }
+}
+
+module.exports = RiskLimits;
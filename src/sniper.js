@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('./config');
+
+// 与 checkV2Liquidity / checkV3Liquidity 使用的工厂合约相同
+const V2_FACTORY_ADDRESS = '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73';
+const V3_FACTORY_ADDRESS = '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865';
+const V3_FEE_TIERS = [2500, 500, 10000];
+const NOTICE_MIN_INTERVAL_MS = 60 * 1000; // 同一狙击两次等待通知的最小间隔
+
+const V2_FACTORY_ABI = [
+  "event PairCreated(address indexed token0, address indexed token1, address pair, uint)",
+  "function getPair(address tokenA, address tokenB) external view returns (address pair)"
+];
+const V3_FACTORY_ABI = [
+  "event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)",
+  "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)"
+];
+const V2_PAIR_ABI = [
+  "event Sync(uint112 reserve0, uint112 reserve1)"
+];
+const V3_POOL_ABI = [
+  "event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)"
+];
+
+/**
+ * 开盘狙击：监听 V2 工厂的 PairCreated、V3 工厂的 PoolCreated 以及已有池子的 Sync/Mint 事件，
+ * 代币与 WBNB 的直连池通过 MIN_ABSOLUTE_LIQUIDITY 流动性检查且价格影响不超过上限时，通过 smartBuyOptimal 买入一次。
+ * 买入前通过 simulateTokenTax 模拟买卖，买入税超过上限或无法卖出时继续等待；
+ * 同时把税率上限叠加到滑点上，实际到账数量低于报价扣除滑点和税率上限时交易回滚。
+ * 狙击保存在 snipes.json，重启后重新监听
+ */
+class SniperManager {
+  /**
+   * @param {OptimizedTradeManager} tradeManager
+   * @param {Function} notify (chatId, message) => Promise，用于发送触发和执行结果
+   */
+  constructor(tradeManager, notify) {
+    this.tradeManager = tradeManager;
+    this.notify = notify;
+    this.snipesFile = path.join(__dirname, '..', 'snipes.json');
+    this.book = this.loadSnipes();
+    this.subscriptions = new Map(); // snipeId -> 已添加监听的合约
+    this.checking = new Set(); // 正在检查或执行的狙击，Sync 事件频繁时避免重复检查
+    this.lastNoticeAt = new Map(); // 狙击 id -> 上次发送等待通知的时间
+    this.provider = null;
+    this.started = false;
+
+    this.recoverInterruptedSnipes();
+  }
+
+  loadSnipes() {
+    try {
+      if (fs.existsSync(this.snipesFile)) {
+        return JSON.parse(fs.readFileSync(this.snipesFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('读取狙击列表失败:', error);
+    }
+    return { nextId: 1, snipes: [] };
+  }
+
+  saveSnipes() {
+    fs.writeFileSync(this.snipesFile, JSON.stringify(this.book, null, 2));
+  }
+
+  /**
+   * 重启前正在买入的狙击无法确认链上结果，标记为失败并提醒用户检查
+   */
+  recoverInterruptedSnipes() {
+    const interrupted = this.book.snipes.filter(s => s.status === 'firing');
+    if (interrupted.length === 0) return;
+
+    interrupted.forEach(snipe => {
+      snipe.status = 'failed';
+      snipe.error = '买入过程中机器人重启，请检查钱包确认是否已成交';
+      snipe.updatedAt = new Date().toISOString();
+    });
+    this.saveSnipes();
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    // 配置了 WebSocket 节点时通过订阅接收事件，否则由 HTTP 节点轮询
+    this.provider = config.BSC_WS_URL ? new ethers.WebSocketProvider(config.BSC_WS_URL) : this.tradeManager.provider;
+
+    const armed = this.book.snipes.filter(s => s.status === 'armed');
+    armed.forEach(snipe => this.arm(snipe));
+    console.log(`🎯 开盘狙击已启动 (${armed.length} 个监听中，${config.BSC_WS_URL ? 'WebSocket 订阅' : 'HTTP 轮询'})`);
+  }
+
+  stop() {
+    for (const id of this.subscriptions.keys()) {
+      this.unsubscribe(id);
+    }
+    if (this.provider && this.provider !== this.tradeManager.provider) {
+      this.provider.destroy();
+    }
+    this.provider = null;
+    this.started = false;
+  }
+
+  /**
+   * 创建狙击并开始监听，返回 { success, snipe, error }
+   */
+  async createSnipe({ chatId, tokenAddress, amount, maxTax, maxImpact }) {
+    if (tokenAddress.toLowerCase() === config.WBNB_ADDRESS.toLowerCase()) {
+      return { success: false, error: '不能狙击 WBNB' };
+    }
+
+    let symbol;
+    try {
+      const tokenContract = new ethers.Contract(tokenAddress, this.tradeManager.erc20ABI, this.tradeManager.provider);
+      symbol = await tokenContract.symbol();
+    } catch (error) {
+      return { success: false, error: '无法读取代币信息，请检查代币地址' };
+    }
+
+    const now = new Date().toISOString();
+    const snipe = {
+      id: this.book.nextId++,
+      chatId,
+      tokenAddress: tokenAddress.toLowerCase(),
+      symbol,
+      amount: parseFloat(amount),
+      maxTax: parseFloat(maxTax),
+      maxImpact: parseFloat(maxImpact),
+      status: 'armed',
+      waitingReason: null,
+      waitingKey: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.book.snipes.push(snipe);
+    this.saveSnipes();
+    if (this.started) this.arm(snipe);
+    return { success: true, snipe };
+  }
+
+  findSnipe(id, chatId) {
+    const snipe = this.book.snipes.find(s => s.id === parseInt(id));
+    return snipe && snipe.chatId === chatId ? snipe : null;
+  }
+
+  disarmSnipe(id, chatId) {
+    const snipe = this.findSnipe(id, chatId);
+    if (!snipe) {
+      return { success: false, error: `未找到狙击 #${id}` };
+    }
+    if (snipe.status !== 'armed') {
+      return { success: false, error: `狙击 #${id} 已结束` };
+    }
+
+    this.unsubscribe(snipe.id);
+    snipe.status = 'disarmed';
+    snipe.updatedAt = new Date().toISOString();
+    this.saveSnipes();
+    return { success: true, snipe };
+  }
+
+  getSnipes(chatId) {
+    return this.book.snipes.filter(s => s.chatId === chatId && s.status === 'armed');
+  }
+
+  /**
+   * 监听工厂合约的建池事件和已有池子的流动性事件，并立即检查一次 (池子可能已经开盘)
+   */
+  async arm(snipe) {
+    const [token0, token1] = sortTokens(snipe.tokenAddress, config.WBNB_ADDRESS);
+    const v2Factory = new ethers.Contract(V2_FACTORY_ADDRESS, V2_FACTORY_ABI, this.provider);
+    const v3Factory = new ethers.Contract(V3_FACTORY_ADDRESS, V3_FACTORY_ABI, this.provider);
+    this.subscriptions.set(snipe.id, [v2Factory, v3Factory]);
+
+    try {
+      await v2Factory.on(v2Factory.filters.PairCreated(token0, token1), (t0, t1, pair) => {
+        console.log(`🎯 狙击 #${snipe.id}: V2 交易对已创建 ${pair}`);
+        this.watchPool(snipe, pair, 'v2');
+        this.check(snipe.id, 'V2 交易对创建');
+      });
+      await v3Factory.on(v3Factory.filters.PoolCreated(token0, token1), (t0, t1, fee, tickSpacing, pool) => {
+        console.log(`🎯 狙击 #${snipe.id}: V3 池子已创建 (${Number(fee) / 10000}%) ${pool}`);
+        this.watchPool(snipe, pool, 'v3');
+        this.check(snipe.id, 'V3 池子创建');
+      });
+
+      // 已存在但尚未添加流动性的池子
+      const [pair, ...pools] = await Promise.all([
+        v2Factory.getPair(token0, token1),
+        ...V3_FEE_TIERS.map(fee => v3Factory.getPool(token0, token1, fee))
+      ]);
+      if (pair !== ethers.ZeroAddress) this.watchPool(snipe, pair, 'v2');
+      pools.filter(pool => pool !== ethers.ZeroAddress).forEach(pool => this.watchPool(snipe, pool, 'v3'));
+    } catch (error) {
+      console.error(`狙击 #${snipe.id} 监听失败:`, error.message);
+    }
+
+    await this.check(snipe.id, '开始监听');
+  }
+
+  watchPool(snipe, poolAddress, version) {
+    const contracts = this.subscriptions.get(snipe.id);
+    if (!contracts) return;
+
+    const pool = version === 'v2'
+      ? new ethers.Contract(poolAddress, V2_PAIR_ABI, this.provider)
+      : new ethers.Contract(poolAddress, V3_POOL_ABI, this.provider);
+    contracts.push(pool);
+    const eventName = version === 'v2' ? 'Sync' : 'Mint';
+    pool.on(eventName, () => this.check(snipe.id, `${version.toUpperCase()} ${eventName}`))
+      .catch(error => console.error(`狙击 #${snipe.id} 监听 ${eventName} 失败:`, error.message));
+  }
+
+  unsubscribe(id) {
+    const contracts = this.subscriptions.get(id);
+    if (!contracts) return;
+    contracts.forEach(contract => contract.removeAllListeners().catch(() => {}));
+    this.subscriptions.delete(id);
+    this.lastNoticeAt.delete(id);
+  }
+
+  /**
+   * 检查流动性和价格影响，满足条件时买入。不满足时继续等待，等待原因的类别变化时通知一次
+   * (原因文本包含实时数值，活跃池子每次 Sync/Mint 都会变化)，且每个狙击最多每 NOTICE_MIN_INTERVAL_MS 通知一次
+   */
+  async check(id, trigger) {
+    const snipe = this.book.snipes.find(s => s.id === id);
+    if (!snipe || snipe.status !== 'armed' || this.checking.has(id)) return;
+
+    this.checking.add(id);
+    try {
+      const wait = await this.getWaitReason(snipe);
+      if (wait) {
+        snipe.waitingReason = wait.reason;
+        if (wait.key !== snipe.waitingKey) {
+          snipe.waitingKey = wait.key;
+          snipe.updatedAt = new Date().toISOString();
+          this.saveSnipes();
+          console.log(`🎯 狙击 #${snipe.id} 等待中 (${trigger}): ${wait.reason}`);
+          const lastNoticeAt = this.lastNoticeAt.get(snipe.id) || 0;
+          if (trigger !== '开始监听' && Date.now() - lastNoticeAt >= NOTICE_MIN_INTERVAL_MS) {
+            this.lastNoticeAt.set(snipe.id, Date.now());
+            await this.sendNotice(snipe.chatId, `🎯 狙击 #${snipe.id} (${snipe.symbol}) 继续等待: ${wait.reason}`);
+          }
+        }
+        return;
+      }
+
+      await this.fire(snipe, trigger);
+    } catch (error) {
+      console.error(`狙击 #${id} 检查失败:`, error);
+    } finally {
+      this.checking.delete(id);
+    }
+  }
+
+  /**
+   * 返回暂不买入的原因 { key, reason }，key 为原因类别，可以买入时返回 null
+   */
+  async getWaitReason(snipe) {
+    const tradingCheck = this.tradeManager.checkTradingAllowed();
+    if (!tradingCheck.allowed) {
+      return { key: 'trading', reason: tradingCheck.error };
+    }
+
+    const routeResult = await this.tradeManager.getBestRoute(snipe.tokenAddress, snipe.amount, true);
+    // 只认可通过流动性检查的 WBNB 直连池，多跳路由的中间池子不在检查范围内
+    if (!routeResult.success || !routeResult.allQuotes.some(q => q.liquidityInfo && q.liquidityInfo.sufficient)) {
+      const required = Math.max(snipe.amount * (config.MIN_LIQUIDITY_RATIO || 10), config.MIN_ABSOLUTE_LIQUIDITY || 0.1);
+      return { key: 'liquidity', reason: `直连池流动性未达到 ${required} BNB` };
+    }
+
+    const impact = await this.tradeManager.estimatePriceImpact(snipe.tokenAddress, snipe.amount, true, routeResult);
+    if (impact === null) {
+      return { key: 'impact_unknown', reason: '无法计算价格影响' };
+    }
+    if (impact > snipe.maxImpact) {
+      return { key: 'impact', reason: `价格影响 ${impact.toFixed(2)}% 超过上限 ${snipe.maxImpact}%` };
+    }
+
+    // 开盘初期常见禁止卖出或高税率，模拟通过前继续等待
+    const taxCheck = await this.tradeManager.simulateTokenTax(snipe.tokenAddress, snipe.amount);
+    if (taxCheck.blocked) {
+      return { key: 'tax_blocked', reason: taxCheck.blockReason };
+    }
+    if (taxCheck.success && taxCheck.buyTax > snipe.maxTax) {
+      return { key: 'tax', reason: `买入税 ${taxCheck.buyTax.toFixed(2)}% 超过上限 ${snipe.maxTax}%` };
+    }
+    return null;
+  }
+
+  async fire(snipe, trigger) {
+    this.unsubscribe(snipe.id);
+    snipe.status = 'firing';
+    snipe.updatedAt = new Date().toISOString();
+    this.saveSnipes();
+
+    console.log(`🎯 狙击 #${snipe.id} 触发 (${trigger}): ${snipe.amount} BNB → ${snipe.symbol}`);
+    const slippage = this.tradeManager.settings.slippage + snipe.maxTax;
+    const result = await this.tradeManager.smartBuyOptimal(snipe.tokenAddress, snipe.amount.toString(), { tag: `Snipe #${snipe.id}`, slippage });
+
+    snipe.status = result.success ? 'filled' : 'failed';
+    snipe.result = result.success ? { txHash: result.txHash, expectedAmount: result.expectedAmount || null } : null;
+    snipe.error = result.success ? null : result.error;
+    snipe.updatedAt = new Date().toISOString();
+    this.saveSnipes();
+
+    this.tradeManager.auditLog.record('snipe_fired', {
+      snipeId: snipe.id,
+      chatId: snipe.chatId,
+      tokenAddress: snipe.tokenAddress,
+      amount: snipe.amount,
+      trigger,
+      success: result.success,
+      txHash: result.txHash || null
+    });
+
+    const message = result.success
+      ? `🎯 狙击 #${snipe.id} 已买入 (${trigger})\n\n💰 ${snipe.amount} BNB → ${result.expectedAmount || 'N/A'} ${snipe.symbol}\n🧠 路由: ${result.routeOptimization?.selectedRoute || 'N/A'}\n🔗 https://bscscan.com/tx/${result.txHash}`
+      : `❌ 狙击 #${snipe.id} 买入失败 (${trigger})\n\n💰 ${snipe.amount} BNB → ${snipe.symbol}\n原因: ${result.error}\n\n若为滑点错误，可能是买入税超过 ${snipe.maxTax}%`;
+    await this.sendNotice(snipe.chatId, message);
+  }
+
+  async sendNotice(chatId, message) {
+    try {
+      await this.notify(chatId, message);
+    } catch (error) {
+      console.error('发送狙击通知失败:', error.message);
+    }
+  }
+}
+
+/**
+ * 按地址排序，与工厂合约中 token0 < token1 的规则一致
+ */
+function sortTokens(tokenA, tokenB) {
+  return BigInt(tokenA) < BigInt(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+}
+
+module.exports = SniperManager;
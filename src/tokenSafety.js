@@ -0,0 +1,324 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+
+const V2_FACTORY_ADDRESS = '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73'; // PancakeSwap V2 Factory
+
+// EIP-1967 代理存储槽: bytes32(uint256(keccak256('eip1967.proxy.xxx')) - 1)
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const EIP1967_ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+const EIP1967_BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+
+// LP 销毁地址
+const BURN_ADDRESSES = [
+  ethers.ZeroAddress,
+  '0x000000000000000000000000000000000000dEaD'
+];
+
+// 常见的流动性锁仓合约 (BSC)，可通过 LP_LOCKER_ADDRESSES 追加
+const DEFAULT_LOCKERS = {
+  '0x407993575c91ce7643a4d4cCACc9A98c36eE1BBE': 'PinkLock',
+  '0xC765bddB93b0D1c1A88282BA0fa6B2d00E3e0c83': 'UNCX'
+};
+
+/**
+ * 危险函数分类：字节码中出现任一函数签名的选择器即视为存在该能力。
+ * penalty 为所有者仍有效时的扣分，所有权已放弃时减半
+ */
+const DANGEROUS_FUNCTIONS = [
+  {
+    key: 'mint',
+    label: '增发',
+    penalty: 25,
+    signatures: ['mint(address,uint256)', 'mint(uint256)', 'mintTo(address,uint256)', 'issue(uint256)']
+  },
+  {
+    key: 'blacklist',
+    label: '黑名单',
+    penalty: 20,
+    signatures: [
+      'blacklist(address)', 'blacklistAddress(address,bool)', 'addToBlacklist(address)', 'setBlacklist(address,bool)',
+      'addBlackList(address)', 'setBots(address[],bool)', 'addBots(address[])', 'blockBots(address[])',
+      'setIsBlacklisted(address,bool)', 'isBlacklisted(address)'
+    ]
+  },
+  {
+    key: 'pause',
+    label: '暂停交易',
+    penalty: 15,
+    signatures: ['pause()', 'unpause()', 'setTradingEnabled(bool)', 'setTrading(bool)', 'enableTrading(bool)', 'tradingStatus(bool)']
+  },
+  {
+    key: 'fee',
+    label: '修改税率',
+    penalty: 10,
+    signatures: [
+      'setFee(uint256)', 'setFees(uint256,uint256)', 'setTaxFeePercent(uint256)', 'setBuyFee(uint256)', 'setSellFee(uint256)',
+      'updateFees(uint256,uint256)', 'setTaxes(uint256,uint256)', 'updateBuyFees(uint256,uint256,uint256)', 'updateSellFees(uint256,uint256,uint256)'
+    ]
+  },
+  {
+    key: 'limits',
+    label: '交易/持仓限额',
+    penalty: 5,
+    signatures: [
+      'setMaxTxAmount(uint256)', 'setMaxTxPercent(uint256)', 'setMaxWalletSize(uint256)', 'setMaxWallet(uint256)',
+      'updateMaxTxnAmount(uint256)', 'updateMaxWalletAmount(uint256)', 'setMaxWalletPercent(uint256)'
+    ]
+  }
+];
+
+// 读取当前限额的常见只读函数
+const LIMIT_GETTERS = {
+  maxTx: ['_maxTxAmount', 'maxTxAmount', 'maxTransactionAmount'],
+  maxWallet: ['_maxWalletSize', 'maxWallet', 'maxWalletAmount', '_maxWalletAmount']
+};
+
+const TOKEN_ABI = [
+  "function owner() view returns (address)",
+  "function getOwner() view returns (address)",
+  "function symbol() view returns (string)",
+  "function totalSupply() view returns (uint256)",
+  ...Object.values(LIMIT_GETTERS).flat().map(name => `function ${name}() view returns (uint256)`)
+];
+
+const PAIR_ABI = [
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address owner) view returns (uint256)"
+];
+
+function selectorOf(signature) {
+  return ethers.id(signature).slice(2, 10);
+}
+
+/**
+ * 在运行时字节码中查找函数选择器 (Solidity 分发表中为 PUSH4 <selector>)
+ */
+function findSelectors(code, signatures) {
+  const hex = code.toLowerCase();
+  return signatures.filter(signature => hex.includes(`63${selectorOf(signature)}`));
+}
+
+function slotToAddress(value) {
+  const address = ethers.getAddress(ethers.dataSlice(value, 12));
+  return address === ethers.ZeroAddress ? null : address;
+}
+
+function isBurnAddress(address) {
+  return BURN_ADDRESSES.some(burn => burn.toLowerCase() === address.toLowerCase());
+}
+
+function getLockers() {
+  const lockers = { ...DEFAULT_LOCKERS };
+  for (const address of (config.LP_LOCKER_ADDRESSES || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    if (ethers.isAddress(address)) {
+      lockers[ethers.getAddress(address)] = '自定义锁仓';
+    }
+  }
+  return lockers;
+}
+
+async function callOptional(contract, name) {
+  try {
+    return await contract[name]();
+  } catch (error) {
+    return null;
+  }
+}
+
+async function checkOwnership(token) {
+  const owner = (await callOptional(token, 'owner')) ?? (await callOptional(token, 'getOwner'));
+  if (owner === null) {
+    // 可能使用 AccessControl 等角色权限，不按已放弃处理
+    return { key: 'owner', label: '所有权', status: 'unknown', penalty: 0, renounced: false, detail: '没有 owner()，无法识别管理员' };
+  }
+  if (isBurnAddress(owner)) {
+    return { key: 'owner', label: '所有权', status: 'pass', penalty: 0, renounced: true, owner, detail: '已放弃所有权' };
+  }
+  return { key: 'owner', label: '所有权', status: 'warn', penalty: 10, renounced: false, owner, detail: `所有者 ${owner}` };
+}
+
+async function checkProxy(provider, tokenAddress) {
+  const [implementationSlot, adminSlot, beaconSlot] = await Promise.all([
+    provider.getStorage(tokenAddress, EIP1967_IMPLEMENTATION_SLOT),
+    provider.getStorage(tokenAddress, EIP1967_ADMIN_SLOT),
+    provider.getStorage(tokenAddress, EIP1967_BEACON_SLOT)
+  ]);
+  const implementation = slotToAddress(implementationSlot);
+  const admin = slotToAddress(adminSlot);
+  const beacon = slotToAddress(beaconSlot);
+
+  if (!implementation && !beacon) {
+    return { key: 'proxy', label: '可升级代理', status: 'pass', penalty: 0, detail: '不是 EIP-1967 代理' };
+  }
+  const parts = [implementation ? `实现 ${implementation}` : `Beacon ${beacon}`];
+  if (admin) parts.push(`管理员 ${admin}`);
+  return {
+    key: 'proxy',
+    label: '可升级代理',
+    status: 'fail',
+    penalty: 25,
+    implementation,
+    detail: `合约逻辑可被替换 (${parts.join('，')})`
+  };
+}
+
+function checkDangerousFunctions(code, renounced) {
+  return DANGEROUS_FUNCTIONS.map(({ key, label, penalty, signatures }) => {
+    const found = findSelectors(code, signatures);
+    if (found.length === 0) {
+      return { key, label, status: 'pass', penalty: 0, detail: '未发现' };
+    }
+    const names = found.map(signature => signature.split('(')[0]).join(', ');
+    return {
+      key,
+      label,
+      status: renounced ? 'warn' : 'fail',
+      penalty: renounced ? Math.ceil(penalty / 2) : penalty,
+      detail: `${names}${renounced ? ' (所有权已放弃，通常无法调用)' : ''}`
+    };
+  });
+}
+
+async function readLimits(token, totalSupply) {
+  const limits = {};
+  for (const [key, getters] of Object.entries(LIMIT_GETTERS)) {
+    for (const name of getters) {
+      const value = await callOptional(token, name);
+      if (value !== null && value > 0n && value < totalSupply) {
+        limits[key] = Number(value * 10000n / totalSupply) / 100;
+        break;
+      }
+    }
+  }
+  return limits;
+}
+
+async function checkLiquidityLock(provider, tokenAddress) {
+  const factory = new ethers.Contract(V2_FACTORY_ADDRESS, ["function getPair(address tokenA, address tokenB) external view returns (address pair)"], provider);
+  const pairAddress = await factory.getPair(config.WBNB_ADDRESS, tokenAddress);
+  if (pairAddress === ethers.ZeroAddress) {
+    return { key: 'lp', label: 'LP 锁定', status: 'unknown', penalty: 0, detail: '没有 V2 WBNB 池子' };
+  }
+
+  const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+  const lockers = getLockers();
+  const holders = [
+    ...BURN_ADDRESSES.map(address => ({ address, kind: 'burn', name: '销毁' })),
+    ...Object.entries(lockers).map(([address, name]) => ({ address, kind: 'lock', name }))
+  ];
+  const [totalSupply, balances] = await Promise.all([
+    pair.totalSupply(),
+    Promise.all(holders.map(holder => pair.balanceOf(holder.address)))
+  ]);
+  if (totalSupply === 0n) {
+    return { key: 'lp', label: 'LP 锁定', status: 'unknown', penalty: 0, pairAddress, detail: '池子尚未添加流动性' };
+  }
+
+  const share = amount => Number(amount * 10000n / totalSupply) / 100;
+  const burned = share(holders.reduce((sum, holder, i) => holder.kind === 'burn' ? sum + balances[i] : sum, 0n));
+  const locked = share(holders.reduce((sum, holder, i) => holder.kind === 'lock' ? sum + balances[i] : sum, 0n));
+  const lockNames = [...new Set(holders.filter((holder, i) => holder.kind === 'lock' && balances[i] > 0n).map(holder => holder.name))];
+  const secured = Math.min(burned + locked, 100);
+
+  let status = 'fail';
+  let penalty = 25;
+  if (secured >= 95) {
+    status = 'pass';
+    penalty = 0;
+  } else if (secured >= 50) {
+    status = 'warn';
+    penalty = 10;
+  }
+  const detail = `销毁 ${burned}%，锁仓 ${locked}%${lockNames.length ? ` (${lockNames.join(', ')})` : ''}`;
+  return { key: 'lp', label: 'LP 锁定', status, penalty, pairAddress, burned, locked, detail };
+}
+
+function checkTradeSimulation(taxCheck) {
+  if (!taxCheck || !taxCheck.success) {
+    return { key: 'honeypot', label: '买卖模拟', status: 'unknown', penalty: 0, detail: taxCheck?.error || '无法模拟' };
+  }
+  if (taxCheck.blocked) {
+    return { key: 'honeypot', label: '买卖模拟', status: 'fail', penalty: 40, detail: taxCheck.blockReason };
+  }
+  const detail = `买入税 ${taxCheck.buyTax.toFixed(2)}%，卖出税 ${taxCheck.sellTax.toFixed(2)}%`;
+  if (Math.max(taxCheck.buyTax, taxCheck.sellTax) > 10) {
+    return { key: 'honeypot', label: '买卖模拟', status: 'warn', penalty: 10, detail };
+  }
+  return { key: 'honeypot', label: '买卖模拟', status: 'pass', penalty: 0, detail };
+}
+
+function gradeOf(score) {
+  if (score >= 80) return 'A';
+  if (score >= 60) return 'B';
+  if (score >= 40) return 'C';
+  return 'D';
+}
+
+/**
+ * 读取代币合约的链上状态生成安全报告：所有权、EIP-1967 代理槽、字节码中的危险函数选择器、
+ * 交易/持仓限额以及 V2 池子 LP 被销毁或锁仓的比例。taxCheck 为 simulateTokenTax 的结果，一并计入评分。
+ * 返回 { success, tokenAddress, symbol, checks, score, grade, error }，
+ * checks 中每项为 { key, label, status: pass/warn/fail/unknown, penalty, detail }，score 为 100 减去各项扣分
+ */
+async function analyzeTokenSafety(provider, tokenAddress, { taxCheck } = {}) {
+  try {
+    const code = await provider.getCode(tokenAddress);
+    if (code === '0x') {
+      return { success: false, error: '该地址不是合约' };
+    }
+
+    const token = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
+    const [symbol, totalSupply, ownership, proxy] = await Promise.all([
+      callOptional(token, 'symbol'),
+      callOptional(token, 'totalSupply'),
+      checkOwnership(token),
+      checkProxy(provider, tokenAddress)
+    ]);
+
+    // 代理合约的分发表在实现合约中
+    const logicCode = proxy.implementation ? await provider.getCode(proxy.implementation) : code;
+    const functionChecks = checkDangerousFunctions(logicCode, ownership.renounced);
+
+    if (totalSupply) {
+      const limits = await readLimits(token, totalSupply);
+      const limitCheck = functionChecks.find(check => check.key === 'limits');
+      const parts = [];
+      if (limits.maxTx !== undefined) parts.push(`单笔上限 ${limits.maxTx}%`);
+      if (limits.maxWallet !== undefined) parts.push(`持仓上限 ${limits.maxWallet}%`);
+      if (parts.length > 0) {
+        const current = `当前${parts.join('，')}`;
+        if (limitCheck.status === 'pass') {
+          Object.assign(limitCheck, { status: 'warn', penalty: 5, detail: current });
+        } else {
+          limitCheck.detail = `${limitCheck.detail}；${current}`;
+        }
+      }
+    }
+
+    let liquidity;
+    try {
+      liquidity = await checkLiquidityLock(provider, tokenAddress);
+    } catch (error) {
+      liquidity = { key: 'lp', label: 'LP 锁定', status: 'unknown', penalty: 0, detail: `读取失败: ${error.shortMessage || error.message}` };
+    }
+
+    const checks = [ownership, proxy, ...functionChecks, liquidity, checkTradeSimulation(taxCheck)];
+    const score = Math.max(100 - checks.reduce((sum, check) => sum + check.penalty, 0), 0);
+
+    return {
+      success: true,
+      tokenAddress,
+      symbol: symbol || 'UNKNOWN',
+      checks,
+      score,
+      grade: gradeOf(score)
+    };
+  } catch (error) {
+    console.error('代币安全检查失败:', error);
+    return { success: false, error: error.shortMessage || error.message };
+  }
+}
+
+module.exports = {
+  analyzeTokenSafety
+};
@@ -0,0 +1,116 @@
+const { ethers } = require('ethers');
+
+// 模拟合约的运行时字节码，源码见 contracts/TradeSimulator.sol (solc 0.8.24，optimizer 200 runs，evmVersion paris)
+const TRADE_SIMULATOR_BYTECODE =
+  '0x6080604052600436106100225760003560e01c80636393fded1461002e57600080fd5b3661002957005b600080fd5b3480' +
+  '1561003a57600080fd5b5061004e610049366004610539565b610069565b604051610060969594939291906105a8565b6040' +
+  '5180910390f35b600080808080606081600260405190808252806020026020018201604052801561009d5781602001602082' +
+  '02803683370190505b50905088816000815181106100b4576100b4610616565b60200260200101906001600160a01b031690' +
+  '816001600160a01b03168152505089816001815181106100e8576100e8610616565b6001600160a01b039283166020918202' +
+  '92909201015260405163d06ca61f60e01b8152908c169063d06ca61f90610125908b908590600401610671565b6000604051' +
+  '80830381865afa158015610142573d6000803e3d6000fd5b505050506040513d6000823e601f3d908101601f191682016040' +
+  '5261016a9190810190610692565b60018151811061017c5761017c610616565b602002602001015196508a6001600160a01b' +
+  '031663b6f9de958960008430426040518663ffffffff1660e01b81526004016101ba9493929190610750565b600060405180' +
+  '8303818588803b1580156101d357600080fd5b505af11580156101e7573d6000803e3d6000fd5b50506040516370a0823160' +
+  'e01b81523060048201526001600160a01b038e1693506370a0823192506024019050602060405180830381865afa15801561' +
+  '0231573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906102559190610785565b95' +
+  '508560000361029f575050604080518082019091526014815273627579207265636569766564206e6f7468696e6760601b60' +
+  '208201526000945084935083925060019150610510565b89816000815181106102b3576102b3610616565b60200260200101' +
+  '906001600160a01b031690816001600160a01b03168152505088816001815181106102e7576102e7610616565b6001600160' +
+  'a01b03928316602091820292909201015260405163d06ca61f60e01b8152908c169063d06ca61f9061032490899085906004' +
+  '01610671565b600060405180830381865afa158015610341573d6000803e3d6000fd5b505050506040513d6000823e601f3d' +
+  '908101601f191682016040526103699190810190610692565b60018151811061037b5761037b610616565b60200260200101' +
+  '5194506000808b6001600160a01b031663095ea7b360e01b8e8a6040516024016103c19291906001600160a01b0392909216' +
+  '8252602082015260400190565b60408051601f198184030181529181526020820180516001600160e01b03166001600160e0' +
+  '1b03199094169390931790925290516103ff919061079e565b6000604051808303816000865af19150503d80600081146104' +
+  '3c576040519150601f19603f3d011682016040523d82523d6000602084013e610441565b606091505b50915091508161045d' +
+  '5760009550600194509250610510915050565b60405163791ac94760e01b815247906001600160a01b038f169063791ac947' +
+  '90610494908c906000908990309042906004016107ba565b600060405180830381600087803b1580156104ae57600080fd5b' +
+  '505af19250505080156104bf575060015b6104fe573d8080156104ed576040519150601f19603f3d011682016040523d8252' +
+  '3d6000602084013e6104f2565b606091505b5060019650945061050b565b61050881476107f6565b96505b505050505b9499' +
+  '939850945094509450565b80356001600160a01b038116811461053457600080fd5b919050565b6000806000806080858703' +
+  '121561054f57600080fd5b6105588561051d565b93506105666020860161051d565b92506105746040860161051d565b9396' +
+  '929550929360600135925050565b60005b8381101561059f578181015183820152602001610587565b50506000910152565b' +
+  '868152856020820152846040820152836060820152821515608082015260c060a0820152600082518060c08401526105e781' +
+  '60e0850160208701610584565b601f01601f19169190910160e001979650505050505050565b634e487b7160e01b60005260' +
+  '4160045260246000fd5b634e487b7160e01b600052603260045260246000fd5b600081518084526020808501945060208401' +
+  '60005b838110156106665781516001600160a01b031687529582019590820190600101610641565b50949594505050505056' +
+  '5b82815260406020820152600061068a604083018461062c565b949350505050565b600060208083850312156106a5576000' +
+  '80fd5b825167ffffffffffffffff808211156106bd57600080fd5b818501915085601f8301126106d157600080fd5b815181' +
+  '8111156106e3576106e3610600565b8060051b604051601f19603f8301168101818110858211171561070857610708610600' +
+  '565b60405291825284820192508381018501918883111561072657600080fd5b938501935b82851015610744578451845293' +
+  '8501939285019261072b565b98975050505050505050565b848152608060208201526000610769608083018661062c565b60' +
+  '01600160a01b03949094166040830152506060015292915050565b60006020828403121561079757600080fd5b5051919050' +
+  '565b600082516107b0818460208701610584565b9190910192915050565b85815284602082015260a0604082015260006107' +
+  'd960a083018661062c565b6001600160a01b0394909416606083015250608001529392505050565b81810381811115610817' +
+  '57634e487b7160e01b600052601160045260246000fd5b9291505056fea2646970667358221220cde1c2c29c56c058fe19e7' +
+  '39c872e2906fae067e9546ed832c73c46974dd49a564736f6c63430008180033';
+
+// 通过状态覆盖放置模拟合约的空地址，只在 eth_call 中存在
+const TRADE_SIMULATOR_ADDRESS = '0x000000000000000000000000000000000051e7a7';
+
+const TRADE_SIMULATOR_ABI = [
+  "function simulate(address router, address token, address wbnb, uint256 amountIn) external returns (uint256 buyExpected, uint256 buyReceived, uint256 sellExpected, uint256 sellReceived, bool sellReverted, bytes sellError)"
+];
+
+const simulatorInterface = new ethers.Interface(TRADE_SIMULATOR_ABI);
+
+/**
+ * 解析回滚数据中的 Error(string) 原因或模拟合约返回的文本，无法解析时返回截断的原始数据
+ */
+function decodeRevertReason(data) {
+  if (!data || data === '0x') return null;
+  try {
+    if (data.startsWith('0x08c379a0')) {
+      return ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4))[0];
+    }
+    const text = ethers.toUtf8String(data);
+    if (/^[\x20-\x7e]+$/.test(text)) return text;
+  } catch (error) {
+    // 自定义错误等非文本数据
+  }
+  return data.length > 74 ? `${data.slice(0, 74)}...` : data;
+}
+
+/**
+ * 在当前区块上用 eth_call 模拟通过 V2 路由买入 amountIn BNB 后全部卖出，不发送交易。
+ * 税率按路由报价与实际到账数量计算 (同一代币单位比较，不受精度影响)。
+ * 返回 { success, buyTax, sellTax, sellReverted, buyReverted, reason, error }，税率为百分比
+ */
+async function simulateBuySell(provider, { router, token, wbnb, amountIn }) {
+  const data = simulatorInterface.encodeFunctionData('simulate', [router, token, wbnb, amountIn]);
+  const overrides = {
+    [TRADE_SIMULATOR_ADDRESS]: {
+      code: TRADE_SIMULATOR_BYTECODE,
+      balance: ethers.toQuantity(amountIn * 2n)
+    }
+  };
+
+  let raw;
+  try {
+    raw = await provider.send('eth_call', [{ from: TRADE_SIMULATOR_ADDRESS, to: TRADE_SIMULATOR_ADDRESS, data }, 'latest', overrides]);
+  } catch (error) {
+    // 买入本身回滚 (如禁止买入、池子未开放)；其他错误通常是节点不支持状态覆盖
+    if (error.code === 'CALL_EXCEPTION') {
+      return { success: true, buyReverted: true, sellReverted: true, buyTax: null, sellTax: null, reason: decodeRevertReason(error.data) || error.shortMessage };
+    }
+    return { success: false, error: error.shortMessage || error.message };
+  }
+
+  const result = simulatorInterface.decodeFunctionResult('simulate', raw);
+  const ratioTax = (received, expected) => (expected > 0n ? Math.max((1 - Number(received * 1000000n / expected) / 1000000) * 100, 0) : null);
+  return {
+    success: true,
+    buyReverted: false,
+    buyTax: ratioTax(result.buyReceived, result.buyExpected),
+    sellTax: result.sellReverted ? null : ratioTax(result.sellReceived, result.sellExpected),
+    sellReverted: result.sellReverted,
+    reason: result.sellReverted ? decodeRevertReason(result.sellError) : null
+  };
+}
+
+module.exports = {
+  TRADE_SIMULATOR_ADDRESS,
+  TRADE_SIMULATOR_BYTECODE,
+  simulateBuySell
+};
@@ -0,0 +1,440 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+const MIN_INTERVAL_MS = 10 * 1000;
+const MAX_INTERVAL_MS = 24 * 60 * 60 * 1000; // setTimeout 超过 2^31 毫秒 (约 596 小时) 会溢出为立即执行
+const MAX_SLICES = 100;
+const IMPACT_POLICIES = ['skip', 'pause'];
+const MAX_CONSECUTIVE_FAILURES = 3; // 连续失败达到该次数时暂停计划
+
+/**
+ * 解析分批间隔 "30s" / "5m" / "1h"，返回 { valid, ms, description, error }
+ */
+function parseInterval(text) {
+  const match = (text || '').trim().match(/^(\d+)(s|m|h)$/i);
+  if (!match) {
+    return { valid: false, error: '无效的间隔，支持 30s、5m、1h 这样的写法' };
+  }
+  const value = parseInt(match[1]);
+  const unit = match[2].toLowerCase();
+  const ms = value * INTERVAL_UNITS[unit];
+  if (ms < MIN_INTERVAL_MS) {
+    return { valid: false, error: `间隔不能小于 ${MIN_INTERVAL_MS / 1000} 秒` };
+  }
+  if (ms > MAX_INTERVAL_MS) {
+    return { valid: false, error: `间隔不能超过 ${MAX_INTERVAL_MS / INTERVAL_UNITS.h} 小时` };
+  }
+  return { valid: true, ms, description: `${value}${{ s: ' 秒', m: ' 分钟', h: ' 小时' }[unit]}` };
+}
+
+/**
+ * TWAP 分批执行：把一笔大额买入或卖出按固定间隔拆成多份，每份执行前通过 getBestRoute 重新询价。
+ * 价格影响超过计划上限时按 TWAP_IMPACT_POLICY 处理：skip 跳过本次并把这一份顺延到下一次，pause 暂停计划。
+ * 计划保存在 twap-orders.json，重启后从中断处继续；进度消息在每份执行后原地更新
+ */
+class TwapManager {
+  /**
+   * @param {OptimizedTradeManager} tradeManager
+   * @param {Function} notify (chatId, message) => Promise<Message>，发送新消息
+   * @param {Function} edit (chatId, messageId, message) => Promise，原地更新进度消息
+   */
+  constructor(tradeManager, notify, edit) {
+    this.tradeManager = tradeManager;
+    this.notify = notify;
+    this.edit = edit;
+    this.plansFile = path.join(__dirname, '..', 'twap-orders.json');
+    this.book = this.loadPlans();
+    this.timers = new Map(); // planId -> 下一份的定时器
+    this.running = new Set(); // 正在执行的计划，防止重叠执行
+    this.started = false;
+
+    this.recoverInterruptedSlices();
+  }
+
+  loadPlans() {
+    try {
+      if (fs.existsSync(this.plansFile)) {
+        return JSON.parse(fs.readFileSync(this.plansFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('读取TWAP计划失败:', error);
+    }
+    return { nextId: 1, plans: [] };
+  }
+
+  savePlans() {
+    fs.writeFileSync(this.plansFile, JSON.stringify(this.book, null, 2));
+  }
+
+  /**
+   * 重启前正在执行的一份无法确认链上结果，标记为未知并暂停计划，由用户检查钱包后恢复
+   */
+  recoverInterruptedSlices() {
+    let changed = false;
+    for (const plan of this.book.plans) {
+      const slice = plan.sliceLog.find(s => s.status === 'executing');
+      if (!slice) continue;
+
+      slice.status = 'unknown';
+      plan.status = 'paused';
+      plan.pauseReason = `第 ${slice.n} 份执行过程中机器人重启，请检查钱包确认是否成交后使用 /twap resume ${plan.id} 继续`;
+      plan.updatedAt = new Date().toISOString();
+      changed = true;
+    }
+    if (changed) this.savePlans();
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    const activePlans = this.book.plans.filter(p => p.status === 'active');
+    activePlans.forEach(plan => this.schedulePlan(plan));
+    console.log(`⏱️ TWAP计划已启动 (${activePlans.length} 个运行中，价格影响策略: ${this.getImpactPolicy()})`);
+
+    // 重启导致暂停的计划提醒用户
+    this.book.plans
+      .filter(p => p.status === 'paused' && p.pauseReason && !p.pauseNotified)
+      .forEach(plan => {
+        plan.pauseNotified = true;
+        this.updateProgress(plan);
+      });
+    this.savePlans();
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.started = false;
+  }
+
+  getImpactPolicy() {
+    return IMPACT_POLICIES.includes(config.TWAP_IMPACT_POLICY) ? config.TWAP_IMPACT_POLICY : 'skip';
+  }
+
+  /**
+   * 按 nextRunAt 安排下一份，重启后已过期的计划立即执行
+   */
+  schedulePlan(plan) {
+    this.unschedulePlan(plan.id);
+    const delay = Math.max(new Date(plan.nextRunAt).getTime() - Date.now(), 0);
+    // 限制前创建的计划间隔可能超过上限，分段等待避免 setTimeout 溢出
+    if (delay > MAX_INTERVAL_MS) {
+      this.timers.set(plan.id, setTimeout(() => this.schedulePlan(plan), MAX_INTERVAL_MS));
+      return;
+    }
+    this.timers.set(plan.id, setTimeout(() => this.runSlice(plan.id), delay));
+  }
+
+  unschedulePlan(id) {
+    const timer = this.timers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(id);
+    }
+  }
+
+  /**
+   * 创建计划并立即执行第一份，返回 { success, plan, error }
+   */
+  createPlan({ chatId, side, tokenAddress, symbol, total, slices, intervalText, maxImpact, messageId }) {
+    const interval = parseInterval(intervalText);
+    if (!interval.valid) {
+      return { success: false, error: interval.error };
+    }
+    const sliceCount = parseInt(slices);
+    if (!(sliceCount >= 2 && sliceCount <= MAX_SLICES)) {
+      return { success: false, error: `份数必须在 2 到 ${MAX_SLICES} 之间` };
+    }
+
+    const now = new Date().toISOString();
+    const plan = {
+      id: this.book.nextId++,
+      chatId,
+      side,
+      tokenAddress: tokenAddress.toLowerCase(),
+      symbol,
+      total: parseFloat(total),
+      slices: sliceCount,
+      intervalMs: interval.ms,
+      intervalDescription: interval.description,
+      maxImpact: parseFloat(maxImpact) || config.TWAP_MAX_PRICE_IMPACT,
+      status: 'active',
+      executedAmount: 0,
+      receivedAmount: 0,
+      filledSlices: 0,
+      consecutiveSkips: 0,
+      consecutiveFailures: 0,
+      sliceLog: [],
+      messageId: messageId || null,
+      pauseReason: null,
+      nextRunAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.book.plans.push(plan);
+    this.savePlans();
+    if (this.started) this.schedulePlan(plan);
+    return { success: true, plan };
+  }
+
+  findPlan(id, chatId) {
+    const plan = this.book.plans.find(p => p.id === parseInt(id));
+    return plan && plan.chatId === chatId ? plan : null;
+  }
+
+  /**
+   * 取消计划，正在执行的一份会完成，之后不再执行
+   */
+  cancelPlan(id, chatId) {
+    const plan = this.findPlan(id, chatId);
+    if (!plan) {
+      return { success: false, error: `未找到TWAP计划 #${id}` };
+    }
+    if (!['active', 'paused'].includes(plan.status)) {
+      return { success: false, error: `TWAP计划 #${id} 已结束` };
+    }
+
+    this.unschedulePlan(plan.id);
+    plan.status = 'cancelled';
+    plan.updatedAt = new Date().toISOString();
+    this.savePlans();
+    this.updateProgress(plan);
+    return { success: true, plan };
+  }
+
+  resumePlan(id, chatId) {
+    const plan = this.findPlan(id, chatId);
+    if (!plan) {
+      return { success: false, error: `未找到TWAP计划 #${id}` };
+    }
+    if (plan.status !== 'paused') {
+      return { success: false, error: `TWAP计划 #${id} 未暂停` };
+    }
+
+    plan.status = 'active';
+    plan.pauseReason = null;
+    plan.consecutiveSkips = 0;
+    plan.consecutiveFailures = 0;
+    plan.nextRunAt = new Date().toISOString();
+    plan.updatedAt = plan.nextRunAt;
+    this.savePlans();
+    if (this.started) this.schedulePlan(plan);
+    return { success: true, plan };
+  }
+
+  getPlans(chatId, includeClosed = false) {
+    return this.book.plans.filter(p => p.chatId === chatId && (includeClosed || ['active', 'paused'].includes(p.status)));
+  }
+
+  /**
+   * 本次应执行的数量：剩余数量平均分到剩余份数，最后一份为全部剩余数量
+   */
+  getSliceAmount(plan) {
+    const remaining = plan.total - plan.executedAmount;
+    const slotsLeft = plan.slices - plan.filledSlices;
+    const amount = slotsLeft <= 1 ? remaining : remaining / slotsLeft;
+    return parseFloat(amount.toPrecision(12));
+  }
+
+  pausePlan(plan, reason) {
+    this.unschedulePlan(plan.id);
+    plan.status = 'paused';
+    plan.pauseReason = reason;
+    plan.pauseNotified = true;
+  }
+
+  scheduleNext(plan) {
+    plan.nextRunAt = new Date(Date.now() + plan.intervalMs).toISOString();
+    this.schedulePlan(plan);
+  }
+
+  async runSlice(id) {
+    const plan = this.book.plans.find(p => p.id === id);
+    if (!plan || plan.status !== 'active' || this.running.has(id)) return;
+
+    this.running.add(id);
+    this.timers.delete(id);
+    try {
+      // 交易暂停或钱包锁定时不消耗份数，等到下一次再试
+      const tradingCheck = this.tradeManager.checkTradingAllowed();
+      if (!tradingCheck.allowed) {
+        plan.lastNote = `等待交易恢复: ${tradingCheck.error}`;
+        this.scheduleNext(plan);
+        return;
+      }
+
+      const isBuy = plan.side === 'buy';
+      let amount = this.getSliceAmount(plan);
+      if (!isBuy) {
+        // 卖出不超过实际余额 (浮点误差或手动卖出过一部分)
+        amount = Math.min(amount, parseFloat(await this.tradeManager.getTokenBalance(plan.tokenAddress)));
+      }
+      const n = plan.sliceLog.length + 1;
+
+      if (!(amount > 0)) {
+        plan.status = 'completed';
+        plan.lastNote = isBuy ? null : '钱包中已没有该代币，计划结束';
+        return;
+      }
+
+      // 每份执行前重新询价并检查价格影响
+      const routeResult = await this.tradeManager.getBestRoute(plan.tokenAddress, amount, isBuy);
+      const impact = routeResult.success
+        ? await this.tradeManager.estimatePriceImpact(plan.tokenAddress, amount, isBuy, routeResult)
+        : null;
+      if (impact === null || impact > plan.maxImpact) {
+        const reason = !routeResult.success ? `报价失败: ${routeResult.error}`
+          : impact === null ? '无法计算价格影响'
+            : `价格影响 ${impact.toFixed(2)}% 超过上限 ${plan.maxImpact}%`;
+        plan.sliceLog.push({ n, at: new Date().toISOString(), amount, impact, status: 'skipped', reason });
+        plan.consecutiveSkips++;
+
+        if (this.getImpactPolicy() === 'pause' || plan.consecutiveSkips > config.TWAP_MAX_SKIPS) {
+          this.pausePlan(plan, `${reason}，计划已暂停，使用 /twap resume ${plan.id} 继续`);
+        } else {
+          plan.lastNote = `${reason}，本次跳过，顺延到下一次`;
+          this.scheduleNext(plan);
+        }
+        return;
+      }
+      plan.consecutiveSkips = 0;
+
+      const slice = { n, at: new Date().toISOString(), amount, impact, status: 'executing' };
+      plan.sliceLog.push(slice);
+      this.savePlans();
+
+      console.log(`⏱️ 执行TWAP计划 #${plan.id} 第 ${n} 份: ${plan.side} ${amount} ${isBuy ? 'BNB' : plan.symbol}`);
+      const result = isBuy
+        ? await this.tradeManager.smartBuyOptimal(plan.tokenAddress, amount.toString(), { tag: `TWAP #${plan.id}` })
+        : await this.tradeManager.smartSellOptimal(plan.tokenAddress, amount.toString());
+
+      this.tradeManager.auditLog.record('twap_slice', {
+        planId: plan.id,
+        chatId: plan.chatId,
+        side: plan.side,
+        tokenAddress: plan.tokenAddress,
+        slice: n,
+        amount,
+        impact,
+        success: result.success,
+        txHash: result.txHash || null
+      });
+
+      if (result.success) {
+        const received = parseFloat(result.expectedAmount ?? result.details?.expectedBNB) || 0;
+        slice.status = 'filled';
+        slice.received = received;
+        slice.txHash = result.txHash;
+        plan.executedAmount += amount;
+        plan.receivedAmount += received;
+        plan.filledSlices++;
+        plan.consecutiveFailures = 0;
+        plan.lastNote = null;
+      } else {
+        slice.status = 'failed';
+        slice.reason = result.error;
+        plan.consecutiveFailures++;
+        plan.lastNote = `第 ${n} 份失败: ${result.error}`;
+      }
+
+      if (plan.filledSlices >= plan.slices || plan.total - plan.executedAmount <= plan.total * 1e-9) {
+        plan.status = 'completed';
+      } else if (plan.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        this.pausePlan(plan, `连续 ${plan.consecutiveFailures} 份执行失败 (${result.error})，使用 /twap resume ${plan.id} 继续`);
+      } else {
+        this.scheduleNext(plan);
+      }
+    } catch (error) {
+      console.error(`TWAP计划 #${id} 执行失败:`, error);
+      plan.lastNote = `执行出错: ${error.message}`;
+      if (plan.status === 'active') this.scheduleNext(plan);
+    } finally {
+      plan.updatedAt = new Date().toISOString();
+      this.savePlans();
+      this.running.delete(id);
+      await this.updateProgress(plan);
+    }
+  }
+
+  formatProgress(plan) {
+    const isBuy = plan.side === 'buy';
+    const inputUnit = isBuy ? 'BNB' : plan.symbol;
+    const outputUnit = isBuy ? plan.symbol : 'BNB';
+    const statusText = {
+      active: '▶️ 执行中',
+      paused: '⏸️ 已暂停',
+      completed: '✅ 已完成',
+      cancelled: '🗑️ 已取消'
+    }[plan.status];
+    const percent = plan.total > 0 ? Math.min(plan.executedAmount / plan.total * 100, 100) : 0;
+    const filledBar = Math.round(percent / 10);
+
+    let text = `⏱️ TWAP #${plan.id} ${isBuy ? '买入' : '卖出'} ${plan.symbol} ${statusText}\n\n`;
+    text += `${'▓'.repeat(filledBar)}${'░'.repeat(10 - filledBar)} ${percent.toFixed(1)}%\n`;
+    text += `💰 已${isBuy ? '支付' : '卖出'}: ${parseFloat(plan.executedAmount.toPrecision(8))} / ${plan.total} ${inputUnit}\n`;
+    text += `🎯 已获得: ${parseFloat(plan.receivedAmount.toPrecision(8))} ${outputUnit}\n`;
+    text += `📦 份数: ${plan.filledSlices}/${plan.slices}，间隔 ${plan.intervalDescription}，价格影响上限 ${plan.maxImpact}%\n`;
+
+    const recent = plan.sliceLog.slice(-5);
+    if (recent.length > 0) {
+      text += '\n最近执行:\n';
+      recent.forEach(slice => {
+        const impactText = typeof slice.impact === 'number' ? `，影响 ${slice.impact.toFixed(2)}%` : '';
+        const detail = {
+          filled: `✅ ${slice.amount} → ${parseFloat((slice.received || 0).toPrecision(8))}${impactText}`,
+          skipped: `⏭️ 跳过 (${slice.reason})`,
+          failed: `❌ ${slice.amount} 失败 (${slice.reason})`,
+          executing: `⏳ ${slice.amount} 执行中${impactText}`,
+          unknown: `❓ ${slice.amount} 结果未知 (执行中重启)`
+        }[slice.status];
+        text += `#${slice.n} ${detail}\n`;
+      });
+    }
+
+    if (plan.status === 'active') {
+      text += `\n⏰ 下一份: ${new Date(plan.nextRunAt).toLocaleString()}`;
+      if (plan.lastNote) text += `\n⚠️ ${plan.lastNote}`;
+      text += `\n使用 /twap cancel ${plan.id} 取消`;
+    } else if (plan.status === 'paused') {
+      text += `\n⏸️ ${plan.pauseReason || '已暂停'}`;
+    } else if (plan.status === 'completed' && plan.lastNote) {
+      text += `\n${plan.lastNote}`;
+    }
+    return text;
+  }
+
+  /**
+   * 原地更新进度消息，消息无法编辑时 (如已被删除) 发送新消息并改为更新新消息
+   */
+  async updateProgress(plan) {
+    const text = this.formatProgress(plan);
+    try {
+      if (plan.messageId) {
+        await this.edit(plan.chatId, plan.messageId, text);
+        return;
+      }
+    } catch (error) {
+      if ((error.message || '').includes('message is not modified')) return;
+      console.error('更新TWAP进度消息失败:', error.message);
+    }
+
+    try {
+      const sent = await this.notify(plan.chatId, text);
+      if (sent && sent.message_id) {
+        plan.messageId = sent.message_id;
+        this.savePlans();
+      }
+    } catch (error) {
+      console.error('发送TWAP进度消息失败:', error.message);
+    }
+  }
+}
+
+TwapManager.parseInterval = parseInterval;
+
+module.exports = TwapManager;
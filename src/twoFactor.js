@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // 允许前后各一个时间步的时钟误差
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('无效的base32字符');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * 计算指定时间步的 TOTP 验证码 (RFC 6238, HMAC-SHA1)
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+class TwoFactor {
+  constructor() {
+    this.secretsFile = path.join(__dirname, '..', 'two-factor.json');
+    this.secrets = this.loadSecrets();
+    this.verifiedAt = new Map(); // chatId -> 最近一次验证成功的时间
+  }
+
+  /**
+   * 读取已绑定的 TOTP 密钥
+   */
+  loadSecrets() {
+    try {
+      if (fs.existsSync(this.secretsFile)) {
+        return JSON.parse(fs.readFileSync(this.secretsFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('读取2FA配置失败:', error);
+    }
+    return {};
+  }
+
+  saveSecrets() {
+    fs.writeFileSync(this.secretsFile, JSON.stringify(this.secrets, null, 2), { mode: 0o600 });
+  }
+
+  isEnrolled(chatId) {
+    return Boolean(this.secrets[chatId.toString()]?.enabled);
+  }
+
+  /**
+   * 生成新的密钥，验证通过前不会生效
+   */
+  beginEnrollment(chatId, label) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    const entry = this.secrets[chatId.toString()] || {};
+    this.secrets[chatId.toString()] = { ...entry, pendingSecret: secret };
+    this.saveSecrets();
+
+    const issuer = 'PancakeBot';
+    const otpauthUrl = `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}` +
+      `?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+    return { secret, otpauthUrl };
+  }
+
+  /**
+   * 用第一个验证码确认绑定
+   */
+  confirmEnrollment(chatId, code) {
+    const entry = this.secrets[chatId.toString()];
+    if (!entry?.pendingSecret) {
+      return { valid: false, error: '没有待确认的绑定，请先使用 /2fa setup' };
+    }
+
+    const step = this.matchStep(entry.pendingSecret, code);
+    if (step === null) {
+      return { valid: false, error: '验证码错误，请检查手机时间是否准确' };
+    }
+
+    this.secrets[chatId.toString()] = {
+      secret: entry.pendingSecret,
+      enabled: true,
+      enrolledAt: new Date().toISOString(),
+      lastStep: step
+    };
+    this.saveSecrets();
+    this.verifiedAt.set(chatId.toString(), Date.now());
+    return { valid: true };
+  }
+
+  /**
+   * 校验验证码，同一验证码不能重复使用
+   */
+  verify(chatId, code) {
+    const entry = this.secrets[chatId.toString()];
+    if (!entry?.enabled) {
+      return { valid: false, error: '该聊天未绑定2FA' };
+    }
+
+    const step = this.matchStep(entry.secret, code);
+    if (step === null) {
+      return { valid: false, error: '验证码错误' };
+    }
+    if (entry.lastStep !== undefined && step <= entry.lastStep) {
+      return { valid: false, error: '验证码已使用过，请等待下一个验证码' };
+    }
+
+    entry.lastStep = step;
+    this.saveSecrets();
+    this.verifiedAt.set(chatId.toString(), Date.now());
+    return { valid: true };
+  }
+
+  matchStep(secret, code) {
+    const normalized = (code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const expected = generateCode(secret, currentStep + offset);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return currentStep + offset;
+      }
+    }
+    return null;
+  }
+
+  disable(chatId) {
+    delete this.secrets[chatId.toString()];
+    this.verifiedAt.delete(chatId.toString());
+    this.saveSecrets();
+  }
+
+  /**
+   * 是否仍在上次验证后的免验证窗口内
+   */
+  isWithinGrace(chatId) {
+    const verifiedAt = this.verifiedAt.get(chatId.toString());
+    return verifiedAt !== undefined && Date.now() - verifiedAt < config.TOTP_GRACE_MINUTES * 60 * 1000;
+  }
+
+  resetGrace(chatId) {
+    this.verifiedAt.delete(chatId.toString());
+  }
+
+  /**
+   * 判断操作是否需要验证码，返回 { required, error }
+   */
+  checkRequired(chatId) {
+    if (!this.isEnrolled(chatId)) {
+      if (config.REQUIRE_2FA) {
+        return { required: true, error: '🔐 该操作需要2FA验证，请先使用 /2fa setup 绑定验证器' };
+      }
+      return { required: false };
+    }
+    return { required: !this.isWithinGrace(chatId) };
+  }
+
+  isHighValueTrade(bnbValue) {
+    return parseFloat(bnbValue) >= config.TOTP_TRADE_THRESHOLD;
+  }
+}
+
+module.exports = TwoFactor;